@@ -0,0 +1,129 @@
+// abr.js - 自適應畫質（ABR）：依實測吞吐量和緩衝長度在 rawDash.video 的各畫質間切換
+import { parseSegmentBase } from './mse.js';
+import { getCodecFamily, isStreamSupported } from './codec.js';
+
+const AUTO_QUALITY = -1;        // 畫質菜單中「自動」的值
+const CHECK_INTERVAL = 2000;    // 評估間隔（毫秒）
+const BANDWIDTH_SAFETY = 0.8;   // 只按估算吞吐量的 80% 選擇畫質
+const DOWN_BUFFER = 20;         // 緩衝低於此秒數且帶寬不足時降檔
+const UP_BUFFER = 15;           // 緩衝達到此秒數才考慮升檔
+const UP_HOLD_TIME = 10000;     // 切換後至少等待這麼久才再次升檔（毫秒）
+
+/**
+ * 列出可在當前 SourceBuffer 中切換的畫質：與當前表示同一編碼、帶 SegmentBase、瀏覽器支持，
+ * 每個畫質只取一個，按碼率由低到高排列
+ * @param {Object} playInfo - 播放信息對象
+ * @returns {Array<Object>}
+ */
+function getSwitchableStreams(playInfo) {
+    const family = getCodecFamily(playInfo.videoStream?.codecs);
+    const byQn = new Map();
+    (playInfo.rawDash?.video || []).forEach(stream => {
+        if (byQn.has(stream.id) || getCodecFamily(stream.codecs) !== family) return;
+        if (!parseSegmentBase(stream) || !isStreamSupported(stream)) return;
+        byQn.set(stream.id, stream);
+    });
+    return [...byQn.values()].sort((a, b) => (a.bandwidth || 0) - (b.bandwidth || 0));
+}
+
+/**
+ * ABR 控制器：定時評估吞吐量和緩衝，帶寬下降時直接降到合適畫質，恢復時逐級升檔
+ */
+class AbrController {
+    /**
+     * @param {Object} options - {
+     *   streams: 可切換的畫質（由低到高）,
+     *   current: 當前視頻表示,
+     *   audioBandwidth: 音頻碼率（bps）,
+     *   getThroughput: () => 估算吞吐量（bps，未知時為 0）,
+     *   getBufferAhead: () => 視頻緩衝秒數,
+     *   onSwitch: (stream, reason) => Promise<boolean> 是否切換成功
+     * }
+     */
+    constructor(options) {
+        this.streams = options.streams;
+        this.current = this.streams.find(s => s.id === options.current?.id) || this.streams[0];
+        this.audioBandwidth = options.audioBandwidth || 0;
+        this.getThroughput = options.getThroughput;
+        this.getBufferAhead = options.getBufferAhead;
+        this.onSwitch = options.onSwitch;
+        this.timer = null;
+        this.switching = false;
+        this.lastSwitch = 0;
+        this.destroyed = false;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.check(), CHECK_INTERVAL);
+        // 開播時緩衝為空，按已有的吞吐量估算直接選一次畫質
+        this.check(true);
+    }
+
+    /**
+     * 按可用帶寬選出最高的畫質，都不夠時選最低畫質
+     * @param {number} throughput - bps
+     * @returns {Object}
+     */
+    chooseStream(throughput) {
+        const available = throughput * BANDWIDTH_SAFETY - this.audioBandwidth;
+        const fitting = this.streams.filter(s => (s.bandwidth || 0) <= available);
+        return fitting.length > 0 ? fitting[fitting.length - 1] : this.streams[0];
+    }
+
+    check(initial = false) {
+        if (this.destroyed || this.switching) return;
+        const throughput = this.getThroughput();
+        if (!throughput) return;
+        const target = this.chooseStream(throughput);
+        const currentIndex = this.streams.indexOf(this.current);
+        const targetIndex = this.streams.indexOf(target);
+        const buffer = this.getBufferAhead();
+
+        if (targetIndex < currentIndex && (initial || buffer < DOWN_BUFFER)) {
+            this.switchTo(target, `吞吐量 ${Math.round(throughput / 1000)} Kbps，緩衝 ${buffer.toFixed(1)}s`);
+        } else if (targetIndex > currentIndex) {
+            if (initial) {
+                this.switchTo(target, `吞吐量 ${Math.round(throughput / 1000)} Kbps`);
+            } else if (buffer >= UP_BUFFER && Date.now() - this.lastSwitch >= UP_HOLD_TIME) {
+                // 恢復時逐級升檔，避免估算偏高時來回切換
+                this.switchTo(this.streams[currentIndex + 1], `吞吐量 ${Math.round(throughput / 1000)} Kbps，緩衝 ${buffer.toFixed(1)}s`);
+            }
+        }
+    }
+
+    /**
+     * 播放中卡頓：不等下次評估，立即降一檔
+     */
+    onStall() {
+        if (this.destroyed || this.switching) return;
+        const currentIndex = this.streams.indexOf(this.current);
+        if (currentIndex > 0) {
+            this.switchTo(this.streams[currentIndex - 1], '播放卡頓');
+        }
+    }
+
+    async switchTo(stream, reason) {
+        if (stream === this.current) return;
+        console.log(`[LitePlayer ABR] ${this.current.id} -> ${stream.id}（${reason}）`);
+        this.switching = true;
+        try {
+            const switched = await this.onSwitch(stream, reason);
+            if (switched && !this.destroyed) {
+                this.current = stream;
+                this.lastSwitch = Date.now();
+            }
+        } finally {
+            this.switching = false;
+        }
+    }
+
+    destroy() {
+        this.destroyed = true;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+export { AbrController, getSwitchableStreams, AUTO_QUALITY };
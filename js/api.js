@@ -1,9 +1,22 @@
 // api.js - 處理所有與 B 站 API 相關的請求
 
-import { CDNOptimizer } from './cdn.js';
+import { cdnOptimizer } from './cdn.js';
+import { probeStreams, isStreamSupported, selectVideoStream } from './codec.js';
 
-// 創建 CDN 優化器實例
-const cdnOptimizer = new CDNOptimizer();
+// 進行中的播放器信息請求
+const playerInfoRequests = new Map();
+
+// 接口響應緩存：key -> { data, expires, fetchedAt }
+// 緩存原始響應而非 playInfo，每次取用時重新解析，CDN 優化按當時的首選節點進行
+// playurl 的播放地址帶簽名，按地址中的 deadline 過期；視頻和番劇信息按固定時長過期
+const apiCache = new Map();
+const apiCacheStats = { hits: 0, misses: 0 };
+const API_CACHE_LIMIT = 50;                 // 最多緩存的響應數，超出時丟棄最早寫入的
+const INFO_CACHE_TTL = 10 * 60 * 1000;      // 視頻/番劇信息的有效期
+const PLAYURL_CACHE_TTL = 30 * 60 * 1000;   // 播放地址中沒有 deadline 時的有效期
+const DEADLINE_MARGIN = 2 * 60 * 1000;      // 提前視為過期，避免剛取用就失效
+const REFRESH_COOLDOWN = 10 * 1000;         // 剛刷新過的播放地址在此時間內直接復用，避免多條軌道同時 403 時重複請求
+const playUrlRefreshes = new Map();         // 進行中的播放地址刷新
 
 // 畫質選項 (完整B站支援的畫質)
 const qualityMap = {
@@ -36,19 +49,132 @@ function getBvId() {
     return match ? match[1] : null;
 }
 
-// 取得 cid
-async function fetchCid(bvid) {
-    const api = `https://api.bilibili.com/x/web-interface/view?bvid=${bvid}`;
-    console.log('[LitePlayer] 請求視頻信息API:', api);
-    const res = await fetch(api, { credentials: 'include' });
-    const data = await res.json();
-    console.log('[LitePlayer] 視頻信息API返回:', data);
-    if (data.data && data.data.cid) return data.data.cid;
+// 解析分P序號（?p=N，從 1 開始，缺省為 1）
+function getPageNumber() {
+    const p = parseInt(new URLSearchParams(window.location.search).get('p'), 10);
+    return p > 0 ? p : 1;
+}
+
+/**
+ * 接口返回錯誤碼時拋出的異常，code 供播放失敗恢復判斷（如 -404、-10403 為地區限制或不存在）
+ * @param {string} label - 接口名稱
+ * @param {Object} data - 接口響應
+ * @returns {Error}
+ */
+function createApiError(label, data) {
+    const error = new Error(`${label}返回錯誤: ${data?.code} ${data?.message || ''}`.trim());
+    error.code = data?.code;
+    return error;
+}
+
+/**
+ * 讀取未過期的緩存響應，並記錄命中或未命中
+ * @param {string} key
+ * @returns {Object|null}
+ */
+function getCachedResponse(key) {
+    const entry = apiCache.get(key);
+    if (entry && entry.expires > Date.now()) {
+        apiCacheStats.hits++;
+        return entry.data;
+    }
+    if (entry) apiCache.delete(key);
+    apiCacheStats.misses++;
     return null;
 }
 
-// 取得視頻流，優先 dash
-async function fetchPlayUrl(bvid, cid, qn = 80, audioQuality = null, userFnval = null, userCodec = null) {
+/**
+ * 寫入緩存
+ * @param {string} key
+ * @param {Object} data - 接口響應中的 data / result
+ * @param {number} expires - 過期時間戳（毫秒）
+ */
+function setCachedResponse(key, data, expires) {
+    // 重新插入到末尾，按寫入順序淘汰
+    apiCache.delete(key);
+    apiCache.set(key, { data, expires, fetchedAt: Date.now() });
+    while (apiCache.size > API_CACHE_LIMIT) {
+        apiCache.delete(apiCache.keys().next().value);
+    }
+}
+
+/**
+ * 取得接口緩存的命中統計，供流信息面板顯示
+ * @returns {Object} { hits, misses, size }
+ */
+function getApiCacheStats() {
+    return { ...apiCacheStats, size: apiCache.size };
+}
+
+/**
+ * 從 playurl 響應的各播放地址中讀出最早的簽名 deadline，換算為緩存過期時間
+ * @param {Object} payload - playurl 接口的 data / result
+ * @returns {number} 過期時間戳（毫秒）
+ */
+function getPlayUrlExpiry(payload) {
+    const urls = [];
+    [...(payload.dash?.video || []), ...(payload.dash?.audio || [])].forEach(stream => {
+        urls.push(stream.baseUrl || stream.base_url, ...toUrlList(stream.backupUrl || stream.backup_url));
+    });
+    (payload.durl || []).forEach(d => urls.push(d.url, ...toUrlList(d.backup_url || d.backupUrl)));
+
+    let deadline = Infinity;
+    urls.forEach(url => {
+        try {
+            const value = parseInt(new URL(url).searchParams.get('deadline'), 10);
+            if (value > 0) deadline = Math.min(deadline, value);
+        } catch (e) {
+            // 無效地址不影響其他地址
+        }
+    });
+    return Number.isFinite(deadline)
+        ? deadline * 1000 - DEADLINE_MARGIN
+        : Date.now() + PLAYURL_CACHE_TTL;
+}
+
+/**
+ * 取得 cid 及分P信息
+ * @param {string} bvid - BV 號
+ * @param {number} page - 分P序號，缺省時讀取當前網址的 ?p=
+ * @returns {Promise<Object|null>} { cid, page, pages, aid, view }，view 為視頻信息 API 的完整 data
+ */
+async function fetchCid(bvid, page = getPageNumber()) {
+    // detail 接口在視頻信息（含 ugc_season 合集）之外還附帶相關推薦，供自動連播使用
+    const key = `view:${bvid}`;
+    let detail = getCachedResponse(key);
+    if (!detail) {
+        const api = `https://api.bilibili.com/x/web-interface/view/detail?bvid=${bvid}`;
+        console.log('[LitePlayer] 請求視頻信息API:', api);
+        const res = await fetch(api, { credentials: 'include' });
+        const data = await res.json();
+        console.log('[LitePlayer] 視頻信息API返回:', data);
+        if (data.code !== 0) throw createApiError('視頻信息API', data);
+        detail = data.data;
+        if (detail?.View?.cid) setCachedResponse(key, detail, Date.now() + INFO_CACHE_TTL);
+    }
+    const view = detail?.View;
+    if (!view || !view.cid) return null;
+
+    const pages = view.pages || [];
+    // 分P超出範圍時回到 P1
+    const current = pages.find(p => p.page === page) || pages[0];
+    return {
+        cid: current ? current.cid : view.cid,
+        page: current ? current.page : 1,
+        pages,
+        aid: view.aid,
+        view,
+        related: detail.Related || []
+    };
+}
+
+/**
+ * 根據畫質計算 fnval，用戶自訂時直接使用
+ * @param {number} qn - 畫質
+ * @param {number|null} userFnval - 用戶設定的 fnval
+ * @returns {number}
+ */
+function buildFnval(qn, userFnval) {
     // 根據畫質設置不同的 fnval 參數
     let fnval = userFnval !== null ? userFnval : 16; // 基礎DASH格式
     // 若未自訂，則根據 qn 自動補齊
@@ -60,111 +186,362 @@ async function fetchPlayUrl(bvid, cid, qn = 80, audioQuality = null, userFnval =
         fnval |= 256; // 杜比音頻
         fnval |= 2048; // AV1
     }
-    const api = `https://api.bilibili.com/x/player/playurl?bvid=${bvid}&cid=${cid}&qn=${qn}&fnval=${fnval}&fourk=1`;
-    console.log('[LitePlayer] 請求API:', api, `(qn=${qn}, fnval=${fnval}, codec=${userCodec||''})`);
-    try {
-        const res = await fetch(api, {
-            credentials: 'include',
-            headers: {
-                'Referer': 'https://www.bilibili.com/',
-                'User-Agent': navigator.userAgent,
-                'Origin': 'https://www.bilibili.com'
-            },
-        });
-        const data = await res.json();
-        console.log('[LitePlayer] API返回:', data);// 優先 dash
-        if (data.data && data.data.dash && data.data.dash.video && data.data.dash.audio) {
-            const dash = data.data.dash;
-            // 畫質
-            let videoStream = dash.video[0];
-            let videoUrl = videoStream?.baseUrl || videoStream?.base_url;
-            if (qn && dash.video) {
-                // codec 選擇
-                let filtered = dash.video;
-                if (userCodec) {
-                    filtered = dash.video.filter(v => (v.codecs||'').toLowerCase().includes(userCodec));
-                }
-                const v = filtered.find(v => v.id === qn) || dash.video.find(v => v.id === qn);
-                if (v) {
-                    videoStream = v;
-                    videoUrl = v.baseUrl || v.base_url;
-                }
+    return fnval;
+}
+
+/**
+ * 請求 playurl 類接口並返回 JSON
+ * @param {string} api - 完整請求地址
+ * @returns {Promise<Object>}
+ */
+async function requestPlayUrl(api) {
+    const res = await fetch(api, {
+        credentials: 'include',
+        headers: {
+            'Referer': 'https://www.bilibili.com/',
+            'User-Agent': navigator.userAgent,
+            'Origin': 'https://www.bilibili.com'
+        },
+    });
+    return res.json();
+}
+
+/**
+ * backupUrl 字段可能是數組、單個地址或缺失，統一為數組
+ * @param {Array<string>|string|undefined} value
+ * @returns {Array<string>}
+ */
+function toUrlList(value) {
+    if (Array.isArray(value)) return value;
+    return value ? [value] : [];
+}
+
+/**
+ * 取得單個 dash 表示的播放地址（經 CDN 優化）、原始地址和備用地址
+ * @param {Object} stream - dash.video / dash.audio 中的單個表示
+ * @returns {Object} { url, originalUrl, backupUrls }
+ */
+function resolveStreamUrls(stream) {
+    const originalUrl = stream?.baseUrl || stream?.base_url;
+    const backupUrl = stream?.backupUrl || stream?.backup_url;
+    return {
+        url: cdnOptimizer.optimizeVideoUrl(originalUrl, backupUrl),
+        originalUrl,
+        backupUrls: toUrlList(backupUrl)
+    };
+}
+
+/**
+ * 提取視頻表示的流信息，供信息面板顯示
+ * @param {Object} stream - dash.video 中的單個表示
+ * @returns {Object}
+ */
+function getVideoInfo(stream) {
+    return {
+        codec: stream?.codecs || 'unknown',
+        bandwidth: stream?.bandwidth || 0,
+        width: stream?.width || 0,
+        height: stream?.height || 0,
+        frameRate: stream?.frameRate || stream?.frame_rate || 0,
+        size: stream?.size || 0,
+        mimeType: stream?.mimeType || stream?.mime_type || 'unknown'
+    };
+}
+
+/**
+ * 提取音頻表示的流信息，供信息面板顯示
+ * @param {Object} stream - dash.audio 中的單個表示
+ * @returns {Object}
+ */
+function getAudioInfo(stream) {
+    return {
+        codec: stream?.codecs || 'unknown',
+        bandwidth: stream?.bandwidth || 0,
+        size: stream?.size || 0,
+        mimeType: stream?.mimeType || stream?.mime_type || 'unknown'
+    };
+}
+
+/**
+ * 將 playurl 返回的數據整理成 replacePlayer 使用的 playInfo
+ * UGC 接口數據位於 data，PGC 接口位於 result，結構相同
+ * @param {Object} payload - data.data 或 data.result
+ * @param {number} qn - 請求的畫質
+ * @param {number|null} audioQuality - 請求的音質
+ * @param {string|null} userCodec - 優先編碼
+ * @returns {Object|null}
+ */
+function parsePlayUrlData(payload, qn, audioQuality, userCodec) {
+    if (payload && payload.dash && payload.dash.video && payload.dash.audio) {
+        const dash = payload.dash;
+        // qn=0 為僅播放聲音：不選擇視頻流，播放器不會請求任何視頻數據
+        const audioOnly = qn === 0;
+        // 畫質：按 loadPlayInfo 探測的解碼能力選擇編碼，瀏覽器無法解碼該畫質時降到可解碼的畫質
+        let videoStream = null;
+        if (!audioOnly) {
+            videoStream = selectVideoStream(dash.video, qn, userCodec)
+                || dash.video.find(v => v.id === qn)
+                || dash.video[0];
+        }
+        // 音質
+        let audioStream = dash.audio.find(isStreamSupported) || dash.audio[0];
+        if (audioQuality && dash.audio) {
+            const a = dash.audio.find(a => a.id === audioQuality);
+            if (a && isStreamSupported(a)) {
+                audioStream = a;
             }
-            // 音質
-            let audioStream = dash.audio[0];
-            let audioUrl = audioStream?.baseUrl || audioStream?.base_url;
-            let audioList = dash.audio;
-            if (audioQuality && dash.audio) {
-                const a = dash.audio.find(a => a.id === audioQuality);
-                if (a) {
-                    audioStream = a;
-                    audioUrl = a.baseUrl || a.base_url;
-                }
-            }            // CDN 優化處理 (與 Pilipala 一致，同時優化視頻和音頻流)
-            const backupVideoUrl = videoStream?.backupUrl || videoStream?.backup_url;
-            const backupAudioUrl = audioStream?.backupUrl || audioStream?.backup_url;
-            // 優化視頻和音頻 URL
-            const optimizedVideoUrl = cdnOptimizer.optimizeVideoUrl(videoUrl, backupVideoUrl);
-            const optimizedAudioUrl = cdnOptimizer.optimizeVideoUrl(audioUrl, backupAudioUrl);
-            // 提取流信息
-            const videoInfo = {
-                codec: videoStream?.codecs || 'unknown',
-                bandwidth: videoStream?.bandwidth || 0,
-                width: videoStream?.width || 0,
-                height: videoStream?.height || 0,
-                frameRate: videoStream?.frameRate || videoStream?.frame_rate || 0,
-                size: videoStream?.size || 0,
-                mimeType: videoStream?.mimeType || videoStream?.mime_type || 'unknown'
-            };
-            const audioInfo = {
-                codec: audioStream?.codecs || 'unknown',
-                bandwidth: audioStream?.bandwidth || 0,
-                size: audioStream?.size || 0,
-                mimeType: audioStream?.mimeType || audioStream?.mime_type || 'unknown'
-            };
-            // 收集可用畫質/音質
-            const acceptQn = data.data.accept_quality || [qn];
-            const acceptAudio = dash.audio.map(a => a.id);
-            return {
-                dash: true,
-                videoUrl: optimizedVideoUrl,
-                audioUrl: optimizedAudioUrl,
-                originalVideoUrl: videoUrl,
-                originalAudioUrl: audioUrl,
-                rawDash: dash,
-                acceptQn,
-                qn,
-                acceptAudio,
-                audioQuality,
-                videoInfo,
-                audioInfo,
-                videoStream,
-                audioStream
-            };
         }
-        // 回退 durl
-        if (data.data && data.data.durl && data.data.durl[0]) {
-            const originalUrl = data.data.durl[0].url;
-            const optimizedUrl = cdnOptimizer.optimizeVideoUrl(originalUrl);
+        // CDN 優化處理 (與 Pilipala 一致，同時優化視頻和音頻流)
+        const videoUrls = audioOnly ? { url: null, originalUrl: null, backupUrls: [] } : resolveStreamUrls(videoStream);
+        const audioUrls = resolveStreamUrls(audioStream);
+        // 提取流信息
+        const videoInfo = audioOnly ? null : getVideoInfo(videoStream);
+        const audioInfo = getAudioInfo(audioStream);
+        // 收集可用畫質/音質
+        const acceptQn = payload.accept_quality || [qn];
+        const acceptAudio = dash.audio.map(a => a.id);
+        return {
+            dash: true,
+            audioOnly,
+            videoUrl: videoUrls.url,
+            audioUrl: audioUrls.url,
+            originalVideoUrl: videoUrls.originalUrl,
+            originalAudioUrl: audioUrls.originalUrl,
+            videoBackupUrls: videoUrls.backupUrls,
+            audioBackupUrls: audioUrls.backupUrls,
+            rawDash: dash,
+            duration: dash.duration || (payload.timelength || 0) / 1000,
+            acceptQn,
+            // 選中的表示可能因無法解碼而降了畫質
+            qn: videoStream ? videoStream.id : qn,
+            acceptAudio,
+            audioQuality,
+            videoInfo,
+            audioInfo,
+            videoStream,
+            audioStream
+        };
+    }
+    // 回退 durl（可能分為多段，按順序拼接播放）
+    if (payload && payload.durl && payload.durl[0]) {
+        const segments = payload.durl.map(d => {
+            const backupUrls = toUrlList(d.backup_url || d.backupUrl);
             return {
-                dash: false,
-                videoUrl: optimizedUrl,
-                originalVideoUrl: originalUrl,
-                acceptQn: data.data.accept_quality || [qn],
-                qn
+                url: cdnOptimizer.optimizeVideoUrl(d.url),
+                originalUrl: d.url,
+                backupUrls,
+                length: (d.length || 0) / 1000, // 毫秒轉秒
+                size: d.size || 0
             };
+        });
+        const format = payload.format || '';
+        return {
+            dash: false,
+            videoUrl: segments[0].url,
+            originalVideoUrl: segments[0].originalUrl,
+            segments,
+            format,
+            duration: (payload.timelength || 0) / 1000 || segments.reduce((sum, seg) => sum + seg.length, 0),
+            acceptQn: payload.accept_quality || [qn],
+            qn: payload.quality || qn,
+            videoInfo: {
+                codec: 'unknown',
+                bandwidth: 0,
+                width: 0,
+                height: 0,
+                frameRate: 0,
+                size: segments.reduce((sum, seg) => sum + seg.size, 0),
+                mimeType: /flv/i.test(format) ? 'video/x-flv' : 'video/mp4'
+            }
+        };
+    }
+    return null;
+}
+
+/**
+ * 取得播放器 v2 信息（字幕列表、登錄用戶的上次播放位置等）
+ * @param {string} bvid - BV 號
+ * @param {number} cid - cid
+ * @returns {Promise<Object|null>} 接口返回的 data
+ */
+function fetchPlayerInfo(bvid, cid) {
+    // 字幕和續播會同時請求，合併進行中的相同請求
+    const key = `${bvid}:${cid}`;
+    if (playerInfoRequests.has(key)) return playerInfoRequests.get(key);
+
+    const api = `https://api.bilibili.com/x/player/v2?bvid=${bvid}&cid=${cid}`;
+    console.log('[LitePlayer] 請求播放器信息API:', api);
+    const request = fetch(api, { credentials: 'include' })
+        .then(res => res.json())
+        .then(data => data.data || null)
+        .finally(() => playerInfoRequests.delete(key));
+    playerInfoRequests.set(key, request);
+    return request;
+}
+
+/**
+ * 按請求描述取得 playInfo：緩存未過期時直接解析緩存的響應，否則請求接口並寫入緩存
+ * 接口返回錯誤碼或請求失敗時拋出，由 mainReload 交給失敗恢復處理
+ * @param {Object} request - { key, api, field: 'data' | 'result', label, qn, audioQuality, userCodec }
+ * @returns {Promise<Object|null>} 響應中沒有可用的流時為 null
+ */
+async function loadPlayInfo(request) {
+    const { key, api, field, label, qn, audioQuality, userCodec } = request;
+    let payload = getCachedResponse(key);
+    if (payload) {
+        console.log(`[LitePlayer] 使用緩存的${label}:`, key);
+    } else {
+        console.log(`[LitePlayer] 請求${label}:`, api, `(codec=${userCodec || ''})`);
+        const data = await requestPlayUrl(api);
+        console.log(`[LitePlayer] ${label}返回:`, data);
+        if (data.code !== 0) throw createApiError(label, data);
+        payload = data[field];
+        if (payload && (payload.dash || payload.durl)) {
+            setCachedResponse(key, payload, getPlayUrlExpiry(payload));
         }
-        return null;
-    } catch (error) {
-        console.error('[LitePlayer] API請求失敗:', error);
-        return null;
     }
+    // 選擇編碼前探測所有表示的解碼能力
+    if (payload?.dash) {
+        await probeStreams([...(payload.dash.video || []), ...(payload.dash.audio || [])]);
+    }
+    const playInfo = parsePlayUrlData(payload, qn, audioQuality, userCodec);
+    if (playInfo) {
+        // 供播放地址失效時刷新
+        playInfo.request = request;
+        playInfo.expires = apiCache.get(key)?.expires || 0;
+    }
+    return playInfo;
+}
+
+/**
+ * 播放地址失效（簽名過期或 CDN 返回 403）時丟棄緩存並重新請求 playurl
+ * 剛刷新過的響應直接復用，同時發起的刷新合併為一次請求
+ * @param {Object} playInfo - 需帶有 loadPlayInfo 記錄的 request
+ * @returns {Promise<Object|null>} 新的 playInfo
+ */
+function refreshPlayInfo(playInfo) {
+    const request = playInfo?.request;
+    if (!request) return Promise.resolve(null);
+    if (playUrlRefreshes.has(request.key)) return playUrlRefreshes.get(request.key);
+
+    const entry = apiCache.get(request.key);
+    if (!entry || Date.now() - entry.fetchedAt >= REFRESH_COOLDOWN) {
+        apiCache.delete(request.key);
+    }
+    console.log('[LitePlayer] 播放地址失效，重新取得:', request.key);
+    const refresh = loadPlayInfo(request)
+        .catch(error => {
+            console.error('[LitePlayer] 刷新播放地址失敗:', error);
+            return null;
+        })
+        .finally(() => playUrlRefreshes.delete(request.key));
+    playUrlRefreshes.set(request.key, refresh);
+    return refresh;
+}
+
+/**
+ * 丟棄某個 playInfo 對應的緩存響應，下次取得時重新請求
+ * @param {Object} playInfo
+ */
+function invalidatePlayInfo(playInfo) {
+    if (playInfo?.request) apiCache.delete(playInfo.request.key);
+}
+
+// 取得視頻流，優先 dash
+function fetchPlayUrl(bvid, cid, qn = 80, audioQuality = null, userFnval = null, userCodec = null) {
+    const fnval = buildFnval(qn, userFnval);
+    return loadPlayInfo({
+        key: `playurl:${bvid}:${cid}:${qn}:${fnval}`,
+        api: `https://api.bilibili.com/x/player/playurl?bvid=${bvid}&cid=${cid}&qn=${qn}&fnval=${fnval}&fourk=1`,
+        field: 'data',
+        label: 'API',
+        qn,
+        audioQuality,
+        userCodec
+    });
+}
+
+// 解析番劇頁面的 ep/ss 號，如 /bangumi/play/ep123 或 /bangumi/play/ss456
+function getBangumiId() {
+    const match = window.location.pathname.match(/\/bangumi\/play\/(ep|ss)(\d+)/);
+    if (!match) return null;
+    return match[1] === 'ep'
+        ? { epId: parseInt(match[2], 10), seasonId: null }
+        : { epId: null, seasonId: parseInt(match[2], 10) };
+}
+
+/**
+ * 取得番劇劇集信息，將 ep_id/season_id 解析為 cid
+ * @param {Object} id - getBangumiId 的返回值
+ * @returns {Promise<Object|null>} { cid, aid, bvid, epId, episodes, season, view }
+ */
+async function fetchBangumiEpisode(id) {
+    const query = id.epId ? `ep_id=${id.epId}` : `season_id=${id.seasonId}`;
+    const key = `season:${query}`;
+    let season = getCachedResponse(key);
+    if (!season) {
+        const api = `https://api.bilibili.com/pgc/view/web/season?${query}`;
+        console.log('[LitePlayer] 請求番劇信息API:', api);
+        const res = await fetch(api, { credentials: 'include' });
+        const data = await res.json();
+        console.log('[LitePlayer] 番劇信息API返回:', data);
+        if (data.code !== 0) throw createApiError('番劇信息API', data);
+        season = data.result;
+        if (season?.episodes?.length) setCachedResponse(key, season, Date.now() + INFO_CACHE_TTL);
+    }
+    if (!season || !season.episodes || season.episodes.length === 0) return null;
+
+    // ss 頁面優先續播上次看到的一集
+    const targetEpId = id.epId || season.user_status?.progress?.last_ep_id;
+    const episode = season.episodes.find(ep => ep.id === targetEpId) || season.episodes[0];
+    return {
+        cid: episode.cid,
+        aid: episode.aid,
+        bvid: episode.bvid,
+        epId: episode.id,
+        episodes: season.episodes,
+        season,
+        // 整理成與視頻信息 API 相近的結構，方便共用標題、封面等字段
+        view: {
+            aid: episode.aid,
+            bvid: episode.bvid,
+            cid: episode.cid,
+            title: [season.title, episode.show_title || episode.long_title].filter(Boolean).join(' '),
+            pic: episode.cover || season.cover,
+            owner: season.up_info ? { mid: season.up_info.mid, name: season.up_info.uname } : null
+        }
+    };
+}
+
+// 取得番劇視頻流，返回與 fetchPlayUrl 相同結構的 playInfo
+function fetchPgcPlayUrl(epId, cid, qn = 80, audioQuality = null, userFnval = null, userCodec = null) {
+    const fnval = buildFnval(qn, userFnval);
+    return loadPlayInfo({
+        key: `pgc:${epId}:${cid}:${qn}:${fnval}`,
+        api: `https://api.bilibili.com/pgc/player/web/playurl?ep_id=${epId}&cid=${cid}&qn=${qn}&fnval=${fnval}&fourk=1`,
+        field: 'result',
+        label: '番劇API',
+        qn,
+        audioQuality,
+        userCodec
+    });
 }
 
 export { 
     getBvId, 
+    getPageNumber,
     fetchCid, 
+    fetchPlayerInfo,
     fetchPlayUrl,
+    getBangumiId,
+    fetchBangumiEpisode,
+    fetchPgcPlayUrl,
+    refreshPlayInfo,
+    getApiCacheStats,
+    invalidatePlayInfo,
+    resolveStreamUrls,
+    getVideoInfo,
+    getAudioInfo,
     qualityMap,
     audioQualityMap,
     cdnOptimizer
@@ -0,0 +1,183 @@
+// audio-only.js - 僅播放聲音模式的畫面：封面、標題、UP主和音頻頻譜
+const BAR_COUNT = 48;       // 頻譜柱數量
+const FFT_SIZE = 256;
+
+/**
+ * 將封面地址統一為 https，並按需附加 B 站圖片服務的縮放參數
+ * @param {string} pic - 封面地址
+ * @param {number} size - 邊長（像素），0 為原圖
+ * @returns {string}
+ */
+function getCoverUrl(pic, size = 0) {
+    if (!pic) return '';
+    const url = pic.replace(/^(https?:)?\/\//, 'https://');
+    return size ? `${url}@${size}w_${size}h_1c.jpg` : url;
+}
+
+/**
+ * 僅播放聲音時覆蓋在視頻元素上的畫面
+ * 頻譜依賴 Web Audio，AudioContext 需在用戶操作之後創建，因此在首次播放時才接入
+ */
+class AudioOnlyView {
+    /**
+     * @param {HTMLElement} container - 播放器容器
+     * @param {HTMLVideoElement} video - 實際播放聲音的媒體元素
+     * @param {Object} playInfo - 播放信息對象
+     */
+    constructor(container, video, playInfo) {
+        this.video = video;
+        this.playInfo = playInfo;
+        this.audioContext = null;
+        this.analyser = null;
+        this.frequencyData = null;
+        this.frameId = null;
+        this.onPlay = () => this.startVisualizer();
+        this.onPause = () => this.stopVisualizer();
+
+        this.element = this.createElement();
+        // 插在控制層和彈幕之前，保持它們在上層
+        container.insertBefore(this.element, video.nextSibling);
+
+        video.addEventListener('play', this.onPlay);
+        video.addEventListener('pause', this.onPause);
+        if (!video.paused) this.startVisualizer();
+    }
+
+    createElement() {
+        const view = this.playInfo.view || {};
+        const cover = getCoverUrl(view.pic);
+
+        const element = document.createElement('div');
+        element.className = 'lite-audio-only';
+        element.style.cssText = 'position:absolute;inset:0;overflow:hidden;pointer-events:none;background:#111;display:flex;align-items:center;justify-content:center;';
+
+        // 模糊放大的封面作為背景
+        const backdrop = document.createElement('div');
+        backdrop.style.cssText = 'position:absolute;inset:-40px;background-size:cover;background-position:center;filter:blur(30px) brightness(0.45);';
+        if (cover) backdrop.style.backgroundImage = `url("${getCoverUrl(view.pic, 480)}")`;
+        element.appendChild(backdrop);
+
+        const content = document.createElement('div');
+        content.style.cssText = 'position:relative;display:flex;flex-direction:column;align-items:center;gap:12px;width:80%;max-width:560px;color:#fff;text-align:center;';
+
+        if (cover) {
+            const image = document.createElement('img');
+            image.src = cover;
+            image.alt = '';
+            image.style.cssText = 'max-width:60%;max-height:40vh;border-radius:8px;box-shadow:0 4px 24px rgba(0,0,0,0.5);';
+            content.appendChild(image);
+        }
+
+        const title = document.createElement('div');
+        title.textContent = view.title || '';
+        title.style.cssText = 'font-size:18px;font-weight:bold;line-height:1.4;text-shadow:0 1px 3px rgba(0,0,0,0.6);';
+        content.appendChild(title);
+
+        const subtitle = [view.owner?.name, this.getPartTitle()].filter(Boolean).join(' · ');
+        if (subtitle) {
+            const artist = document.createElement('div');
+            artist.textContent = subtitle;
+            artist.style.cssText = 'font-size:13px;opacity:0.8;';
+            content.appendChild(artist);
+        }
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 480;
+        this.canvas.height = 64;
+        this.canvas.style.cssText = 'width:100%;height:64px;';
+        content.appendChild(this.canvas);
+
+        element.appendChild(content);
+        return element;
+    }
+
+    /**
+     * 多P視頻顯示當前分P標題
+     * @returns {string}
+     */
+    getPartTitle() {
+        const pages = this.playInfo.pages || [];
+        if (pages.length <= 1) return '';
+        const current = pages.find(p => p.page === this.playInfo.page);
+        return current ? `P${current.page} ${current.part || ''}`.trim() : '';
+    }
+
+    /**
+     * 首次播放時把媒體元素接入 AnalyserNode；頁面尚未有用戶操作時不創建，避免 AudioContext 被掛起導致無聲
+     * @returns {boolean} 是否可以繪製頻譜
+     */
+    ensureAnalyser() {
+        if (this.analyser) return true;
+        if (typeof AudioContext === 'undefined' || !navigator.userActivation?.hasBeenActive) return false;
+        try {
+            this.audioContext = new AudioContext();
+            const source = this.audioContext.createMediaElementSource(this.video);
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = FFT_SIZE;
+            this.analyser.smoothingTimeConstant = 0.8;
+            // 接入後聲音經由 AudioContext 輸出
+            source.connect(this.analyser);
+            this.analyser.connect(this.audioContext.destination);
+            this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+            return true;
+        } catch (error) {
+            console.warn('[LitePlayer] 無法創建音頻頻譜:', error);
+            this.closeAudioContext();
+            return false;
+        }
+    }
+
+    startVisualizer() {
+        if (!this.ensureAnalyser()) return;
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume().catch(() => {});
+        }
+        if (this.frameId === null) {
+            this.frameId = requestAnimationFrame(() => this.draw());
+        }
+    }
+
+    stopVisualizer() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    draw() {
+        this.frameId = requestAnimationFrame(() => this.draw());
+        const { canvas, analyser, frequencyData } = this;
+        const ctx = canvas.getContext('2d');
+        analyser.getByteFrequencyData(frequencyData);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // 高頻部分幾乎沒有能量，只取前 3/4 的頻段
+        const usable = Math.floor(frequencyData.length * 0.75);
+        const step = usable / BAR_COUNT;
+        const barWidth = canvas.width / BAR_COUNT;
+        ctx.fillStyle = 'rgba(0, 161, 214, 0.85)';
+        for (let i = 0; i < BAR_COUNT; i++) {
+            const value = frequencyData[Math.floor(i * step)] / 255;
+            const height = Math.max(2, value * canvas.height);
+            ctx.fillRect(i * barWidth + 1, canvas.height - height, barWidth - 2, height);
+        }
+    }
+
+    closeAudioContext() {
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+        }
+        this.audioContext = null;
+        this.analyser = null;
+    }
+
+    destroy() {
+        this.stopVisualizer();
+        this.video.removeEventListener('play', this.onPlay);
+        this.video.removeEventListener('pause', this.onPause);
+        this.closeAudioContext();
+        this.element.remove();
+    }
+}
+
+export { AudioOnlyView, getCoverUrl };
@@ -0,0 +1,106 @@
+// autoplay.js - 播放結束後的自動連播：分P、合集（ugc_season）、番劇下一集、相關推薦
+import { navigateToVideo, navigateToPart, navigateToEpisode, getStorageValue } from './utils.js';
+
+/**
+ * 多P視頻的下一P
+ * @param {Object} playInfo
+ * @param {number} step - 1 為下一個，-1 為上一個
+ * @returns {Object|null}
+ */
+function findNextPart(playInfo, step = 1) {
+    const next = (playInfo.pages || []).find(p => p.page === playInfo.page + step);
+    if (!next) return null;
+    return {
+        type: 'part',
+        title: `P${next.page} ${next.part || ''}`.trim(),
+        navigate: () => navigateToPart(next.page)
+    };
+}
+
+/**
+ * UP主合集中的下一個視頻（各小節按順序拼成一個列表）
+ * @param {Object} playInfo
+ * @param {number} step - 1 為下一個，-1 為上一個
+ * @returns {Object|null}
+ */
+function findNextSeasonEpisode(playInfo, step = 1) {
+    const sections = playInfo.view?.ugc_season?.sections || [];
+    const episodes = sections.flatMap(section => section.episodes || []);
+    const index = episodes.findIndex(ep => ep.bvid === playInfo.bvid);
+    const next = index === -1 ? null : episodes[index + step];
+    if (!next || !next.bvid) return null;
+    return {
+        type: 'season',
+        title: next.title,
+        navigate: () => navigateToVideo(`/video/${next.bvid}`)
+    };
+}
+
+/**
+ * 番劇的下一集
+ * @param {Object} playInfo
+ * @param {number} step - 1 為下一個，-1 為上一個
+ * @returns {Object|null}
+ */
+function findNextBangumiEpisode(playInfo, step = 1) {
+    const episodes = playInfo.episodes || [];
+    const index = episodes.findIndex(ep => ep.id === playInfo.epId);
+    const next = index === -1 ? null : episodes[index + step];
+    if (!next) return null;
+    const title = next.show_title || `第${next.title}話`;
+    return {
+        type: 'episode',
+        title: next.long_title ? `${title} ${next.long_title}` : title,
+        navigate: () => navigateToEpisode(next.id)
+    };
+}
+
+/**
+ * 相關推薦的第一個視頻
+ * @param {Object} playInfo
+ * @returns {Object|null}
+ */
+function findRelatedVideo(playInfo) {
+    const next = (playInfo.related || []).find(item => item.bvid && item.bvid !== playInfo.bvid);
+    if (!next) return null;
+    return {
+        type: 'related',
+        title: next.title,
+        navigate: () => navigateToVideo(`/video/${next.bvid}`)
+    };
+}
+
+/**
+ * 按設定找出播放結束後要接著播放的內容：
+ * 自動連播（默認開啟）依次嘗試下一P、合集下一個、番劇下一集；推薦連播（默認關閉）最後嘗試相關推薦
+ * @param {Object} playInfo - 播放信息對象
+ * @returns {Promise<Object|null>} { type, title, navigate }
+ */
+async function getNextItem(playInfo) {
+    const autoNext = await getStorageValue('bilibili-lite-auto-next-part', true);
+    if (autoNext) {
+        const next = findNextPart(playInfo)
+            || findNextSeasonEpisode(playInfo)
+            || findNextBangumiEpisode(playInfo);
+        if (next) return next;
+    }
+    const autoRelated = await getStorageValue('bilibili-lite-autoplay-related', false);
+    if (autoRelated && playInfo.type !== 'pgc') {
+        return findRelatedVideo(playInfo);
+    }
+    return null;
+}
+
+/**
+ * 上一個或下一個分P、合集視頻、番劇集數（不受連播設定影響，供媒體鍵使用）
+ * @param {Object} playInfo - 播放信息對象
+ * @param {number} step - 1 為下一個，-1 為上一個
+ * @returns {Object|null} { type, title, navigate }
+ */
+function getAdjacentItem(playInfo, step) {
+    return findNextPart(playInfo, step)
+        || findNextSeasonEpisode(playInfo, step)
+        || findNextBangumiEpisode(playInfo, step);
+}
+
+export { getNextItem, getAdjacentItem, findNextPart, findNextSeasonEpisode, findNextBangumiEpisode, findRelatedVideo };
@@ -1,4 +1,82 @@
 // cdn.js - CDN 優選功能 (基於 Pilipala 的實現，但保留手動選擇功能)
+import { getStorageValue, setStorageValue } from './storage.js';
+
+// 節點健康度評分
+const HEALTH_KEY = 'bilibili-lite-cdn-health';
+const ERROR_PENALTY = 30;        // 加載失敗（403、網絡錯誤）扣分
+const STALL_PENALTY = 5;         // 播放中卡頓扣分
+const SUCCESS_REWARD = 1;        // 成功取回一段數據加分
+const MAX_SCORE = 100;
+const MIN_SCORE = -100;
+const THROUGHPUT_ALPHA = 0.3;    // 吞吐量指數平均的權重
+const MIN_THROUGHPUT_BYTES = 64 * 1024; // 太小的請求測不准吞吐量
+const SAVE_DELAY = 3000;         // 合併寫入 storage 的延遲（毫秒）
+
+// 主動測速
+const BENCHMARK_KEY = 'bilibili-lite-cdn-benchmark';
+const PROBE_BYTES = 512 * 1024;  // 每個節點請求的字節數
+const PROBE_TIMEOUT = 8000;      // 單個節點的超時（毫秒）
+const UPGCXCODE_REG = /(https?:\/\/)(.*?)(\/upgcxcode\/)/;
+
+/**
+ * 取出 URL 的主機名
+ * @param {string} url
+ * @returns {string}
+ */
+function getHost(url) {
+    try {
+        return new URL(url).host;
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * 當前網絡的標識，節點評分按網絡分別保存
+ * 瀏覽器不暴露具體網絡，以連接類型近似區分（桌面 Chrome 只有 effectiveType）
+ * @returns {string}
+ */
+function getNetworkKey() {
+    const connection = navigator.connection;
+    if (!connection) return 'default';
+    return connection.type || connection.effectiveType || 'default';
+}
+
+/**
+ * 單條流的故障轉移：按順序嘗試候選地址
+ */
+class CDNFailover {
+    /**
+     * @param {CDNOptimizer} optimizer
+     * @param {Array<string>} candidates - 按嘗試順序排列的地址，第一個為當前地址
+     */
+    constructor(optimizer, candidates) {
+        this.optimizer = optimizer;
+        this.candidates = candidates;
+        this.index = 0;
+    }
+
+    get currentUrl() {
+        return this.candidates[this.index] || null;
+    }
+
+    /**
+     * 當前地址失敗，記錄扣分並返回下一個候選地址
+     * @returns {string|null} 已無可嘗試的地址時為 null
+     */
+    next() {
+        this.optimizer.reportError(this.currentUrl);
+        this.index++;
+        const url = this.currentUrl;
+        if (url) {
+            console.log(`[CDN] 故障轉移到第 ${this.index + 1}/${this.candidates.length} 個地址:`, getHost(url));
+        } else {
+            console.warn('[CDN] 所有候選地址均失敗');
+        }
+        return url;
+    }
+}
+
 export class CDNOptimizer {    constructor() {
         // CDN 節點列表，按優先級排序
         this.cdnList = {
@@ -16,7 +94,233 @@ export class CDNOptimizer {    constructor() {
         // 僅在啟用 CDN 優化時使用用戶設置的 CDN
         this.preferredCDN = enableCdn && this.cdnList[preferredCdn] ? preferredCdn : 'ali';
         
+        // 節點健康度：host -> { score, throughput(字節/秒), errors, stalls }
+        this.health = {};
+        this.learnedCDN = null; // 當前網絡下評分最高的鏡像
+        this.sessionCDN = null; // 本頁面內經 setPreferredCDN 改用的鏡像（失敗恢復、採用測速結果），優先於保存的選擇
+        this.networkKey = getNetworkKey();
+        this.saveTimer = null;
+        this.ready = this.loadHealth();
+
         console.log(`[CDN] 初始化 CDN 優化器: 啟用=${enableCdn}, 首選CDN=${this.preferredCDN}`);
+    }
+
+    /**
+     * 讀取當前網絡下保存的節點評分
+     * @returns {Promise<void>}
+     */
+    async loadHealth() {
+        const all = await getStorageValue(HEALTH_KEY, {});
+        const record = all[this.networkKey];
+        if (!record) return;
+        this.health = record.hosts || {};
+        this.learnedCDN = this.cdnList[record.bestCdn] ? record.bestCdn : null;
+        console.log(`[CDN] 已載入網絡 ${this.networkKey} 的節點評分，最佳節點: ${this.learnedCDN || '無'}`);
+    }
+
+    /**
+     * 延遲合併寫入評分，避免每個分段都寫 storage
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(async () => {
+            this.saveTimer = null;
+            this.learnedCDN = this.getBestCDN();
+            const all = await getStorageValue(HEALTH_KEY, {});
+            all[this.networkKey] = {
+                hosts: this.health,
+                bestCdn: this.learnedCDN,
+                updatedAt: Date.now()
+            };
+            await setStorageValue(HEALTH_KEY, all);
+        }, SAVE_DELAY);
+    }
+
+    getHostHealth(host) {
+        if (!this.health[host]) {
+            this.health[host] = { score: 0, throughput: 0, errors: 0, stalls: 0 };
+        }
+        return this.health[host];
+    }
+
+    adjustScore(url, delta) {
+        const host = getHost(url || '');
+        if (!host) return null;
+        const entry = this.getHostHealth(host);
+        entry.score = Math.max(MIN_SCORE, Math.min(MAX_SCORE, entry.score + delta));
+        this.scheduleSave();
+        return entry;
+    }
+
+    /**
+     * 記錄一次加載失敗
+     * @param {string} url
+     */
+    reportError(url) {
+        const entry = this.adjustScore(url, -ERROR_PENALTY);
+        if (entry) entry.errors++;
+    }
+
+    /**
+     * 記錄一次播放卡頓
+     * @param {string} url
+     */
+    reportStall(url) {
+        const entry = this.adjustScore(url, -STALL_PENALTY);
+        if (entry) entry.stalls++;
+    }
+
+    /**
+     * 記錄一次成功請求的吞吐量
+     * @param {string} url
+     * @param {number} bytes - 取回的字節數
+     * @param {number} ms - 耗時（毫秒）
+     */
+    reportThroughput(url, bytes, ms) {
+        const entry = this.adjustScore(url, SUCCESS_REWARD);
+        if (!entry || bytes < MIN_THROUGHPUT_BYTES || ms <= 0) return;
+        const sample = bytes / (ms / 1000);
+        entry.throughput = entry.throughput
+            ? entry.throughput * (1 - THROUGHPUT_ALPHA) + sample * THROUGHPUT_ALPHA
+            : sample;
+    }
+
+    /**
+     * 某個地址所在節點在當前網絡下記錄的平均吞吐量
+     * @param {string} url
+     * @returns {number} 字節/秒，未記錄時為 0
+     */
+    getHostThroughput(url) {
+        const host = getHost(url || '');
+        return (host && this.health[host]?.throughput) || 0;
+    }
+
+    /**
+     * 按評分（其次吞吐量）排列鏡像，未測過的節點排在有負分的節點之前
+     * @returns {Array<string>} CDN 鍵名
+     */
+    rankCDNs() {
+        const rank = key => this.health[this.cdnList[key]] || { score: 0, throughput: 0 };
+        return Object.keys(this.cdnList).sort((a, b) =>
+            (rank(b).score - rank(a).score) || (rank(b).throughput - rank(a).throughput)
+        );
+    }
+
+    /**
+     * 當前網絡下表現最好的鏡像，只考慮測過且未被扣成負分的節點
+     * @returns {string|null} CDN 鍵名
+     */
+    getBestCDN() {
+        const best = this.rankCDNs().find(key => this.health[this.cdnList[key]]);
+        return best && this.health[this.cdnList[best]].score >= 0 ? best : null;
+    }
+
+    /**
+     * 生成一條流的故障轉移順序：當前地址、原始 baseUrl、各 backupUrl、其他鏡像（按評分）
+     * @param {string} currentUrl - 正在使用的地址（通常已經過優選）
+     * @param {string} originalUrl - 接口返回的 baseUrl
+     * @param {Array<string>} backupUrls - 接口返回的 backupUrl
+     * @returns {CDNFailover}
+     */
+    createFailover(currentUrl, originalUrl = '', backupUrls = []) {
+        const candidates = [currentUrl, originalUrl, ...backupUrls];
+        const source = [originalUrl, ...backupUrls].find(url => url && url.includes('/upgcxcode/'));
+        if (source) {
+            this.rankCDNs().forEach(key => {
+                candidates.push(source.replace(UPGCXCODE_REG, `https://${this.cdnList[key]}/upgcxcode/`));
+            });
+        }
+        const unique = [...new Set(candidates.filter(Boolean))];
+        return new CDNFailover(this, unique);
+    }
+
+    /**
+     * 對單個地址發一次小的 Range 請求，測量首字節時間和吞吐量
+     * @param {string} url
+     * @returns {Promise<Object>} { ok, ttfb(毫秒), throughput(字節/秒), bytes, total(毫秒), error }
+     */
+    async probe(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+        const begin = performance.now();
+        try {
+            const res = await fetch(url, {
+                headers: { Range: `bytes=0-${PROBE_BYTES - 1}` },
+                cache: 'no-store',
+                signal: controller.signal
+            });
+            if (!res.ok) {
+                throw new Error(`HTTP ${res.status}`);
+            }
+            const ttfb = performance.now() - begin;
+            const data = await res.arrayBuffer();
+            const total = performance.now() - begin;
+            // 吞吐量只計算首字節之後的傳輸時間
+            const throughput = data.byteLength / (Math.max(total - ttfb, 1) / 1000);
+            return { ok: true, ttfb, throughput, bytes: data.byteLength, total };
+        } catch (e) {
+            return { ok: false, error: e.name === 'AbortError' ? '超時' : e.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * 以當前流對所有鏡像和原始節點測速，結果同時計入節點評分
+     * @param {string} sourceUrl - 含 upgcxcode 路徑的流地址
+     * @returns {Promise<Array<Object>>} 按快慢排序的 { key, host, ok, ttfb, throughput, error }，原始節點的 key 為 'origin'
+     */
+    async benchmark(sourceUrl) {
+        const targets = Object.entries(this.cdnList).map(([key, host]) => ({
+            key,
+            host,
+            url: sourceUrl.replace(UPGCXCODE_REG, `https://${host}/upgcxcode/`)
+        }));
+        const originHost = getHost(sourceUrl);
+        if (!Object.values(this.cdnList).includes(originHost)) {
+            targets.push({ key: 'origin', host: originHost, url: sourceUrl });
+        }
+
+        console.log(`[CDN] 開始測速 ${targets.length} 個節點`);
+        const results = [];
+        // 逐個測試，避免節點之間互相搶佔帶寬
+        for (const target of targets) {
+            const result = await this.probe(target.url);
+            if (result.ok) {
+                this.reportThroughput(target.url, result.bytes, result.total);
+            } else {
+                this.reportError(target.url);
+            }
+            results.push({ key: target.key, host: target.host, ...result });
+        }
+        results.sort((a, b) => (b.ok - a.ok) || (b.throughput || 0) - (a.throughput || 0) || (a.ttfb || 0) - (b.ttfb || 0));
+
+        await setStorageValue(BENCHMARK_KEY, { results, testedAt: Date.now(), network: this.networkKey });
+        console.log('[CDN] 測速完成:', results);
+        return results;
+    }
+
+    /**
+     * 讀取上次測速結果
+     * @returns {Promise<Object|null>} { results, testedAt, network }
+     */
+    getLastBenchmark() {
+        return getStorageValue(BENCHMARK_KEY, null);
+    }
+
+    /**
+     * 採用某個測速結果：鏡像設為優選 CDN，原始節點最快時關閉 CDN 替換
+     * @param {Object} result - benchmark 返回的一項
+     */
+    applyBenchmarkResult(result) {
+        if (result.key === 'origin') {
+            localStorage.setItem('enableCdn', 'false');
+            console.log('[CDN] 原始節點最快，關閉 CDN 替換');
+            return;
+        }
+        localStorage.setItem('enableCdn', 'true');
+        localStorage.setItem('preferredCdn', result.key);
+        this.setPreferredCDN(result.key);
     }    /**
      * 優化視頻 URL，使用 Pilipala 的優選邏輯，但保留手動選擇 CDN 的功能
      * @param {string} originalUrl - 原始視頻 URL
@@ -57,8 +361,8 @@ export class CDNOptimizer {    constructor() {
         if (videoUrl.includes('/upgcxcode/')) {
             console.log('[CDN] 檢測到 upgcxcode 路徑，替換 CDN');
             
-            // 從 localStorage 獲取用戶選擇的 CDN（保留手動選擇功能）
-            const preferredCdn = localStorage.getItem('preferredCdn') || 'ali';
+            // 本頁面內改用的節點優先，其次為 localStorage 中用戶選擇的 CDN（保留手動選擇功能），未手動選擇時使用當前網絡下評分最高的節點
+            const preferredCdn = this.sessionCDN || localStorage.getItem('preferredCdn') || this.learnedCDN || 'ali';
             // 獲取對應的 CDN 主機名
             const cdn = this.cdnList[preferredCdn] || this.cdnList['ali'];
             
@@ -101,12 +405,13 @@ export class CDNOptimizer {    constructor() {
     }
 
     /**
-     * 手動設置優選 CDN
+     * 手動設置優選 CDN，本頁面之後的播放地址都改用該節點
      * @param {string} cdnKey - CDN 鍵名
      */
     setPreferredCDN(cdnKey) {
         if (this.cdnList[cdnKey]) {
             this.preferredCDN = cdnKey;
+            this.sessionCDN = cdnKey;
             console.log(`[CDN] 手動設置優選 CDN: ${cdnKey}`);
         } else {
             console.warn(`[CDN] 無效的 CDN 鍵名: ${cdnKey}`);
@@ -133,12 +438,13 @@ export class CDNOptimizer {    constructor() {
      */
     resetToDefault() {
         this.preferredCDN = 'ali';
+        this.sessionCDN = null;
         localStorage.setItem('preferredCdn', 'ali');
         console.log('[CDN] 重置為默認 CDN: ali (阿里雲)');
     }
 }
 
-// 創建全局 CDN 優化器實例 (用於視頻、音頻流以及直播)
+// 全局唯一的 CDN 優化器實例 (用於視頻、音頻流以及直播)，api.js 重新導出供各模塊使用
 const cdnOptimizer = new CDNOptimizer();
 
 // 監聽 localStorage 變化以同步更新 CDN 設置
@@ -151,10 +457,22 @@ window.addEventListener('storage', (event) => {
         if (event.key === 'preferredCdn' && event.newValue) {
             if (cdnOptimizer.cdnList[event.newValue]) {
                 cdnOptimizer.preferredCDN = event.newValue;
+                cdnOptimizer.sessionCDN = null; // 用戶重新選擇後不再沿用本頁面內改用的節點
                 console.log(`[CDN] 已更新優選 CDN: ${event.newValue}`);
             }
         }
     }
 });
 
-export { cdnOptimizer };
+/**
+ * 從播放信息中找出可用於測速的流地址（需含 upgcxcode 路徑才能替換節點）
+ * @param {Object} playInfo - 播放信息對象
+ * @returns {string|null}
+ */
+function getBenchmarkSourceUrl(playInfo) {
+    const urls = [playInfo.originalVideoUrl, ...(playInfo.videoBackupUrls || [])];
+    (playInfo.segments || []).forEach(seg => urls.push(seg.originalUrl, ...seg.backupUrls));
+    return urls.find(url => url && url.includes('/upgcxcode/')) || null;
+}
+
+export { cdnOptimizer, CDNFailover, getBenchmarkSourceUrl, getHost };
@@ -0,0 +1,256 @@
+// codec.js - 編碼能力檢測：以 MediaSource.isTypeSupported 和 mediaCapabilities.decodingInfo 探測每個表示，
+// 按畫質自動選擇瀏覽器能流暢、省電解碼的編碼，並給出選擇理由
+import { getMimeCodec } from './mse.js';
+
+const CODEC_LABELS = {
+    avc: 'H.264/AVC',
+    hevc: 'HEVC/H.265',
+    av1: 'AV1'
+};
+// 解碼能力相同時優先壓縮率更高的編碼，同等畫質碼率更低
+const CODEC_ORDER = ['av1', 'hevc', 'avc'];
+
+// 按 MIME、解析度、幀率和碼率緩存的探測結果，換視頻時同樣的表示無需重新探測
+const capabilityCache = new Map();
+// 表示對象 -> 探測結果
+const streamCapabilities = new WeakMap();
+
+/**
+ * 將 codecs 字符串歸類為編碼家族，也接受彈窗設定的 'avc' / 'hevc' / 'av1'
+ * @param {string} codecs - 如 'avc1.640032'、'hev1.1.6.L150.90'、'av01.0.08M.08'
+ * @returns {string} 'avc' | 'hevc' | 'av1'，其他編碼返回原前綴
+ */
+function getCodecFamily(codecs) {
+    const prefix = (codecs || '').toLowerCase().split('.')[0];
+    if (prefix.startsWith('avc')) return 'avc';
+    if (prefix.startsWith('hev') || prefix.startsWith('hvc')) return 'hevc';
+    if (prefix.startsWith('av01') || prefix === 'av1') return 'av1';
+    return prefix;
+}
+
+/**
+ * 編碼的顯示名稱
+ * @param {Object|string} stream - dash 表示或編碼家族
+ * @returns {string}
+ */
+function getCodecLabel(stream) {
+    const family = typeof stream === 'string' ? stream : getCodecFamily(stream?.codecs);
+    return CODEC_LABELS[family] || family || 'unknown';
+}
+
+/**
+ * 瀏覽器是否認得該 MIME 和編碼：有 MSE 時按 SourceBuffer 判斷，否則按媒體元素判斷
+ * @param {string} mimeCodec
+ * @returns {boolean}
+ */
+function isTypeSupported(mimeCodec) {
+    if (typeof window.MediaSource !== 'undefined') return MediaSource.isTypeSupported(mimeCodec);
+    return document.createElement('video').canPlayType(mimeCodec) !== '';
+}
+
+/**
+ * 組合 decodingInfo 的媒體配置
+ * @param {Object} stream - dash 表示
+ * @param {string} mimeCodec
+ * @returns {Object}
+ */
+function getDecodingConfig(stream, mimeCodec) {
+    const type = typeof window.MediaSource !== 'undefined' ? 'media-source' : 'file';
+    const bitrate = stream.bandwidth || 0;
+    if (stream.width || stream.height) {
+        return {
+            type,
+            video: {
+                contentType: mimeCodec,
+                width: stream.width || 0,
+                height: stream.height || 0,
+                bitrate,
+                framerate: parseFrameRate(stream)
+            }
+        };
+    }
+    return { type, audio: { contentType: mimeCodec, bitrate } };
+}
+
+/**
+ * 解析表示的幀率，B 站常以分數形式返回（如 "16000/656"）
+ * @param {Object} stream - dash 表示
+ * @returns {number} 缺失或無法解析時為 30
+ */
+function parseFrameRate(stream) {
+    const raw = String(stream.frameRate || stream.frame_rate || '');
+    const [num, den] = raw.split('/').map(Number);
+    const rate = den === undefined ? num : num / den;
+    return Number.isFinite(rate) && rate > 0 ? rate : 30;
+}
+
+/**
+ * 探測單個表示的解碼能力
+ * smooth / powerEfficient 為 null 表示瀏覽器不提供 mediaCapabilities，只知道能否解碼
+ * @param {Object} stream - dash 表示
+ * @returns {Promise<Object>} { supported, smooth, powerEfficient }
+ */
+async function probeStream(stream) {
+    const mimeCodec = getMimeCodec(stream);
+    const key = `${mimeCodec}|${stream.width || 0}x${stream.height || 0}|${parseFrameRate(stream)}|${stream.bandwidth || 0}`;
+    if (!capabilityCache.has(key)) {
+        capabilityCache.set(key, (async () => {
+            if (!isTypeSupported(mimeCodec)) {
+                return { supported: false, smooth: false, powerEfficient: false };
+            }
+            if (!navigator.mediaCapabilities?.decodingInfo) {
+                return { supported: true, smooth: null, powerEfficient: null };
+            }
+            try {
+                const info = await navigator.mediaCapabilities.decodingInfo(getDecodingConfig(stream, mimeCodec));
+                return { supported: info.supported, smooth: info.smooth, powerEfficient: info.powerEfficient };
+            } catch (error) {
+                // 配置不被接受（如缺少幀率）時以 isTypeSupported 的結果為準
+                console.warn('[LitePlayer Codec] decodingInfo 探測失敗:', mimeCodec, error);
+                return { supported: true, smooth: null, powerEfficient: null };
+            }
+        })());
+    }
+    const capability = await capabilityCache.get(key);
+    streamCapabilities.set(stream, capability);
+    return capability;
+}
+
+/**
+ * 探測 playurl 返回的所有表示，結果供之後的同步查詢使用
+ * @param {Array<Object>} streams - dash.video 和 dash.audio 中的表示
+ * @returns {Promise<void>}
+ */
+async function probeStreams(streams) {
+    await Promise.all((streams || []).map(stream => probeStream(stream)));
+}
+
+/**
+ * 取得已探測的解碼能力；尚未探測時只按 isTypeSupported 判斷
+ * @param {Object} stream - dash 表示
+ * @returns {Object} { supported, smooth, powerEfficient }
+ */
+function getCapability(stream) {
+    return streamCapabilities.get(stream)
+        || { supported: isTypeSupported(getMimeCodec(stream)), smooth: null, powerEfficient: null };
+}
+
+/**
+ * 瀏覽器能否解碼該表示
+ * @param {Object} stream - dash 表示
+ * @returns {boolean}
+ */
+function isStreamSupported(stream) {
+    return getCapability(stream).supported;
+}
+
+/**
+ * 同一畫質的表示之間排序：能解碼 > 流暢 > 省電 > 壓縮率高的編碼
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareStreams(a, b) {
+    const score = (stream) => {
+        const capability = getCapability(stream);
+        if (!capability.supported) return -1;
+        return (capability.smooth !== false ? 2 : 0) + (capability.powerEfficient !== false ? 1 : 0);
+    };
+    const order = (stream) => {
+        const index = CODEC_ORDER.indexOf(getCodecFamily(stream.codecs));
+        return index === -1 ? CODEC_ORDER.length : index;
+    };
+    return (score(b) - score(a)) || (order(a) - order(b));
+}
+
+/**
+ * 為指定畫質選擇視頻表示
+ * 用戶設定的編碼可以解碼時優先使用，否則按 compareStreams 選擇；該畫質沒有可解碼的表示時降到可解碼的最高畫質
+ * @param {Array<Object>} streams - dash.video
+ * @param {number} qn - 畫質 ID
+ * @param {string} preferredCodec - 用戶設定的編碼，可為空
+ * @returns {Object|null}
+ */
+function selectVideoStream(streams, qn, preferredCodec = '') {
+    const supported = (streams || []).filter(isStreamSupported);
+    const candidates = supported.filter(stream => stream.id === qn);
+    if (candidates.length > 0) {
+        const preferredFamily = preferredCodec ? getCodecFamily(preferredCodec) : '';
+        const preferred = preferredFamily && candidates.find(s => getCodecFamily(s.codecs) === preferredFamily);
+        return preferred || [...candidates].sort(compareStreams)[0];
+    }
+    const lower = supported.filter(stream => stream.id < qn);
+    const fallbackId = Math.max(...(lower.length > 0 ? lower : supported).map(stream => stream.id));
+    if (!Number.isFinite(fallbackId)) return null;
+    return selectVideoStream(streams, fallbackId, preferredCodec);
+}
+
+/**
+ * 描述單個表示的解碼能力
+ * @param {Object} capability - getCapability 的結果
+ * @returns {string}
+ */
+function describeCapability(capability) {
+    if (!capability.supported) return '瀏覽器無法解碼';
+    if (capability.smooth === null) return '可解碼';
+    return [
+        capability.smooth ? '流暢' : '可能卡頓',
+        capability.powerEfficient ? '省電' : '耗電'
+    ].join('，');
+}
+
+/**
+ * 某畫質在菜單中不可選的原因：playurl 返回了該畫質，但瀏覽器無法解碼其中任何一種編碼
+ * @param {Array<Object>} streams - dash.video
+ * @param {number} qn - 畫質 ID
+ * @returns {string|null} 可選時為 null
+ */
+function getUnsupportedReason(streams, qn) {
+    const candidates = (streams || []).filter(stream => stream.id === qn);
+    if (candidates.length === 0 || candidates.some(isStreamSupported)) return null;
+    const labels = [...new Set(candidates.map(stream => getCodecLabel(stream)))];
+    return `瀏覽器無法解碼 ${labels.join('、')}`;
+}
+
+/**
+ * 解釋當前畫質選用該編碼的原因，供流信息面板顯示
+ * @param {Array<Object>} streams - dash.video
+ * @param {Object} stream - 當前視頻表示
+ * @param {string} preferredCodec - 用戶設定的編碼，可為空
+ * @returns {Object} { summary, options: [{ label, detail, selected }] }
+ */
+function explainCodecChoice(streams, stream, preferredCodec = '') {
+    const candidates = (streams || []).filter(s => s.id === stream.id);
+    const options = candidates.map(s => ({
+        label: getCodecLabel(s),
+        detail: describeCapability(getCapability(s)),
+        selected: s === stream
+    }));
+    const label = getCodecLabel(stream);
+    const preferredFamily = preferredCodec ? getCodecFamily(preferredCodec) : '';
+    let summary;
+    if (preferredFamily && preferredFamily === getCodecFamily(stream.codecs)) {
+        summary = `按設定使用 ${label}`;
+    } else if (preferredFamily && candidates.some(s => getCodecFamily(s.codecs) === preferredFamily)) {
+        summary = `設定的 ${getCodecLabel(preferredFamily)} 無法解碼，已改用 ${label}`;
+    } else if (preferredFamily) {
+        summary = `該畫質沒有 ${getCodecLabel(preferredFamily)}，已改用 ${label}`;
+    } else if (candidates.length > 1) {
+        summary = `自動選擇 ${label}（${describeCapability(getCapability(stream))}）`;
+    } else {
+        summary = `該畫質只提供 ${label}`;
+    }
+    return { summary, options };
+}
+
+export {
+    getCodecFamily,
+    getCodecLabel,
+    probeStreams,
+    getCapability,
+    isStreamSupported,
+    compareStreams,
+    selectVideoStream,
+    getUnsupportedReason,
+    explainCodecChoice
+};
@@ -0,0 +1,824 @@
+// controls.js - 播放器內的疊加控制層（取代原生 <video controls>）
+// 全屏和網頁全屏都以播放器容器為單位，控制層始終可見
+import { qualityMap, audioQualityMap } from './api.js';
+import { getUnsupportedReason } from './codec.js';
+import { formatTime, getStorageValue, setStorageValue } from './utils.js';
+import { findThumbnail } from './videoshot.js';
+import { AUTO_QUALITY } from './abr.js';
+
+const SPEED_OPTIONS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+const HIDE_DELAY = 3000;           // 播放中無操作多久後隱藏控制層（毫秒）
+const HINT_DURATION = 1000;         // 快捷鍵提示顯示時長（毫秒）
+const BUFFER_UPDATE_INTERVAL = 500; // 緩衝條刷新間隔（毫秒）
+const VOLUME_KEY = 'bilibili-lite-volume';
+
+/**
+ * 將 TimeRanges 轉為 [[start, end], ...]，offset 用於 durl 分段換算到全局時間
+ * @param {TimeRanges} timeRanges
+ * @param {number} offset - 加到每段上的秒數
+ * @returns {Array<Array<number>>}
+ */
+function toRangeList(timeRanges, offset = 0) {
+    const list = [];
+    if (!timeRanges) return list;
+    for (let i = 0; i < timeRanges.length; i++) {
+        list.push([timeRanges.start(i) + offset, timeRanges.end(i) + offset]);
+    }
+    return list;
+}
+
+function injectStyles() {
+    if (document.getElementById('bilibili-lite-overlay-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'bilibili-lite-overlay-styles';
+    style.innerHTML = `
+        #bilibili-lite-player.lite-web-fullscreen {
+            position: fixed !important;
+            left: 0;
+            top: 0;
+            width: 100vw !important;
+            height: 100vh !important;
+            z-index: 100000;
+        }
+
+        #bilibili-lite-player.lite-idle {
+            cursor: none;
+        }
+
+        .lite-overlay {
+            position: absolute;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            padding: 24px 12px 6px;
+            background: linear-gradient(transparent, rgba(0,0,0,0.7));
+            color: #fff;
+            font-size: 13px;
+            z-index: 20;
+            transition: opacity 0.2s;
+            user-select: none;
+        }
+
+        .lite-overlay.lite-overlay-hidden {
+            opacity: 0;
+            pointer-events: none;
+        }
+
+        .lite-progress {
+            position: relative;
+            height: 14px;
+            cursor: pointer;
+        }
+
+        .lite-progress-track {
+            position: absolute;
+            left: 0;
+            right: 0;
+            top: 5px;
+            height: 4px;
+            background: rgba(255,255,255,0.2);
+            border-radius: 2px;
+            overflow: hidden;
+        }
+
+        .lite-progress:hover .lite-progress-track {
+            top: 4px;
+            height: 6px;
+        }
+
+        .lite-progress-buffer {
+            position: absolute;
+            left: 0;
+            right: 0;
+            height: 50%;
+        }
+
+        .lite-progress-buffer.video { top: 0; }
+        .lite-progress-buffer.audio { bottom: 0; }
+
+        .lite-progress-buffer span {
+            position: absolute;
+            top: 0;
+            bottom: 0;
+            background: rgba(255,255,255,0.4);
+        }
+
+        .lite-progress-buffer.audio span {
+            background: rgba(82,196,26,0.5);
+        }
+
+        .lite-progress-played {
+            position: absolute;
+            left: 0;
+            top: 0;
+            bottom: 0;
+            background: #00a1d6;
+        }
+
+        .lite-progress-tooltip {
+            position: absolute;
+            bottom: 16px;
+            transform: translateX(-50%);
+            padding: 2px 6px;
+            background: rgba(0,0,0,0.8);
+            border-radius: 3px;
+            display: none;
+            white-space: nowrap;
+        }
+
+        .lite-progress-thumbnail {
+            display: none;
+            margin-bottom: 4px;
+            background-repeat: no-repeat;
+            border-radius: 2px;
+        }
+
+        .lite-progress-tooltip div:last-child {
+            text-align: center;
+        }
+
+        .lite-progress:hover .lite-progress-tooltip {
+            display: block;
+        }
+
+        .lite-overlay-row {
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            margin-top: 4px;
+        }
+
+        .lite-overlay-spacer {
+            flex: 1;
+        }
+
+        .lite-overlay button {
+            background: none;
+            border: none;
+            color: #fff;
+            cursor: pointer;
+            font-size: 13px;
+            padding: 2px 4px;
+        }
+
+        .lite-overlay button:hover {
+            color: #00a1d6;
+        }
+
+        .lite-menu {
+            position: relative;
+        }
+
+        .lite-menu-list {
+            position: absolute;
+            bottom: 100%;
+            left: 50%;
+            transform: translateX(-50%);
+            padding: 4px 0;
+            background: rgba(0,0,0,0.85);
+            border-radius: 4px;
+            display: none;
+            min-width: 80px;
+        }
+
+        .lite-menu:hover .lite-menu-list {
+            display: block;
+        }
+
+        .lite-menu-item {
+            padding: 4px 12px;
+            white-space: nowrap;
+            cursor: pointer;
+        }
+
+        .lite-menu-item:hover {
+            background: rgba(255,255,255,0.1);
+        }
+
+        .lite-menu-item.active {
+            color: #00a1d6;
+        }
+
+        .lite-menu-item.disabled {
+            color: rgba(255,255,255,0.35);
+            cursor: not-allowed;
+        }
+
+        .lite-menu-item.disabled:hover {
+            background: none;
+        }
+
+        .lite-hint {
+            position: absolute;
+            left: 50%;
+            top: 20%;
+            transform: translateX(-50%);
+            padding: 6px 14px;
+            background: rgba(0,0,0,0.7);
+            color: #fff;
+            border-radius: 4px;
+            font-size: 14px;
+            z-index: 21;
+            pointer-events: none;
+            display: none;
+        }
+
+        .lite-context-menu {
+            position: absolute;
+            padding: 4px 0;
+            background: rgba(0,0,0,0.85);
+            color: #fff;
+            font-size: 13px;
+            border-radius: 4px;
+            z-index: 30;
+            min-width: 120px;
+            user-select: none;
+        }
+
+        .lite-volume {
+            display: flex;
+            align-items: center;
+        }
+
+        .lite-volume input {
+            width: 70px;
+        }
+    `;
+    document.head.appendChild(style);
+}
+
+/**
+ * 播放器疊加控制層
+ */
+class OverlayControls {
+    /**
+     * @param {HTMLElement} container - 播放器容器（#bilibili-lite-player）
+     * @param {HTMLVideoElement|SegmentedVideo} media - 播放時鐘
+     * @param {Object} options - {
+     *   video: 視頻元素（點擊、雙擊和緩衝事件）,
+     *   playInfo: 播放信息對象（畫質、音質列表）,
+     *   bufferSources: [{ name: 'video' | 'audio', getRanges: () => [[start, end], ...] }],
+     *   autoQuality: 是否提供「自動」畫質（僅 MSE 模式可無縫切換）,
+     *   initialVolume: 重建播放器時沿用的 { volume, muted }，不再讀取保存的音量,
+     *   danmaku: DanmakuRenderer，提供時顯示彈幕開關,
+     *   subtitles: SubtitleManager，有字幕時顯示字幕菜單,
+     *   onQualityChange(qn | AUTO_QUALITY), onAudioQualityChange(audioQuality)
+     * }
+     */
+    constructor(container, media, options = {}) {
+        this.container = container;
+        this.media = media;
+        this.video = options.video || media;
+        this.playInfo = options.playInfo || {};
+        this.bufferSources = options.bufferSources || [];
+        this.onQualityChange = options.onQualityChange || null;
+        this.autoQuality = !!options.autoQuality;
+        this.qualityMenu = null;
+        this.onAudioQualityChange = options.onAudioQualityChange || null;
+        this.audioMenu = null;
+        this.danmaku = options.danmaku || null;
+        this.danmakuButton = null;
+        this.subtitles = options.subtitles || null;
+        this.subtitleMenu = null;
+        this.hideTimer = null;
+        this.hintTimer = null;
+        this.seekPreview = null; // 拖動進度條時的預覽時間
+        this.thumbnails = null;
+        this.contextItems = []; // 右鍵菜單項 [{ label, handler }]
+        this.contextMenu = null;
+        this.listeners = [];
+        this.destroyed = false;
+
+        injectStyles();
+        this.root = document.createElement('div');
+        this.root.className = 'lite-overlay';
+        this.root.appendChild(this.createProgress());
+        this.root.appendChild(this.createButtonRow());
+        container.appendChild(this.root);
+
+        this.hint = document.createElement('div');
+        this.hint.className = 'lite-hint';
+        container.appendChild(this.hint);
+
+        this.listen(media, 'play', () => this.updatePlayState());
+        this.listen(media, 'pause', () => this.updatePlayState());
+        this.listen(media, 'timeupdate', () => this.updateProgress());
+        this.listen(media, 'loadedmetadata', () => this.updateProgress());
+        this.listen(media, 'ratechange', () => this.updateSpeedLabel());
+        this.listen(media, 'volumechange', () => this.updateVolume());
+        this.listen(this.video, 'click', () => {
+            // 點擊畫面關閉右鍵菜單時不切換播放狀態
+            if (this.closeContextMenu()) return;
+            this.togglePlay();
+        });
+        this.listen(this.video, 'contextmenu', (e) => this.openContextMenu(e));
+        this.listen(document, 'click', () => this.closeContextMenu());
+        this.listen(this.video, 'dblclick', () => this.toggleFullscreen());
+        this.listen(container, 'mousemove', () => this.showTemporarily());
+        this.listen(container, 'mouseleave', () => this.scheduleHide(0));
+        this.listen(document, 'fullscreenchange', () => this.updateFullscreenLabels());
+        if (this.danmaku) this.listen(this.danmaku, 'change', () => this.updateDanmakuButton());
+        if (this.subtitles) {
+            this.listen(this.subtitles, 'change', () => this.subtitleMenu?.setCurrent(this.subtitles.current));
+        }
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.closeContextMenu()) return;
+            if (e.key === 'Escape' && this.isWebFullscreen()) this.toggleWebFullscreen();
+        });
+
+        this.bufferTimer = setInterval(() => this.updateBuffered(), BUFFER_UPDATE_INTERVAL);
+
+        if (options.initialVolume) {
+            this.media.volume = options.initialVolume.volume;
+            this.media.muted = options.initialVolume.muted;
+        } else {
+            getStorageValue(VOLUME_KEY, null).then(saved => {
+                if (!saved || this.destroyed) return;
+                this.media.volume = saved.volume;
+                this.media.muted = saved.muted;
+            });
+        }
+
+        this.updatePlayState();
+        this.updateProgress();
+        this.updateSpeedLabel();
+        this.updateVolume();
+        this.updateFullscreenLabels();
+        this.updateDanmakuButton();
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push([target, type, handler]);
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title;
+        button.onclick = (e) => {
+            e.stopPropagation();
+            onClick();
+        };
+        return button;
+    }
+
+    /**
+     * 創建向上彈出的菜單
+     * @param {Array<Object>} items - [{ value, label, disabled, title }]，disabled 的項目顯示為灰色且不可選，title 為懸停說明
+     * @param {*} current - 當前值
+     * @param {Function} onSelect - 選中回調
+     * @returns {{ element: HTMLElement, button: HTMLButtonElement, setCurrent: Function }}
+     */
+    createMenu(items, current, onSelect) {
+        const menu = document.createElement('div');
+        menu.className = 'lite-menu';
+        const button = document.createElement('button');
+        const list = document.createElement('div');
+        list.className = 'lite-menu-list';
+
+        const setCurrent = (value) => {
+            const item = items.find(i => i.value === value);
+            button.textContent = item ? item.label : String(value);
+            Array.from(list.children).forEach((child, index) => {
+                child.classList.toggle('active', items[index].value === value);
+            });
+        };
+
+        items.forEach(item => {
+            const option = document.createElement('div');
+            option.className = 'lite-menu-item';
+            option.textContent = item.label;
+            if (item.title) option.title = item.title;
+            option.classList.toggle('disabled', !!item.disabled);
+            option.onclick = (e) => {
+                e.stopPropagation();
+                if (item.disabled) return;
+                setCurrent(item.value);
+                onSelect(item.value);
+            };
+            list.appendChild(option);
+        });
+
+        menu.appendChild(button);
+        menu.appendChild(list);
+        setCurrent(current);
+        return { element: menu, button, setCurrent };
+    }
+
+    createProgress() {
+        const progress = document.createElement('div');
+        progress.className = 'lite-progress';
+
+        const track = document.createElement('div');
+        track.className = 'lite-progress-track';
+        this.bufferLayers = this.bufferSources.map(source => {
+            const layer = document.createElement('div');
+            layer.className = `lite-progress-buffer ${source.name}`;
+            // 只有一條流時佔滿整條
+            if (this.bufferSources.length === 1) layer.style.height = '100%';
+            track.appendChild(layer);
+            return layer;
+        });
+        this.playedBar = document.createElement('div');
+        this.playedBar.className = 'lite-progress-played';
+        track.appendChild(this.playedBar);
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'lite-progress-tooltip';
+        this.thumbnail = document.createElement('div');
+        this.thumbnail.className = 'lite-progress-thumbnail';
+        this.tooltipTime = document.createElement('div');
+        this.tooltip.appendChild(this.thumbnail);
+        this.tooltip.appendChild(this.tooltipTime);
+
+        progress.appendChild(track);
+        progress.appendChild(this.tooltip);
+
+        const ratioAt = (e) => {
+            const rect = progress.getBoundingClientRect();
+            return Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        };
+        progress.addEventListener('mousemove', (e) => {
+            const ratio = ratioAt(e);
+            const time = ratio * this.getDuration();
+            this.tooltipTime.textContent = formatTime(time);
+            this.updateThumbnail(time);
+            // 提示框不超出進度條兩端
+            const half = this.tooltip.offsetWidth / 2;
+            const x = Math.max(half, Math.min(progress.clientWidth - half, ratio * progress.clientWidth));
+            this.tooltip.style.left = `${x}px`;
+        });
+        progress.addEventListener('pointerdown', (e) => {
+            e.stopPropagation();
+            progress.setPointerCapture(e.pointerId);
+            this.seekPreview = ratioAt(e) * this.getDuration();
+            this.updateProgress();
+        });
+        progress.addEventListener('pointermove', (e) => {
+            if (this.seekPreview === null) return;
+            this.seekPreview = ratioAt(e) * this.getDuration();
+            this.updateProgress();
+        });
+        progress.addEventListener('pointerup', (e) => {
+            if (this.seekPreview === null) return;
+            progress.releasePointerCapture(e.pointerId);
+            this.media.currentTime = this.seekPreview;
+            this.seekPreview = null;
+        });
+        return progress;
+    }
+
+    createButtonRow() {
+        const row = document.createElement('div');
+        row.className = 'lite-overlay-row';
+
+        this.playButton = this.createButton('▶', '播放/暫停', () => this.togglePlay());
+        this.timeLabel = document.createElement('span');
+        const spacer = document.createElement('div');
+        spacer.className = 'lite-overlay-spacer';
+
+        row.appendChild(this.playButton);
+        row.appendChild(this.timeLabel);
+        row.appendChild(spacer);
+
+        // 畫質（包括僅播放聲音）
+        const playInfo = this.playInfo;
+        if (this.onQualityChange) {
+            const qualityItems = (playInfo.acceptQn || [playInfo.qn]).map(qn => {
+                let label = qualityMap[qn] || String(qn);
+                if (qn >= 100 && qn <= 127) {
+                    label += ' (大會員)';
+                } else if (qn === 74) {
+                    label += ' (限免)';
+                }
+                // 瀏覽器無法解碼該畫質的任何編碼時置灰
+                const reason = getUnsupportedReason(playInfo.rawDash?.video, qn);
+                return reason ? { value: qn, label, disabled: true, title: reason } : { value: qn, label };
+            });
+            if (this.autoQuality) {
+                qualityItems.unshift({ value: AUTO_QUALITY, label: '自動' });
+            }
+            qualityItems.push({ value: 0, label: '僅播放聲音' });
+            this.qualityMenu = this.createMenu(qualityItems, playInfo.qn, qn => this.onQualityChange(qn));
+            this.qualityMenu.button.id = 'quality-selector';
+            row.appendChild(this.qualityMenu.element);
+        }
+
+        // 音質
+        if (this.onAudioQualityChange && playInfo.acceptAudio && playInfo.acceptAudio.length > 1) {
+            const audioItems = playInfo.acceptAudio.map(aq => ({ value: aq, label: audioQualityMap[aq] || String(aq) }));
+            this.audioMenu = this.createMenu(audioItems, playInfo.audioQuality, aq => this.onAudioQualityChange(aq));
+            this.audioMenu.button.id = 'audio-quality-selector';
+            row.appendChild(this.audioMenu.element);
+        }
+
+        // 字幕（列表異步取得，有字幕時才插入菜單）
+        if (this.subtitles) {
+            const subtitleSlot = document.createElement('div');
+            row.appendChild(subtitleSlot);
+            this.subtitles.ready.then(list => {
+                if (this.destroyed || list.length === 0) return;
+                const subtitleItems = [{ value: '', label: '字幕關閉' }]
+                    .concat(list.map(item => ({ value: item.lan, label: item.lan_doc })));
+                this.subtitleMenu = this.createMenu(subtitleItems, this.subtitles.current, lan => {
+                    this.subtitles.select(lan).catch(e => {
+                        console.warn('[LitePlayer Controls] 字幕加載失敗:', e);
+                    });
+                });
+                subtitleSlot.replaceWith(this.subtitleMenu.element);
+            });
+        }
+
+        // 彈幕開關
+        if (this.danmaku) {
+            this.danmakuButton = this.createButton('彈幕', '彈幕開關', () => {
+                this.danmaku.toggle();
+                setStorageValue('bilibili-lite-danmaku', this.danmaku.settings);
+            });
+            row.appendChild(this.danmakuButton);
+        }
+
+        // 倍速
+        const speedItems = SPEED_OPTIONS.map(rate => ({ value: rate, label: rate === 1 ? '倍速' : `${rate}x` }));
+        this.speedMenu = this.createMenu(speedItems, 1, rate => {
+            this.media.playbackRate = rate;
+        });
+        row.appendChild(this.speedMenu.element);
+
+        // 音量
+        const volume = document.createElement('div');
+        volume.className = 'lite-volume';
+        this.muteButton = this.createButton('🔊', '靜音', () => {
+            this.media.muted = !this.media.muted;
+            this.saveVolume();
+        });
+        this.volumeSlider = document.createElement('input');
+        this.volumeSlider.type = 'range';
+        this.volumeSlider.min = '0';
+        this.volumeSlider.max = '1';
+        this.volumeSlider.step = '0.05';
+        this.volumeSlider.title = '音量';
+        this.volumeSlider.oninput = () => {
+            this.media.volume = parseFloat(this.volumeSlider.value);
+            this.media.muted = this.media.volume === 0;
+        };
+        this.volumeSlider.onchange = () => this.saveVolume();
+        this.volumeSlider.addEventListener('click', e => e.stopPropagation());
+        volume.appendChild(this.muteButton);
+        volume.appendChild(this.volumeSlider);
+        row.appendChild(volume);
+
+        // 網頁全屏和全屏
+        this.webFullscreenButton = this.createButton('網頁全屏', '網頁全屏', () => this.toggleWebFullscreen());
+        this.fullscreenButton = this.createButton('全屏', '全屏', () => this.toggleFullscreen());
+        row.appendChild(this.webFullscreenButton);
+        row.appendChild(this.fullscreenButton);
+
+        return row;
+    }
+
+    /**
+     * 按彈幕開關狀態更新按鈕，關閉時加刪除線
+     */
+    updateDanmakuButton() {
+        if (!this.danmakuButton) return;
+        const enabled = this.danmaku.settings.enabled;
+        this.danmakuButton.style.textDecoration = enabled ? '' : 'line-through';
+        this.danmakuButton.title = enabled ? '關閉彈幕' : '開啟彈幕';
+    }
+
+    /**
+     * 更新畫質菜單的當前項，自動模式下按鈕同時顯示實際畫質
+     * @param {number} qn - 正在播放的畫質
+     * @param {boolean} auto - 是否處於自動模式
+     */
+    setQuality(qn, auto = false) {
+        if (!this.qualityMenu) return;
+        this.qualityMenu.setCurrent(auto ? AUTO_QUALITY : qn);
+        if (auto) {
+            this.qualityMenu.button.textContent = `自動(${qualityMap[qn] || qn})`;
+        }
+    }
+
+    /**
+     * 更新音質菜單的當前項（無縫切換音質後調用）
+     * @param {number} audioQuality
+     */
+    setAudioQuality(audioQuality) {
+        this.audioMenu?.setCurrent(audioQuality);
+    }
+
+    /**
+     * 設置進度條縮略圖（videoshot 加載完成後調用）
+     * @param {Object|null} shot - fetchVideoshot 的結果
+     */
+    setThumbnails(shot) {
+        this.thumbnails = shot;
+    }
+
+    updateThumbnail(time) {
+        const frame = this.thumbnails && findThumbnail(this.thumbnails, time);
+        if (!frame) {
+            this.thumbnail.style.display = 'none';
+            return;
+        }
+        this.thumbnail.style.display = 'block';
+        this.thumbnail.style.width = `${frame.width}px`;
+        this.thumbnail.style.height = `${frame.height}px`;
+        this.thumbnail.style.backgroundImage = `url("${frame.image}")`;
+        this.thumbnail.style.backgroundPosition = `-${frame.x}px -${frame.y}px`;
+    }
+
+    getDuration() {
+        const duration = this.media.duration;
+        return Number.isFinite(duration) && duration > 0 ? duration : (this.playInfo.duration || 0);
+    }
+
+    togglePlay() {
+        if (this.media.paused) {
+            this.media.play().catch(e => console.warn('[LitePlayer Controls] 播放失敗:', e));
+        } else {
+            this.media.pause();
+        }
+    }
+
+    isWebFullscreen() {
+        return this.container.classList.contains('lite-web-fullscreen');
+    }
+
+    toggleWebFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        }
+        this.container.classList.toggle('lite-web-fullscreen');
+        this.updateFullscreenLabels();
+    }
+
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else {
+            this.container.requestFullscreen().catch(e => console.warn('[LitePlayer Controls] 無法進入全屏:', e));
+        }
+    }
+
+    updateFullscreenLabels() {
+        this.fullscreenButton.textContent = document.fullscreenElement === this.container ? '退出全屏' : '全屏';
+        this.webFullscreenButton.textContent = this.isWebFullscreen() ? '退出網頁全屏' : '網頁全屏';
+    }
+
+    updatePlayState() {
+        this.playButton.textContent = this.media.paused ? '▶' : '❚❚';
+        if (this.media.paused) {
+            this.show();
+        } else {
+            this.scheduleHide();
+        }
+    }
+
+    updateProgress() {
+        const duration = this.getDuration();
+        const time = this.seekPreview !== null ? this.seekPreview : this.media.currentTime;
+        this.playedBar.style.width = duration ? `${Math.min(100, time / duration * 100)}%` : '0';
+        this.timeLabel.textContent = `${formatTime(time)} / ${formatTime(duration)}`;
+    }
+
+    updateBuffered() {
+        const duration = this.getDuration();
+        if (!duration) return;
+        this.bufferSources.forEach((source, index) => {
+            const layer = this.bufferLayers[index];
+            const ranges = source.getRanges();
+            while (layer.children.length < ranges.length) {
+                layer.appendChild(document.createElement('span'));
+            }
+            while (layer.children.length > ranges.length) {
+                layer.lastChild.remove();
+            }
+            ranges.forEach(([start, end], i) => {
+                const span = layer.children[i];
+                span.style.left = `${start / duration * 100}%`;
+                span.style.width = `${Math.max(0, end - start) / duration * 100}%`;
+            });
+        });
+    }
+
+    updateSpeedLabel() {
+        this.speedMenu.setCurrent(this.media.playbackRate);
+    }
+
+    updateVolume() {
+        const muted = this.media.muted || this.media.volume === 0;
+        this.muteButton.textContent = muted ? '🔇' : '🔊';
+        this.volumeSlider.value = muted ? 0 : this.media.volume;
+    }
+
+    saveVolume() {
+        setStorageValue(VOLUME_KEY, { volume: this.media.volume, muted: this.media.muted });
+    }
+
+    show() {
+        clearTimeout(this.hideTimer);
+        this.root.classList.remove('lite-overlay-hidden');
+        this.container.classList.remove('lite-idle');
+    }
+
+    /**
+     * 播放中無操作一段時間後隱藏控制層和鼠標
+     * @param {number} delay - 毫秒
+     */
+    scheduleHide(delay = HIDE_DELAY) {
+        clearTimeout(this.hideTimer);
+        if (this.media.paused) return;
+        this.hideTimer = setTimeout(() => {
+            if (this.media.paused || this.seekPreview !== null) return;
+            this.root.classList.add('lite-overlay-hidden');
+            this.container.classList.add('lite-idle');
+        }, delay);
+    }
+
+    showTemporarily() {
+        this.show();
+        this.scheduleHide();
+    }
+
+    /**
+     * 在畫面上方短暫顯示提示（快捷鍵操作的反饋）
+     * @param {string} text
+     */
+    showHint(text) {
+        clearTimeout(this.hintTimer);
+        this.hint.textContent = text;
+        this.hint.style.display = 'block';
+        this.hintTimer = setTimeout(() => {
+            this.hint.style.display = 'none';
+        }, HINT_DURATION);
+    }
+
+    /**
+     * 添加右鍵菜單項，沒有菜單項時保留瀏覽器原生菜單
+     * @param {string} label
+     * @param {Function} handler
+     */
+    addContextMenuItem(label, handler) {
+        this.contextItems.push({ label, handler });
+    }
+
+    /**
+     * 在鼠標位置打開自定義右鍵菜單
+     * @param {MouseEvent} e - contextmenu 事件
+     */
+    openContextMenu(e) {
+        if (this.contextItems.length === 0) return;
+        e.preventDefault();
+        this.closeContextMenu();
+        const menu = document.createElement('div');
+        menu.className = 'lite-context-menu';
+        this.contextItems.forEach(item => {
+            const option = document.createElement('div');
+            option.className = 'lite-menu-item';
+            option.textContent = item.label;
+            option.onclick = (event) => {
+                event.stopPropagation();
+                this.closeContextMenu();
+                item.handler();
+            };
+            menu.appendChild(option);
+        });
+        const rect = this.container.getBoundingClientRect();
+        menu.style.left = `${e.clientX - rect.left}px`;
+        menu.style.top = `${e.clientY - rect.top}px`;
+        this.container.appendChild(menu);
+        this.contextMenu = menu;
+    }
+
+    /**
+     * 關閉右鍵菜單
+     * @returns {boolean} 菜單原本是否打開
+     */
+    closeContextMenu() {
+        if (!this.contextMenu) return false;
+        this.contextMenu.remove();
+        this.contextMenu = null;
+        return true;
+    }
+
+    /**
+     * 移除控制層，全屏狀態保留在容器上供重建後的控制層沿用
+     */
+    destroy() {
+        this.destroyed = true;
+        this.closeContextMenu();
+        clearTimeout(this.hideTimer);
+        clearTimeout(this.hintTimer);
+        clearInterval(this.bufferTimer);
+        this.listeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+        this.listeners = [];
+        this.container.classList.remove('lite-idle');
+        this.root.remove();
+        this.hint.remove();
+    }
+}
+
+export { OverlayControls, toRangeList, SPEED_OPTIONS };
@@ -0,0 +1,396 @@
+// danmaku.js - 彈幕獲取、調度與 canvas 渲染
+
+// 彈幕設定默認值
+const DEFAULT_DANMAKU_SETTINGS = {
+    enabled: true,
+    opacity: 0.8,     // 不透明度 0~1
+    fontScale: 1,     // 字號縮放
+    density: 1,       // 保留比例 0~1
+    area: 0.75        // 顯示區域佔播放器高度的比例
+};
+
+const SCROLL_DURATION = 8;   // 滾動彈幕穿過屏幕的秒數
+const FIXED_DURATION = 4;    // 頂部/底部彈幕停留秒數
+const SEGMENT_LENGTH = 360;  // protobuf 分段接口每段的秒數
+const BASE_FONT_SIZE = 25;   // B 站彈幕標準字號
+
+// 已加載彈幕的緩存，切換畫質時不重複請求
+const commentCache = new Map();
+
+/**
+ * 統一的彈幕對象
+ * @typedef {Object} DanmakuComment
+ * @property {number} time - 出現時間（秒）
+ * @property {number} mode - 1~3 滾動, 4 底部, 5 頂部, 6 逆向
+ * @property {number} size - 字號
+ * @property {number} color - 顏色（十進制 RGB）
+ * @property {string} text - 內容
+ */
+
+/**
+ * 解析 XML 彈幕（list.so）
+ * @param {string} xmlText
+ * @returns {Array<DanmakuComment>}
+ */
+function parseDanmakuXml(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, 'text/xml');
+    return Array.from(doc.getElementsByTagName('d')).map(node => {
+        const attrs = (node.getAttribute('p') || '').split(',');
+        const color = parseInt(attrs[3], 10);
+        return {
+            time: parseFloat(attrs[0]) || 0,
+            mode: parseInt(attrs[1], 10) || 1,
+            size: parseInt(attrs[2], 10) || BASE_FONT_SIZE,
+            color: Number.isNaN(color) ? 0xffffff : color, // 0 為黑色彈幕，不能當作缺省
+            text: node.textContent
+        };
+    });
+}
+
+/**
+ * 讀取 protobuf varint
+ * @param {Uint8Array} bytes
+ * @param {Object} cursor - { pos }
+ * @returns {number}
+ */
+function readVarint(bytes, cursor) {
+    let result = 0;
+    let shift = 0;
+    while (cursor.pos < bytes.length) {
+        const byte = bytes[cursor.pos++];
+        // 超過 32 位時改用乘法，避免位運算溢出
+        result += (byte & 0x7f) * 2 ** shift;
+        if ((byte & 0x80) === 0) break;
+        shift += 7;
+    }
+    return result;
+}
+
+/**
+ * 遍歷一段 protobuf 消息的字段
+ * @param {Uint8Array} bytes
+ * @param {Function} onField - (fieldNumber, value) 長度前綴字段的 value 為 Uint8Array
+ */
+function readProtoFields(bytes, onField) {
+    const cursor = { pos: 0 };
+    while (cursor.pos < bytes.length) {
+        const key = readVarint(bytes, cursor);
+        const field = Math.floor(key / 8);
+        const wireType = key & 7;
+        if (wireType === 0) {
+            onField(field, readVarint(bytes, cursor));
+        } else if (wireType === 2) {
+            const length = readVarint(bytes, cursor);
+            onField(field, bytes.subarray(cursor.pos, cursor.pos + length));
+            cursor.pos += length;
+        } else if (wireType === 1) {
+            cursor.pos += 8;
+        } else if (wireType === 5) {
+            cursor.pos += 4;
+        } else {
+            throw new Error(`不支持的 protobuf wire type: ${wireType}`);
+        }
+    }
+}
+
+/**
+ * 解析 protobuf 分段彈幕（DmSegMobileReply）
+ * @param {ArrayBuffer} buffer
+ * @returns {Array<DanmakuComment>}
+ */
+function parseDanmakuSegment(buffer) {
+    const decoder = new TextDecoder();
+    const comments = [];
+    readProtoFields(new Uint8Array(buffer), (field, value) => {
+        if (field !== 1) return; // elems
+        const comment = { time: 0, mode: 1, size: BASE_FONT_SIZE, color: 0xffffff, text: '' };
+        readProtoFields(value, (f, v) => {
+            if (f === 2) comment.time = v / 1000;      // progress（毫秒）
+            else if (f === 3) comment.mode = v;
+            else if (f === 4) comment.size = v;
+            else if (f === 5) comment.color = v; // 出現即採用，0 保持黑色
+            else if (f === 7) comment.text = decoder.decode(v);
+        });
+        comments.push(comment);
+    });
+    return comments;
+}
+
+/**
+ * 通過 protobuf 分段接口取得全部彈幕
+ * @param {number} cid
+ * @param {number} duration - 視頻時長（秒）
+ * @returns {Promise<Array<DanmakuComment>>}
+ */
+async function fetchDanmakuSegments(cid, duration) {
+    const segmentCount = Math.max(1, Math.ceil(duration / SEGMENT_LENGTH));
+    const requests = [];
+    for (let i = 1; i <= segmentCount; i++) {
+        const api = `https://api.bilibili.com/x/v2/dm/web/seg.so?type=1&oid=${cid}&segment_index=${i}`;
+        requests.push(fetch(api, { credentials: 'include' }).then(res => {
+            if (!res.ok) throw new Error(`彈幕分段請求失敗: HTTP ${res.status}`);
+            return res.arrayBuffer();
+        }));
+    }
+    const buffers = await Promise.all(requests);
+    return buffers.flatMap(parseDanmakuSegment);
+}
+
+/**
+ * 取得彈幕列表，優先 protobuf 分段接口，失敗時回退 XML
+ * @param {number} cid
+ * @param {number} duration - 視頻時長（秒），未知時只走 XML
+ * @returns {Promise<Array<DanmakuComment>>} 按時間排序的彈幕
+ */
+async function fetchDanmaku(cid, duration = 0) {
+    if (commentCache.has(cid)) return commentCache.get(cid);
+
+    let comments = null;
+    if (duration > 0) {
+        try {
+            comments = await fetchDanmakuSegments(cid, duration);
+            console.log(`[LitePlayer Danmaku] 分段接口加載 ${comments.length} 條彈幕`);
+        } catch (e) {
+            console.warn('[LitePlayer Danmaku] 分段接口失敗，回退 XML:', e);
+        }
+    }
+    if (!comments) {
+        const res = await fetch(`https://api.bilibili.com/x/v1/dm/list.so?oid=${cid}`);
+        comments = parseDanmakuXml(await res.text());
+        console.log(`[LitePlayer Danmaku] XML 接口加載 ${comments.length} 條彈幕`);
+    }
+
+    comments.sort((a, b) => a.time - b.time);
+    commentCache.set(cid, comments);
+    return comments;
+}
+
+/**
+ * 彈幕渲染器：根據 video.currentTime 調度彈幕並繪製到 canvas
+ * 設定變化時派發 change 事件，供控制欄、疊加層和快捷鍵同步開關狀態
+ */
+class DanmakuRenderer extends EventTarget {
+    /**
+     * @param {HTMLElement} container - 播放器容器（#bilibili-lite-player）
+     * @param {HTMLVideoElement} video - 視頻元素
+     * @param {Object} settings - 彈幕設定，缺省字段使用默認值
+     */
+    constructor(container, video, settings = {}) {
+        super();
+        this.container = container;
+        this.video = video;
+        this.settings = { ...DEFAULT_DANMAKU_SETTINGS, ...settings };
+        this.comments = [];
+        this.nextIndex = 0;
+        this.active = [];
+        this.lastTime = 0;
+        this.frameId = null;
+        this.width = 0;
+        this.height = 0;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'bilibili-lite-danmaku';
+        this.canvas.style.position = 'absolute';
+        this.canvas.style.left = '0';
+        this.canvas.style.top = '0';
+        this.canvas.style.width = '100%';
+        this.canvas.style.height = '100%';
+        this.canvas.style.pointerEvents = 'none';
+        this.canvas.style.display = this.settings.enabled ? '' : 'none';
+        this.ctx = this.canvas.getContext('2d');
+        container.appendChild(this.canvas);
+
+        this.resizeObserver = new ResizeObserver(() => this.resize());
+        this.resizeObserver.observe(container);
+        this.resize();
+
+        this.render = this.render.bind(this);
+        this.frameId = requestAnimationFrame(this.render);
+    }
+
+    /**
+     * 載入彈幕列表
+     * @param {Array<DanmakuComment>} comments - 已按時間排序
+     */
+    load(comments) {
+        this.comments = comments;
+        this.reset();
+    }
+
+    /**
+     * 更新設定
+     * @param {Object} partial - 要修改的設定字段
+     */
+    updateSettings(partial) {
+        this.settings = { ...this.settings, ...partial };
+        this.canvas.style.display = this.settings.enabled ? '' : 'none';
+        this.canvas.style.opacity = this.settings.opacity;
+        this.reset();
+        this.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * 開關彈幕
+     * @returns {boolean} 切換後是否顯示
+     */
+    toggle() {
+        this.updateSettings({ enabled: !this.settings.enabled });
+        return this.settings.enabled;
+    }
+
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        this.width = this.container.clientWidth;
+        this.height = this.container.clientHeight;
+        this.canvas.width = this.width * ratio;
+        this.canvas.height = this.height * ratio;
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.canvas.style.opacity = this.settings.opacity;
+    }
+
+    /**
+     * 清空屏幕上的彈幕並從當前時間重新調度（拖動進度或改設定後）
+     */
+    reset() {
+        const time = this.video.currentTime;
+        this.active = [];
+        this.lastTime = time;
+        // 二分查找第一條時間 >= 當前時間的彈幕
+        let low = 0;
+        let high = this.comments.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.comments[mid].time < time) low = mid + 1;
+            else high = mid;
+        }
+        this.nextIndex = low;
+    }
+
+    /**
+     * 按密度設定決定是否顯示某條彈幕
+     * @param {number} index - 彈幕序號
+     * @returns {boolean}
+     */
+    shouldShow(index) {
+        return (index % 10) < Math.round(this.settings.density * 10);
+    }
+
+    /**
+     * 為新彈幕分配軌道，沒有空閒軌道時返回 -1
+     * @param {Object} item - 正在加入的彈幕
+     * @param {number} time - 當前時間
+     * @returns {number}
+     */
+    allocateRow(item, time) {
+        const rowCount = Math.max(1, Math.floor(this.height * this.settings.area / item.lineHeight));
+        const sameType = this.active.filter(a => a.type === item.type);
+        for (let row = 0; row < rowCount; row++) {
+            const occupied = sameType.some(a => {
+                if (a.row !== row) return false;
+                if (item.type === 'top' || item.type === 'bottom') return true;
+                // 前一條的尾部尚未完全進入屏幕（逆向彈幕左右鏡像，計算相同）
+                const elapsed = time - a.comment.time;
+                const tailX = this.width - elapsed * a.speed + a.textWidth;
+                if (tailX > this.width) return true;
+                // 新彈幕更快時，檢查它是否會在前一條離開前追上
+                if (item.speed <= a.speed) return false;
+                const remaining = SCROLL_DURATION - elapsed;
+                return this.width - remaining * item.speed < 0;
+            });
+            if (!occupied) return row;
+        }
+        return -1;
+    }
+
+    /**
+     * 將到達時間的彈幕加入屏幕
+     * @param {number} time - 當前播放時間
+     */
+    schedule(time) {
+        const fontFamily = 'SimHei, "Microsoft YaHei", sans-serif';
+        while (this.nextIndex < this.comments.length && this.comments[this.nextIndex].time <= time) {
+            const index = this.nextIndex++;
+            const comment = this.comments[index];
+            if (comment.mode > 6 || !this.shouldShow(index)) continue;
+            // 太舊的彈幕（如暫停後恢復）不再顯示
+            if (time - comment.time > 1) continue;
+
+            const fontSize = Math.round(comment.size * this.settings.fontScale);
+            const font = `bold ${fontSize}px ${fontFamily}`;
+            this.ctx.font = font;
+            const textWidth = this.ctx.measureText(comment.text).width;
+            const type = comment.mode === 4 ? 'bottom' : comment.mode === 5 ? 'top' : comment.mode === 6 ? 'reverse' : 'scroll';
+            const item = {
+                comment,
+                type,
+                font,
+                textWidth,
+                lineHeight: fontSize + 4,
+                speed: (this.width + textWidth) / SCROLL_DURATION,
+                row: -1
+            };
+            item.row = this.allocateRow(item, time);
+            if (item.row >= 0) this.active.push(item);
+        }
+    }
+
+    render() {
+        this.frameId = requestAnimationFrame(this.render);
+        if (!this.settings.enabled || this.width === 0) return;
+
+        const time = this.video.currentTime;
+        // 向回拖動或跳躍超過 1 秒視為 seek
+        if (time < this.lastTime || time - this.lastTime > 1) {
+            this.reset();
+        }
+        this.lastTime = time;
+
+        this.schedule(time);
+        this.active = this.active.filter(item => {
+            const duration = item.type === 'scroll' || item.type === 'reverse' ? SCROLL_DURATION : FIXED_DURATION;
+            return time - item.comment.time < duration;
+        });
+
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.textBaseline = 'top';
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = 'rgba(0,0,0,0.6)';
+        this.active.forEach(item => {
+            const elapsed = time - item.comment.time;
+            let x;
+            let y;
+            if (item.type === 'scroll') {
+                x = this.width - elapsed * item.speed;
+                y = item.row * item.lineHeight;
+            } else if (item.type === 'reverse') {
+                // 逆向彈幕從左側進入，向右移動
+                x = elapsed * item.speed - item.textWidth;
+                y = item.row * item.lineHeight;
+            } else {
+                x = (this.width - item.textWidth) / 2;
+                y = item.type === 'top'
+                    ? item.row * item.lineHeight
+                    : this.height - (item.row + 1) * item.lineHeight;
+            }
+            ctx.font = item.font;
+            ctx.fillStyle = `#${item.comment.color.toString(16).padStart(6, '0')}`;
+            ctx.strokeText(item.comment.text, x, y);
+            ctx.fillText(item.comment.text, x, y);
+        });
+    }
+
+    /**
+     * 停止渲染並移除 canvas
+     */
+    destroy() {
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.resizeObserver.disconnect();
+        this.canvas.remove();
+    }
+}
+
+export { DanmakuRenderer, fetchDanmaku, parseDanmakuXml, parseDanmakuSegment, DEFAULT_DANMAKU_SETTINGS };
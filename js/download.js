@@ -0,0 +1,546 @@
+// download.js - 離線下載當前視頻
+// DASH 音視頻兩條 fMP4 軌道分塊並發下載，在瀏覽器內合併成一個 MP4：
+// 兩個初始化分段的 trak 併入同一個 moov，媒體分段（moof + mdat）按時間交錯拼接，無需 ffmpeg
+import { cdnOptimizer } from './api.js';
+import { parseSegmentBase, parseSidx } from './mse.js';
+
+const CHUNK_SIZE = 4 * 1024 * 1024; // 單個 Range 請求的目標大小（按分段邊界對齊）
+const CONCURRENCY = 4;              // 同時進行的請求數
+const SPEED_WINDOW = 3000;          // 計算下載速度的時間窗口（毫秒）
+
+// 合併後的軌道編號
+const VIDEO_TRACK_ID = 1;
+const AUDIO_TRACK_ID = 2;
+
+// 只有這些盒子需要深入查找子盒子
+const CONTAINER_BOXES = ['moov', 'trak', 'mdia', 'minf', 'stbl', 'edts', 'mvex', 'moof', 'traf'];
+
+// ==================== MP4 盒子工具 ====================
+
+function readType(view, offset) {
+    return String.fromCharCode(
+        view.getUint8(offset), view.getUint8(offset + 1),
+        view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+}
+
+/**
+ * 列出某個範圍內的同級盒子
+ * @param {DataView} view
+ * @param {number} start
+ * @param {number} end
+ * @returns {Array<Object>} [{ type, start, end, payload(內容起始偏移) }]
+ */
+function readBoxes(view, start, end) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        const type = readType(view, offset + 4);
+        let headerSize = 8;
+        if (size === 1) {
+            size = view.getUint32(offset + 8) * 2 ** 32 + view.getUint32(offset + 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) {
+            throw new Error(`無效的 MP4 盒子: ${type}`);
+        }
+        boxes.push({ type, start: offset, end: offset + size, payload: offset + headerSize });
+        offset += size;
+    }
+    return boxes;
+}
+
+function childBoxes(view, box) {
+    return readBoxes(view, box.payload, box.end);
+}
+
+/**
+ * 按路徑查找盒子，如 ['mdia', 'mdhd']
+ * @param {DataView} view
+ * @param {Object} box - 起點盒子
+ * @param {Array<string>} path
+ * @returns {Object|null}
+ */
+function findBox(view, box, path) {
+    let current = box;
+    for (const type of path) {
+        if (!CONTAINER_BOXES.includes(current.type)) return null;
+        current = childBoxes(view, current).find(child => child.type === type);
+        if (!current) return null;
+    }
+    return current;
+}
+
+/**
+ * 拷貝一個盒子，返回可修改的副本和以副本為基準的盒子描述
+ * @param {Uint8Array} bytes
+ * @param {Object} box
+ * @returns {Object} { bytes, view, box }
+ */
+function copyBox(bytes, box) {
+    const copy = bytes.slice(box.start, box.end);
+    const view = new DataView(copy.buffer);
+    return { bytes: copy, view, box: readBoxes(view, 0, copy.byteLength)[0] };
+}
+
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.byteLength, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.byteLength;
+    });
+    return result;
+}
+
+function makeBox(type, parts) {
+    const payload = concatBytes(parts);
+    const result = new Uint8Array(8 + payload.byteLength);
+    const view = new DataView(result.buffer);
+    view.setUint32(0, result.byteLength);
+    for (let i = 0; i < 4; i++) view.setUint8(4 + i, type.charCodeAt(i));
+    result.set(payload, 8);
+    return result;
+}
+
+// 讀寫 version 0/1 的 32/64 位時間字段
+function readTime(view, offset, version) {
+    return version === 1 ? view.getUint32(offset) * 2 ** 32 + view.getUint32(offset + 4) : view.getUint32(offset);
+}
+
+function writeTime(view, offset, version, value) {
+    if (version === 1) {
+        view.setUint32(offset, Math.floor(value / 2 ** 32));
+        view.setUint32(offset + 4, value % 2 ** 32);
+    } else {
+        view.setUint32(offset, Math.min(value, 0xffffffff));
+    }
+}
+
+function getMovieTimescale(view, mvhd) {
+    const version = view.getUint8(mvhd.payload);
+    return view.getUint32(mvhd.payload + (version === 1 ? 20 : 12));
+}
+
+// ==================== 合併 ====================
+
+/**
+ * 拷貝 trak 並改寫軌道編號；音頻軌道的 tkhd、elst 時長以原 moov 的時間刻度記錄，需換算到合併後的刻度
+ * @param {Uint8Array} bytes - 初始化分段
+ * @param {Object} trak
+ * @param {number} trackId
+ * @param {number} scale - 新刻度 / 原刻度
+ * @returns {Uint8Array}
+ */
+function rewriteTrak(bytes, trak, trackId, scale) {
+    const { bytes: copy, view, box } = copyBox(bytes, trak);
+    const tkhd = findBox(view, box, ['tkhd']);
+    if (!tkhd) throw new Error('初始化分段缺少 tkhd');
+    const tkhdVersion = view.getUint8(tkhd.payload);
+    view.setUint32(tkhd.payload + (tkhdVersion === 1 ? 20 : 12), trackId);
+    if (scale !== 1) {
+        const durationOffset = tkhd.payload + (tkhdVersion === 1 ? 28 : 20);
+        writeTime(view, durationOffset, tkhdVersion, Math.round(readTime(view, durationOffset, tkhdVersion) * scale));
+
+        const elst = findBox(view, box, ['edts', 'elst']);
+        if (elst) {
+            const version = view.getUint8(elst.payload);
+            const count = view.getUint32(elst.payload + 4);
+            const entrySize = version === 1 ? 20 : 12;
+            for (let i = 0; i < count; i++) {
+                const offset = elst.payload + 8 + i * entrySize;
+                writeTime(view, offset, version, Math.round(readTime(view, offset, version) * scale));
+            }
+        }
+    }
+    return copy;
+}
+
+function rewriteTrex(bytes, trex, trackId) {
+    const { bytes: copy, view, box } = copyBox(bytes, trex);
+    view.setUint32(box.payload + 4, trackId);
+    return copy;
+}
+
+function parseInit(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const top = readBoxes(view, 0, bytes.byteLength);
+    const ftyp = top.find(box => box.type === 'ftyp');
+    const moov = top.find(box => box.type === 'moov');
+    if (!moov) throw new Error('初始化分段缺少 moov');
+    const children = childBoxes(view, moov);
+    const mvhd = children.find(box => box.type === 'mvhd');
+    const trak = children.find(box => box.type === 'trak');
+    const mvex = children.find(box => box.type === 'mvex');
+    if (!mvhd || !trak || !mvex) throw new Error('初始化分段不是分片 MP4');
+    const trex = childBoxes(view, mvex).find(box => box.type === 'trex');
+    if (!trex) throw new Error('初始化分段缺少 trex');
+    return { bytes, view, ftyp, mvhd, trak, mvex, trex };
+}
+
+/**
+ * 合併音視頻兩個初始化分段：沿用視頻的 ftyp/mvhd，兩個 trak 和 trex 放進同一個 moov
+ * @param {Uint8Array} videoInit
+ * @param {Uint8Array} audioInit
+ * @returns {Uint8Array}
+ */
+function mergeInitSegments(videoInit, audioInit) {
+    const video = parseInit(videoInit);
+    const audio = parseInit(audioInit);
+    const scale = getMovieTimescale(video.view, video.mvhd) / getMovieTimescale(audio.view, audio.mvhd);
+
+    const mvhd = copyBox(video.bytes, video.mvhd);
+    mvhd.view.setUint32(mvhd.bytes.byteLength - 4, AUDIO_TRACK_ID + 1); // next_track_ID
+
+    // mvex 中除 trex 外的盒子（如 mehd）沿用視頻的
+    const mvexExtras = childBoxes(video.view, video.mvex)
+        .filter(box => box.type !== 'trex')
+        .map(box => video.bytes.slice(box.start, box.end));
+    const mvex = makeBox('mvex', [
+        ...mvexExtras,
+        rewriteTrex(video.bytes, video.trex, VIDEO_TRACK_ID),
+        rewriteTrex(audio.bytes, audio.trex, AUDIO_TRACK_ID)
+    ]);
+
+    const moov = makeBox('moov', [
+        mvhd.bytes,
+        rewriteTrak(video.bytes, video.trak, VIDEO_TRACK_ID, 1),
+        rewriteTrak(audio.bytes, audio.trak, AUDIO_TRACK_ID, scale),
+        mvex
+    ]);
+    const ftyp = video.ftyp ? video.bytes.slice(video.ftyp.start, video.ftyp.end) : new Uint8Array(0);
+    return concatBytes([ftyp, moov]);
+}
+
+/**
+ * 改寫一個媒體分段中的 moof：軌道編號改為合併後的編號，序號改為全局遞增
+ * 只保留 moof 和 mdat，sidx 等索引只描述單條軌道，合併後不再有效
+ * @param {Uint8Array} bytes - 一個分段（可含多組 moof + mdat）
+ * @param {number} trackId
+ * @param {Object} sequence - { next } 全局片段序號
+ * @returns {Array<Uint8Array>}
+ */
+function rewriteFragments(bytes, trackId, sequence) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const parts = [];
+    readBoxes(view, 0, bytes.byteLength).forEach(box => {
+        if (box.type === 'mdat') {
+            parts.push(bytes.subarray(box.start, box.end));
+            return;
+        }
+        if (box.type !== 'moof') return;
+        const moof = copyBox(bytes, box);
+        childBoxes(moof.view, moof.box).forEach(child => {
+            if (child.type === 'mfhd') {
+                moof.view.setUint32(child.payload + 4, sequence.next++);
+            } else if (child.type === 'traf') {
+                const tfhd = findBox(moof.view, child, ['tfhd']);
+                if (!tfhd) return;
+                // 使用絕對偏移的分段移動位置後會失效
+                if (moof.view.getUint32(tfhd.payload) & 0x1) {
+                    throw new Error('不支持帶 base_data_offset 的分段');
+                }
+                moof.view.setUint32(tfhd.payload + 4, trackId);
+            }
+        });
+        parts.push(moof.bytes);
+    });
+    return parts;
+}
+
+// ==================== 下載 ====================
+
+/**
+ * 以視頻標題和分P生成文件名
+ * @param {Object} playInfo - 播放信息對象
+ * @returns {string}
+ */
+function buildFilename(playInfo) {
+    const title = playInfo.view?.title || playInfo.bvid || 'video';
+    const page = (playInfo.pages || []).find(p => p.page === playInfo.page);
+    const part = playInfo.pages?.length > 1 && page ? ` P${page.page} ${page.part || ''}` : '';
+    return `${title}${part}`.trim().replace(/[\\/:*?"<>|\s]+/g, ' ').trim() + '.mp4';
+}
+
+/**
+ * 判斷當前播放信息能否下載
+ * @param {Object} playInfo - 播放信息對象
+ * @returns {string|null} 不能下載的原因
+ */
+function getDownloadUnsupportedReason(playInfo) {
+    if (playInfo.audioOnly) return '僅播放聲音時沒有視頻軌道，請先選擇畫質';
+    if (playInfo.dash) {
+        if (!playInfo.videoStream || !playInfo.audioStream) return '缺少音頻或視頻軌道';
+        if (!parseSegmentBase(playInfo.videoStream) || !parseSegmentBase(playInfo.audioStream)) {
+            return '當前流缺少分段索引，無法合併';
+        }
+        return null;
+    }
+    if (!playInfo.segments || playInfo.segments.length !== 1 || /flv/i.test(playInfo.format || '')) {
+        return '僅支持 DASH 或單段 MP4';
+    }
+    if (!playInfo.segments[0].size) return '無法取得文件大小';
+    return null;
+}
+
+/**
+ * 把 [start, end] 按分段邊界切成不超過 CHUNK_SIZE 的請求塊；沒有分段索引時按固定大小切
+ * @param {Array<Object>} segments - [{ start, end }]
+ * @returns {Array<Object>} [{ start, end, data }]
+ */
+function createChunks(segments) {
+    const chunks = [];
+    let current = null;
+    segments.forEach(segment => {
+        if (current && segment.end - current.start + 1 <= CHUNK_SIZE) {
+            current.end = segment.end;
+        } else {
+            current = { start: segment.start, end: segment.end, data: null };
+            chunks.push(current);
+        }
+    });
+    return chunks;
+}
+
+function createFixedChunks(size) {
+    const segments = [];
+    for (let start = 0; start < size; start += CHUNK_SIZE) {
+        segments.push({ start, end: Math.min(start + CHUNK_SIZE, size) - 1 });
+    }
+    return createChunks(segments);
+}
+
+/**
+ * 當前視頻的下載任務：分塊並發下載，可暫停後從未完成的塊繼續
+ * 狀態：idle → preparing → downloading ⇄ paused / error → muxing → done
+ */
+class VideoDownloader {
+    /**
+     * @param {Object} playInfo - 播放信息對象
+     */
+    constructor(playInfo) {
+        this.playInfo = playInfo;
+        this.filename = buildFilename(playInfo);
+        this.state = 'idle';
+        this.error = null;
+        this.tracks = null;
+        this.loaded = 0;
+        this.total = 0;
+        this.controller = null;
+        this.speedSamples = []; // [{ time, loaded }]
+        this.onUpdate = null;
+    }
+
+    setState(state, error = null) {
+        this.state = state;
+        this.error = error;
+        this.onUpdate?.(this);
+    }
+
+    /**
+     * 最近幾秒的下載速度
+     * @returns {number} 字節/秒
+     */
+    getSpeed() {
+        const samples = this.speedSamples;
+        if (samples.length < 2) return 0;
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        return last.time > first.time ? (last.loaded - first.loaded) / ((last.time - first.time) / 1000) : 0;
+    }
+
+    createTrack(type, url, originalUrl, backupUrls, stream) {
+        return {
+            type,
+            stream,
+            failover: cdnOptimizer.createFailover(url, originalUrl, backupUrls),
+            init: null,
+            segments: [],
+            chunks: []
+        };
+    }
+
+    /**
+     * 讀取各軌道的初始化分段和分段索引，切好請求塊
+     */
+    async prepare() {
+        const playInfo = this.playInfo;
+        if (!playInfo.dash) {
+            const segment = playInfo.segments[0];
+            const track = this.createTrack('video', segment.url, segment.originalUrl, segment.backupUrls, null);
+            track.chunks = createFixedChunks(segment.size);
+            this.tracks = [track];
+        } else {
+            this.tracks = [
+                this.createTrack('video', playInfo.videoUrl, playInfo.originalVideoUrl, playInfo.videoBackupUrls, playInfo.videoStream),
+                this.createTrack('audio', playInfo.audioUrl, playInfo.originalAudioUrl, playInfo.audioBackupUrls, playInfo.audioStream)
+            ];
+            for (const track of this.tracks) {
+                const { init, index } = parseSegmentBase(track.stream);
+                const start = Math.min(init[0], index[0]);
+                const end = Math.max(init[1], index[1]);
+                const data = await this.fetchRange(track, start, end);
+                track.init = new Uint8Array(data.slice(init[0] - start, init[1] - start + 1));
+                track.segments = parseSidx(data.slice(index[0] - start, index[1] - start + 1), index[0]);
+                track.chunks = createChunks(track.segments);
+            }
+        }
+        this.total = this.tracks.reduce((sum, track) =>
+            sum + track.chunks.reduce((s, chunk) => s + chunk.end - chunk.start + 1, 0), 0);
+    }
+
+    /**
+     * Range 請求，失敗時換用下一個候選地址；服務器未按範圍返回時視為失敗，避免整個文件讀進內存
+     */
+    async fetchRange(track, start, end) {
+        for (;;) {
+            const url = track.failover.currentUrl;
+            try {
+                const res = await fetch(url, {
+                    headers: { Range: `bytes=${start}-${end}` },
+                    signal: this.controller?.signal
+                });
+                if (res.status !== 206) {
+                    throw new Error(`分段請求失敗: HTTP ${res.status}`);
+                }
+                const data = await res.arrayBuffer();
+                if (data.byteLength !== end - start + 1) {
+                    throw new Error('返回數據長度不符');
+                }
+                return data;
+            } catch (e) {
+                if (e.name === 'AbortError') throw e;
+                const next = track.failover.next();
+                if (!next) throw e;
+                console.warn(`[LitePlayer Download] ${track.type} 請求失敗，切換地址重試:`, e.message);
+            }
+        }
+    }
+
+    /**
+     * 依次下載隊列中的塊；暫停或取消後（signal 已中止）不再記錄返回的數據，避免計入重置後的任務
+     * @param {Array<Object>} queue - [{ track, chunk }]
+     * @param {AbortSignal} signal - 本次 start 的中止信號
+     */
+    async runWorker(queue, signal) {
+        while (queue.length > 0 && this.state === 'downloading' && !signal.aborted) {
+            const { track, chunk } = queue.shift();
+            const data = await this.fetchRange(track, chunk.start, chunk.end);
+            if (signal.aborted) return;
+            chunk.data = new Uint8Array(data);
+            this.loaded += data.byteLength;
+            const now = Date.now();
+            this.speedSamples.push({ time: now, loaded: this.loaded });
+            while (this.speedSamples.length > 2 && now - this.speedSamples[0].time > SPEED_WINDOW) {
+                this.speedSamples.shift();
+            }
+            this.onUpdate?.(this);
+        }
+    }
+
+    /**
+     * 開始或繼續下載，已完成的塊不會重新請求
+     */
+    async start() {
+        if (this.state === 'preparing' || this.state === 'downloading' || this.state === 'muxing') return;
+        const controller = this.controller = new AbortController();
+        this.speedSamples = [];
+        try {
+            if (!this.tracks) {
+                this.setState('preparing');
+                await this.prepare();
+                if (controller.signal.aborted) return;
+            }
+            this.setState('downloading');
+            const queue = [];
+            this.tracks.forEach(track => track.chunks.forEach(chunk => {
+                if (!chunk.data) queue.push({ track, chunk });
+            }));
+            const workers = [];
+            for (let i = 0; i < CONCURRENCY; i++) workers.push(this.runWorker(queue, controller.signal));
+            await Promise.all(workers);
+            // 暫停或取消後，即使隨即重新開始也由新一輪 start 完成
+            if (controller.signal.aborted || this.state !== 'downloading') return;
+
+            this.setState('muxing');
+            const blob = this.buildFile();
+            this.tracks = null; // 釋放分塊數據
+            this.save(blob);
+            this.setState('done');
+        } catch (e) {
+            if (e.name === 'AbortError' || controller.signal.aborted) return;
+            console.error('[LitePlayer Download] 下載失敗:', e);
+            controller.abort();
+            this.setState('error', e.message);
+        }
+    }
+
+    /**
+     * 暫停：中止進行中的請求，已下載的塊保留
+     */
+    pause() {
+        if (this.state !== 'downloading' && this.state !== 'preparing') return;
+        this.controller?.abort();
+        // 準備階段被中止時需重新讀取索引
+        if (this.state === 'preparing') this.tracks = null;
+        this.setState('paused');
+    }
+
+    /**
+     * 取消並丟棄已下載的數據
+     */
+    cancel() {
+        this.controller?.abort();
+        this.tracks = null;
+        this.loaded = 0;
+        this.total = 0;
+        this.setState('idle');
+    }
+
+    /**
+     * 把各塊切回分段，按時間交錯拼成一個 MP4
+     * @returns {Blob}
+     */
+    buildFile() {
+        if (!this.playInfo.dash) {
+            return new Blob(this.tracks[0].chunks.map(chunk => chunk.data), { type: 'video/mp4' });
+        }
+        const [video, audio] = this.tracks;
+        const entries = [];
+        [[video, VIDEO_TRACK_ID], [audio, AUDIO_TRACK_ID]].forEach(([track, trackId]) => {
+            let chunkIndex = 0;
+            track.segments.forEach(segment => {
+                while (track.chunks[chunkIndex].end < segment.end) chunkIndex++;
+                const chunk = track.chunks[chunkIndex];
+                const bytes = chunk.data.subarray(segment.start - chunk.start, segment.end - chunk.start + 1);
+                entries.push({ time: segment.time, trackId, bytes });
+            });
+        });
+        // 同一時間點先放視頻，再按時間交錯
+        entries.sort((a, b) => (a.time - b.time) || (a.trackId - b.trackId));
+
+        const sequence = { next: 1 };
+        const parts = [mergeInitSegments(video.init, audio.init)];
+        entries.forEach(entry => parts.push(...rewriteFragments(entry.bytes, entry.trackId, sequence)));
+        return new Blob(parts, { type: 'video/mp4' });
+    }
+
+    save(blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // 給瀏覽器留出開始保存的時間再釋放
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+        console.log('[LitePlayer Download] 已保存:', this.filename, blob.size);
+    }
+}
+
+export { VideoDownloader, buildFilename, getDownloadUnsupportedReason, mergeInitSegments, rewriteFragments };
@@ -0,0 +1,212 @@
+// durl.js - durl（MP4/FLV 整段或分段）回退播放
+// 多段 durl 依次切換 video.src，對外提供一條連續的時間軸
+
+// 轉發給外部監聽者的視頻事件
+const FORWARDED_EVENTS = [
+    'play', 'pause', 'playing', 'waiting', 'seeking', 'seeked',
+    'timeupdate', 'ratechange', 'volumechange', 'canplay', 'loadedmetadata', 'error'
+];
+
+/**
+ * 判斷 durl 格式瀏覽器能否直接播放（FLV 需轉封裝，暫不支持）
+ * @param {Object} playInfo - 播放信息對象
+ * @returns {boolean}
+ */
+function canPlayDurl(playInfo) {
+    return !/flv/i.test(playInfo.format || '');
+}
+
+/**
+ * 分段視頻：把多個 durl 分段拼成一條時間軸
+ * 提供與媒體元素相近的接口（currentTime、duration、paused、事件），
+ * 彈幕、進度記錄等子系統可直接以它代替 video 使用
+ */
+class SegmentedVideo extends EventTarget {
+    /**
+     * @param {HTMLVideoElement} video - 視頻元素
+     * @param {Array<Object>} segments - [{ url, length(秒) }]
+     */
+    constructor(video, segments) {
+        super();
+        this.video = video;
+        this.segments = segments;
+        this.index = 0;
+        this.pendingSeek = null;
+        this.switching = null; // 切換分段後等待繼續播放時的標記，未切換時為 null
+        this.offsets = [];
+        let offset = 0;
+        segments.forEach(seg => {
+            this.offsets.push(offset);
+            offset += seg.length;
+        });
+        this.totalDuration = offset;
+
+        this.forwarders = FORWARDED_EVENTS.map(type => {
+            const handler = () => {
+                if (!this.isSegmentSwitchEvent(type)) this.dispatchEvent(new Event(type));
+            };
+            video.addEventListener(type, handler);
+            return [type, handler];
+        });
+        this.onEnded = () => this.handleSegmentEnded();
+        this.onLoadedMetadata = () => this.applyPendingSeek();
+        video.addEventListener('ended', this.onEnded);
+        video.addEventListener('loadedmetadata', this.onLoadedMetadata);
+
+        this.loadSegment(0, 0, false);
+    }
+
+    get currentTime() {
+        return this.offsets[this.index] + (this.pendingSeek !== null ? this.pendingSeek : this.video.currentTime);
+    }
+
+    set currentTime(time) {
+        this.seek(time);
+    }
+
+    get duration() {
+        return this.totalDuration;
+    }
+
+    get paused() {
+        return this.video.paused;
+    }
+
+    get buffered() {
+        return this.video.buffered;
+    }
+
+    get volume() {
+        return this.video.volume;
+    }
+
+    set volume(value) {
+        this.video.volume = value;
+    }
+
+    get muted() {
+        return this.video.muted;
+    }
+
+    set muted(value) {
+        this.video.muted = value;
+    }
+
+    get playbackRate() {
+        return this.video.playbackRate;
+    }
+
+    set playbackRate(rate) {
+        // 切換分段會重設 src，同時改默認倍速才能在後續分段保持
+        this.video.defaultPlaybackRate = rate;
+        this.video.playbackRate = rate;
+    }
+
+    play() {
+        return this.video.play();
+    }
+
+    pause() {
+        this.video.pause();
+    }
+
+    /**
+     * 分段之間切換時元素產生的 pause / play 不轉發，對外保持連續播放
+     * 分段播完時元素先觸發 pause 再觸發 ended，此時 ended 已為 true
+     * @param {string} type - 事件類型
+     * @returns {boolean}
+     */
+    isSegmentSwitchEvent(type) {
+        if (type === 'pause') {
+            return this.switching !== null || (this.video.ended && this.index < this.segments.length - 1);
+        }
+        return type === 'play' && this.switching !== null;
+    }
+
+    /**
+     * 找到全局時間所在的分段
+     * @param {number} time - 全局時間（秒）
+     * @returns {number}
+     */
+    findSegment(time) {
+        for (let i = this.segments.length - 1; i >= 0; i--) {
+            if (time >= this.offsets[i]) return i;
+        }
+        return 0;
+    }
+
+    /**
+     * 跳轉到全局時間，跨分段時切換 src
+     * @param {number} time - 全局時間（秒）
+     */
+    seek(time) {
+        const clamped = Math.max(0, Math.min(time, this.totalDuration));
+        const index = this.findSegment(clamped);
+        const localTime = clamped - this.offsets[index];
+        if (index === this.index) {
+            this.video.currentTime = localTime;
+        } else {
+            this.loadSegment(index, localTime, !this.video.paused);
+        }
+    }
+
+    /**
+     * 加載某一分段並定位到分段內時間
+     * @param {number} index - 分段序號
+     * @param {number} localTime - 分段內時間
+     * @param {boolean} autoplay - 加載後是否繼續播放
+     */
+    loadSegment(index, localTime, autoplay) {
+        console.log(`[LitePlayer Durl] 切換到第 ${index + 1}/${this.segments.length} 段`);
+        this.index = index;
+        this.pendingSeek = localTime;
+        this.video.src = this.segments[index].url;
+        if (autoplay) {
+            const switching = this.switching = {};
+            this.video.play()
+                .catch(e => {
+                    console.warn('[LitePlayer Durl] 分段播放失敗:', e);
+                    // 未能繼續播放時讓外部看到暫停狀態（被新的切換打斷時除外）
+                    if (this.switching === switching) this.dispatchEvent(new Event('pause'));
+                })
+                .finally(() => {
+                    if (this.switching === switching) this.switching = null;
+                });
+        } else {
+            this.switching = null;
+        }
+        this.dispatchEvent(new Event('seeking'));
+    }
+
+    /**
+     * 當前分段加載失敗時換用新地址，從出錯位置繼續
+     * @param {string} url - 候選地址
+     */
+    retrySegment(url) {
+        const localTime = this.pendingSeek !== null ? this.pendingSeek : this.video.currentTime;
+        this.segments[this.index].url = url;
+        this.loadSegment(this.index, localTime, !this.video.paused);
+    }
+
+    applyPendingSeek() {
+        if (this.pendingSeek === null) return;
+        if (this.pendingSeek > 0) this.video.currentTime = this.pendingSeek;
+        this.pendingSeek = null;
+    }
+
+    handleSegmentEnded() {
+        if (this.index < this.segments.length - 1) {
+            this.loadSegment(this.index + 1, 0, true);
+        } else {
+            this.dispatchEvent(new Event('ended'));
+        }
+    }
+
+    destroy() {
+        this.forwarders.forEach(([type, handler]) => this.video.removeEventListener(type, handler));
+        this.video.removeEventListener('ended', this.onEnded);
+        this.video.removeEventListener('loadedmetadata', this.onLoadedMetadata);
+    }
+}
+
+export { SegmentedVideo, canPlayDurl };
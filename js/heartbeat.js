@@ -0,0 +1,177 @@
+// heartbeat.js - 向 B 站歷史記錄上報觀看進度（需在設定中開啟）
+
+const DEFAULT_ENDPOINT = 'https://api.bilibili.com/x/click-interface/web/heartbeat';
+const BILIBILI_API_HOST = 'api.bilibili.com';
+const HEARTBEAT_INTERVAL = 15000; // 播放中的上報間隔（毫秒），與原生播放器一致
+
+// play_type：1 開始播放，0 播放中，2 暫停，4 播放結束
+const PLAY_TYPE = {
+    start: 1,
+    playing: 0,
+    pause: 2,
+    end: 4
+};
+
+/**
+ * 從 cookie 讀取 CSRF token（bili_jct）
+ * @returns {string} 未登錄時為空字符串
+ */
+function getCsrfToken() {
+    const match = document.cookie.match(/(?:^|;\s*)bili_jct=([^;]+)/);
+    return match ? decodeURIComponent(match[1]) : '';
+}
+
+/**
+ * 上報地址是否為 B 站接口，只有 B 站接口才附帶登錄 cookie 和 CSRF token
+ * @param {string} endpoint
+ * @returns {boolean}
+ */
+function isBilibiliEndpoint(endpoint) {
+    try {
+        return new URL(endpoint).host === BILIBILI_API_HOST;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * 組合心跳請求的表單參數
+ * @param {Object} playInfo - 播放信息對象
+ * @param {Object} state - { playedTime, realPlayedTime, startTs, playType }
+ * @param {string} csrf - bili_jct，上報到自定義地址時為空
+ * @returns {URLSearchParams}
+ */
+function buildHeartbeatBody(playInfo, state, csrf) {
+    const body = new URLSearchParams({
+        aid: playInfo.aid,
+        cid: playInfo.cid,
+        played_time: Math.floor(state.playedTime),
+        real_played_time: Math.floor(state.realPlayedTime),
+        start_ts: state.startTs,
+        play_type: state.playType,
+        dt: 2
+    });
+    if (csrf) body.set('csrf', csrf);
+    if (playInfo.bvid) body.set('bvid', playInfo.bvid);
+    if (playInfo.type === 'pgc') {
+        // 番劇需附帶劇集信息，type 4 表示 PGC
+        body.set('type', 4);
+        body.set('sub_type', playInfo.season?.type || 1);
+        body.set('epid', playInfo.epId);
+        body.set('sid', playInfo.season?.season_id || '');
+    } else {
+        body.set('type', 3);
+    }
+    return body;
+}
+
+/**
+ * 觀看進度心跳上報器
+ */
+class HeartbeatReporter {
+    /**
+     * @param {HTMLVideoElement} video - 視頻元素
+     * @param {Object} playInfo - 播放信息對象（需包含 aid、cid）
+     * @param {Object} options - { endpoint: 上報地址，可指向本地測試服務; interval: 上報間隔 }
+     */
+    constructor(video, playInfo, options = {}) {
+        this.video = video;
+        this.playInfo = playInfo;
+        this.endpoint = options.endpoint || DEFAULT_ENDPOINT;
+        this.interval = options.interval || HEARTBEAT_INTERVAL;
+        this.timer = null;
+        this.startTs = Math.floor(Date.now() / 1000);
+        this.realPlayedTime = 0;
+        this.lastTick = null;
+        this.started = false;
+        this.handlers = {
+            play: () => this.onPlay(),
+            pause: () => this.report(PLAY_TYPE.pause),
+            ended: () => this.report(PLAY_TYPE.end),
+            pagehide: () => this.report(PLAY_TYPE.pause, true)
+        };
+    }
+
+    start() {
+        this.video.addEventListener('play', this.handlers.play);
+        this.video.addEventListener('pause', this.handlers.pause);
+        this.video.addEventListener('ended', this.handlers.ended);
+        window.addEventListener('pagehide', this.handlers.pagehide);
+        this.timer = setInterval(() => {
+            if (!this.video.paused) this.report(PLAY_TYPE.playing);
+        }, this.interval);
+        if (!this.video.paused) this.onPlay();
+        console.log('[LitePlayer Heartbeat] 已啟用觀看進度上報:', this.endpoint);
+    }
+
+    onPlay() {
+        this.lastTick = Date.now();
+        if (!this.started) {
+            this.started = true;
+            this.report(PLAY_TYPE.start);
+        }
+    }
+
+    /**
+     * 累計實際觀看時長（不含暫停）
+     */
+    updateRealPlayedTime() {
+        if (this.lastTick !== null) {
+            this.realPlayedTime += (Date.now() - this.lastTick) / 1000;
+        }
+        this.lastTick = this.video.paused ? null : Date.now();
+    }
+
+    /**
+     * 發送一次心跳
+     * @param {number} playType - PLAY_TYPE 中的值
+     * @param {boolean} unloading - 頁面卸載時使用 keepalive 保證請求送出
+     * @returns {Promise<void>}
+     */
+    async report(playType, unloading = false) {
+        // 自定義地址（如本地測試服務）不發送 CSRF token，也不需要登錄
+        const official = isBilibiliEndpoint(this.endpoint);
+        const csrf = official ? getCsrfToken() : '';
+        if ((official && !csrf) || !this.playInfo.aid || !this.playInfo.cid) return;
+        this.updateRealPlayedTime();
+
+        const playedTime = playType === PLAY_TYPE.end ? -1 : this.video.currentTime;
+        const body = buildHeartbeatBody(this.playInfo, {
+            playedTime,
+            realPlayedTime: this.realPlayedTime,
+            startTs: this.startTs,
+            playType
+        }, csrf);
+
+        try {
+            const res = await fetch(this.endpoint, {
+                method: 'POST',
+                credentials: official ? 'include' : 'omit',
+                keepalive: unloading,
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body
+            });
+            if (!unloading) {
+                const data = await res.json();
+                if (data.code !== 0) {
+                    console.warn('[LitePlayer Heartbeat] 上報被拒絕:', data);
+                }
+            }
+        } catch (e) {
+            console.warn('[LitePlayer Heartbeat] 上報失敗:', e);
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.video.removeEventListener('play', this.handlers.play);
+        this.video.removeEventListener('pause', this.handlers.pause);
+        this.video.removeEventListener('ended', this.handlers.ended);
+        window.removeEventListener('pagehide', this.handlers.pagehide);
+    }
+}
+
+export { HeartbeatReporter, buildHeartbeatBody, getCsrfToken, PLAY_TYPE };
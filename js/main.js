@@ -1,11 +1,14 @@
 // main.js - 整合其他模組，處理主流程和事件監聽
-import { getBvId, fetchCid, fetchPlayUrl } from './api.js';
-import { replacePlayer } from './player.js';
+import { getBvId, fetchCid, fetchPlayUrl, getBangumiId, fetchBangumiEpisode, fetchPgcPlayUrl } from './api.js';
+import { replacePlayer, promptResume, switchStreamsSeamlessly, capturePlaybackState, runCDNBenchmark, applyFastestCDN, reportPlaybackFailure, isNativePlayerRequested, resumeNativePlayer, useNativePlayerByRule, restoreLitePlayer } from './player.js';
+import { getDisableRules, matchDisableRule } from './rules.js';
 import { observeBVChange, hijackBVLinks } from './utils.js';
 
 // 當前播放配置
 let currentQn = 80; // 預設 1080P
 let currentAudioQuality = null; // 預設 null，優先最高
+let currentCid = null; // 當前播放的 cid，用於區分畫質切換和換P/換視頻
+let ruleOverrideCid = null; // 命中停用規則但用戶選擇仍使用精簡播放器的 cid
 
 // 取得 fnval/codec/默認畫質 設定（async）
 function getPlayerConfigFromStorage() {
@@ -29,14 +32,58 @@ function getPlayerConfigFromStorage() {
     });
 }
 
+// 解析當前頁面對應的視頻：普通視頻走視頻信息 API，番劇走 PGC 劇集 API
+async function resolveCurrentVideo() {
+    const bvid = getBvId();
+    if (bvid) {
+        const cidInfo = await fetchCid(bvid);
+        return cidInfo ? { ...cidInfo, bvid, type: 'ugc' } : null;
+    }
+    const bangumiId = getBangumiId();
+    if (bangumiId) {
+        const episode = await fetchBangumiEpisode(bangumiId);
+        return episode ? { ...episode, page: 1, pages: [], type: 'pgc' } : null;
+    }
+    return null;
+}
+
 // 封裝 main 為可重複調用
 async function mainReload(qn = null, audioQuality = currentAudioQuality, userFnval = null, userCodec = null) {
     console.log('[LitePlayer] mainReload 開始執行, 畫質:', qn, '音質:', audioQuality, 'fnval:', userFnval, 'codec:', userCodec);
+    // 用戶在錯誤面板或控制欄中切換到了原生播放器（含為此整頁重新加載後）
+    if (isNativePlayerRequested() || resumeNativePlayer(mainReload)) {
+        console.log('[LitePlayer] 已切換到原生播放器，不替換');
+        return;
+    }
+    let cid = null; // 正在加載的視頻，失敗時交給失敗恢復
     try {
-        const bvid = getBvId();
-        if (!bvid) return;
-        const cid = await fetchCid(bvid);
-        if (!cid) return;
+        // 指定畫質時為同一視頻內切換：MSE 播放器直接使用已取得的 rawDash 切換，不重新請求接口
+        if (qn !== null && await switchStreamsSeamlessly(qn, audioQuality, userCodec || '')) {
+            currentQn = qn;
+            currentAudioQuality = audioQuality ?? currentAudioQuality;
+            const loading = document.getElementById('bilibili-lite-loading');
+            if (loading) {
+                loading.style.display = 'none';
+            }
+            return;
+        }
+        const current = await resolveCurrentVideo();
+        if (!current) {
+            reportPlaybackFailure({ api: true }, { cid: null, reload: mainReload });
+            return;
+        }
+        cid = current.cid;
+        // 按彈窗中的停用規則（BV 號、UP主、內容類型）保留原生播放器
+        const disabledReason = ruleOverrideCid === cid ? null : matchDisableRule(current, await getDisableRules());
+        if (disabledReason) {
+            console.log('[LitePlayer] 命中停用規則:', disabledReason);
+            useNativePlayerByRule(disabledReason, () => {
+                ruleOverrideCid = cid;
+                mainReload();
+            });
+            return;
+        }
+        restoreLitePlayer();
         // 讀取 fnval/codec/默認畫質
         let fnval = userFnval;
         let codec = userCodec;
@@ -47,53 +94,48 @@ async function mainReload(qn = null, audioQuality = currentAudioQuality, userFnv
             if (codec === null) codec = config.codec;
             if (qn === null) qn = config.defaultQn;
         }
-        const playInfo = await fetchPlayUrl(bvid, cid, qn, audioQuality, fnval, codec);
+        const playInfo = current.type === 'pgc'
+            ? await fetchPgcPlayUrl(current.epId, cid, qn, audioQuality, fnval, codec)
+            : await fetchPlayUrl(current.bvid, cid, qn, audioQuality, fnval, codec);
         if (playInfo) {
             currentQn = playInfo.qn;
             currentAudioQuality = playInfo.audioQuality;
+            // 附加視頻與分P/劇集信息，供控制欄和自動連播使用
+            playInfo.type = current.type;
+            playInfo.bvid = current.bvid;
+            playInfo.cid = cid;
+            playInfo.aid = current.aid;
+            playInfo.page = current.page;
+            playInfo.pages = current.pages;
+            playInfo.view = current.view;
+            playInfo.related = current.related || [];
+            playInfo.epId = current.epId || null;
+            playInfo.episodes = current.episodes || null;
+            playInfo.season = current.season || null;
+            const isSameVideo = currentCid === cid;
+            currentCid = cid;
             console.log('[LitePlayer] 準備替換播放器');
             
             // 檢查是否是畫質/音質切換（已存在播放器的情況）
             const existingPlayer = document.getElementById('bilibili-lite-player');
-            if (existingPlayer) {
-                console.log('[LitePlayer] 檢測到現有播放器，進行無縫切換');
-                // 保存播放狀態
-                const videoElement = existingPlayer.querySelector('video');
-                let currentTime = 0;
-                let paused = true;
-                let volume = 1;
-                
-                if (videoElement) {
-                    currentTime = videoElement.currentTime;
-                    paused = videoElement.paused;
-                    volume = videoElement.volume;
-                    console.log('[LitePlayer] 保存播放狀態 - 時間:', currentTime, '暫停:', paused, '音量:', volume);
-                }
-                
-                // 替換播放器
-                replacePlayer(playInfo, mainReload);
-                
-                // 恢復播放狀態
-                setTimeout(() => {
-                    const newVideoElement = document.getElementById('bilibili-lite-player')?.querySelector('video');
-                    if (newVideoElement) {
-                        newVideoElement.currentTime = currentTime;
-                        newVideoElement.volume = volume;
-                        if (!paused) {
-                            newVideoElement.play().catch(e => console.warn('[LitePlayer] 自動播放失敗:', e));
-                        }
-                        console.log('[LitePlayer] 恢復播放狀態完成');
-                    }
-                }, 500);
+            if (existingPlayer && isSameVideo) {
+                console.log('[LitePlayer] 檢測到現有播放器，重建並沿用播放狀態');
+                // 保存播放狀態（durl 多段時需讀取全局時間軸），新播放器加載元數據後恢復
+                const state = capturePlaybackState();
+                replacePlayer(playInfo, mainReload, state);
             } else {
-                // 首次創建播放器
+                // 首次創建播放器，或換P/換視頻，有上次觀看記錄時提示續播
                 replacePlayer(playInfo, mainReload);
+                promptResume(playInfo);
             }
         } else {
             console.warn('[LitePlayer] 未獲取到視頻URL');
+            reportPlaybackFailure({ api: true }, { cid, reload: mainReload });
         }
     } catch (error) {
         console.error('[LitePlayer] mainReload 執行失敗:', error);
+        // 接口錯誤（含地區限制）或網絡錯誤交給失敗恢復，尚未建立精簡播放器時錯誤面板顯示在原生播放器下方
+        reportPlaybackFailure({ apiCode: error.code, error }, { cid, reload: mainReload });
         
         // 隱藏載入動畫
         const loading = document.getElementById('bilibili-lite-loading');
@@ -126,7 +168,7 @@ function init() {
     }
       // 設置路徑變更監聽
     observeBVChange(() => {
-        console.log('[LitePlayer] 檢測到 BV 變化，重新加載播放器');
+        console.log('[LitePlayer] 檢測到 BV、分P或劇集變化，重新加載播放器');
         setTimeout(() => mainReload(), 1000);
     });
     
@@ -150,6 +192,25 @@ function init() {
         });
     }
     
+    // 響應彈窗的 CDN 測速請求（測速需以頁面身份發出請求，故在內容腳本中執行）
+    if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (message?.type === 'bilibili-lite-cdn-benchmark') {
+                runCDNBenchmark()
+                    .then(results => sendResponse({ results }))
+                    .catch(error => sendResponse({ error: error.message }));
+                return true;
+            }
+            if (message?.type === 'bilibili-lite-cdn-apply') {
+                applyFastestCDN(message.results || [])
+                    .then(result => sendResponse({ result }))
+                    .catch(error => sendResponse({ error: error.message }));
+                return true;
+            }
+            return false;
+        });
+    }
+    
     console.log('[LitePlayer] 初始化完成');
 }
 
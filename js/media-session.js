@@ -0,0 +1,143 @@
+// media-session.js - Media Session 集成：系統媒體控制中心顯示標題、UP主、封面，並響應媒體鍵
+import { getAdjacentItem } from './autoplay.js';
+import { getCoverUrl } from './audio-only.js';
+
+const ARTWORK_SIZES = [96, 256, 512];
+const DEFAULT_SEEK_OFFSET = 10;  // 系統未給出 seekOffset 時的快進快退秒數
+// 這些事件之後播放位置或速度不再能由系統按時間推算，需要重新上報
+const POSITION_EVENTS = ['loadedmetadata', 'playing', 'pause', 'seeked', 'ratechange'];
+
+let positionTracking = null; // { media, update }
+
+/**
+ * 設置一個媒體鍵處理函數，瀏覽器不支持該動作時忽略
+ * @param {string} action
+ * @param {Function|null} handler
+ */
+function setActionHandler(action, handler) {
+    try {
+        navigator.mediaSession.setActionHandler(action, handler);
+    } catch (error) {
+        // 舊版瀏覽器不支持部分動作
+    }
+}
+
+/**
+ * 取得總時長，媒體元素尚未加載元數據時退回 playurl 返回的時長
+ * @param {HTMLMediaElement|SegmentedVideo} media
+ * @param {Object} playInfo
+ * @returns {number}
+ */
+function getDuration(media, playInfo) {
+    const duration = media.duration;
+    return Number.isFinite(duration) && duration > 0 ? duration : (playInfo.duration || 0);
+}
+
+/**
+ * 跳轉到指定時間，限制在 [0, 總時長] 內
+ * @param {HTMLMediaElement|SegmentedVideo} media
+ * @param {Object} playInfo
+ * @param {number} time
+ */
+function seekTo(media, playInfo, time) {
+    const duration = getDuration(media, playInfo);
+    media.currentTime = Math.max(0, duration ? Math.min(time, duration) : time);
+}
+
+/**
+ * 把播放位置、速度、時長和播放狀態上報給系統媒體控制
+ * @param {HTMLMediaElement|SegmentedVideo} media
+ * @param {Object} playInfo
+ */
+function updatePositionState(media, playInfo) {
+    navigator.mediaSession.playbackState = media.paused ? 'paused' : 'playing';
+    const duration = getDuration(media, playInfo);
+    if (!duration || typeof navigator.mediaSession.setPositionState !== 'function') return;
+    try {
+        navigator.mediaSession.setPositionState({
+            duration,
+            playbackRate: media.playbackRate || 1,
+            position: Math.min(Math.max(0, media.currentTime), duration)
+        });
+    } catch (error) {
+        console.warn('[LitePlayer] 更新媒體播放位置失敗:', error);
+    }
+}
+
+/**
+ * 播放器重建時移除上一個播放時鐘上的位置監聽
+ */
+function stopPositionTracking() {
+    if (!positionTracking) return;
+    const { media, update } = positionTracking;
+    POSITION_EVENTS.forEach(type => media.removeEventListener(type, update));
+    positionTracking = null;
+}
+
+/**
+ * 按當前播放內容更新 Media Session：元數據、播放控制、快進快退和跳轉、上一個/下一個分P或合集視頻、播放位置
+ * 每次 mainReload 重建播放器時都會重新調用
+ * @param {HTMLMediaElement|SegmentedVideo} media - 播放時鐘
+ * @param {Object} playInfo - 播放信息對象
+ */
+function setupMediaSession(media, playInfo) {
+    if (!('mediaSession' in navigator)) return;
+    const view = playInfo.view || {};
+    const part = (playInfo.pages || []).length > 1
+        ? playInfo.pages.find(p => p.page === playInfo.page)?.part
+        : '';
+
+    navigator.mediaSession.metadata = new MediaMetadata({
+        title: view.title || document.title,
+        artist: view.owner?.name || '',
+        album: part || '',
+        artwork: view.pic
+            ? ARTWORK_SIZES.map(size => ({ src: getCoverUrl(view.pic, size), sizes: `${size}x${size}`, type: 'image/jpeg' }))
+            : []
+    });
+
+    setActionHandler('play', () => media.play().catch(err => console.warn('[LitePlayer] 自動播放失敗:', err)));
+    setActionHandler('pause', () => media.pause());
+    setActionHandler('seekbackward', details => {
+        seekTo(media, playInfo, media.currentTime - (details.seekOffset || DEFAULT_SEEK_OFFSET));
+    });
+    setActionHandler('seekforward', details => {
+        seekTo(media, playInfo, media.currentTime + (details.seekOffset || DEFAULT_SEEK_OFFSET));
+    });
+    setActionHandler('seekto', details => {
+        if (!Number.isFinite(details.seekTime)) return;
+        // 拖動系統進度條時連續觸發，支持 fastSeek 的元素先跳到最近的關鍵幀
+        if (details.fastSeek && typeof media.fastSeek === 'function') {
+            media.fastSeek(details.seekTime);
+        } else {
+            seekTo(media, playInfo, details.seekTime);
+        }
+        updatePositionState(media, playInfo);
+    });
+
+    // 沒有上一個/下一個時清除處理函數，系統界面會隱藏對應按鈕
+    const previous = getAdjacentItem(playInfo, -1);
+    const next = getAdjacentItem(playInfo, 1);
+    setActionHandler('previoustrack', previous ? () => previous.navigate() : null);
+    setActionHandler('nexttrack', next ? () => next.navigate() : null);
+
+    stopPositionTracking();
+    const update = () => updatePositionState(media, playInfo);
+    POSITION_EVENTS.forEach(type => media.addEventListener(type, update));
+    positionTracking = { media, update };
+    update();
+}
+
+/**
+ * 播放器銷毀時清除 Media Session，避免媒體鍵操作已移除的元素
+ */
+function clearMediaSession() {
+    if (!('mediaSession' in navigator)) return;
+    stopPositionTracking();
+    navigator.mediaSession.metadata = null;
+    navigator.mediaSession.playbackState = 'none';
+    ['play', 'pause', 'seekbackward', 'seekforward', 'seekto', 'previoustrack', 'nexttrack']
+        .forEach(action => setActionHandler(action, null));
+}
+
+export { setupMediaSession, clearMediaSession };
@@ -0,0 +1,599 @@
+// mse.js - 基於 MediaSource 的 DASH 播放引擎
+// 將 dash.video / dash.audio 的分段依 SegmentBase(indexRange) 取回後，
+// 分別寫入同一個 MediaSource 的兩個 SourceBuffer，音畫共用一個時鐘，無需漂移校正
+
+import { getCodecFamily, isStreamSupported, compareStreams } from './codec.js';
+
+// 緩衝策略（秒）
+const BUFFER_AHEAD = 30;    // 播放點之後保持的緩衝長度
+const BUFFER_BEHIND = 30;   // 播放點之前保留的緩衝長度，超出部分會被回收
+const PUMP_INTERVAL = 500;  // 檢查緩衝的間隔（毫秒）
+const IDLE_POLL_INTERVAL = 50; // 切換表示時等待進行中分段寫完的輪詢間隔（毫秒）
+const MAX_SEGMENT_FAILURES = 3; // 同一軌道連續失敗次數上限，達到後停止拉取直到拖動進度
+
+/**
+ * 讀取 SegmentBase 中的位元組範圍，兼容 B 站兩種字段命名
+ * @param {Object} stream - dash.video / dash.audio 中的單個表示
+ * @returns {Object|null} { init: [start, end], index: [start, end] }
+ */
+function parseSegmentBase(stream) {
+    const base = stream?.segment_base || stream?.SegmentBase;
+    if (!base) return null;
+    const init = base.initialization || base.Initialization;
+    const index = base.index_range || base.indexRange;
+    if (!init || !index) return null;
+    const toRange = (str) => str.split('-').map(n => parseInt(n, 10));
+    return { init: toRange(init), index: toRange(index) };
+}
+
+/**
+ * 解析 sidx 盒子，得到每個分段的位元組範圍和時間
+ * @param {ArrayBuffer} buffer - indexRange 對應的數據
+ * @param {number} indexStart - sidx 在文件中的起始偏移
+ * @returns {Array<Object>} 分段列表 { start, end, time, duration }
+ */
+function parseSidx(buffer, indexStart) {
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    // 尋找 sidx 盒子（indexRange 內一般只有它）
+    while (offset + 8 <= view.byteLength) {
+        const size = view.getUint32(offset);
+        const type = String.fromCharCode(
+            view.getUint8(offset + 4), view.getUint8(offset + 5),
+            view.getUint8(offset + 6), view.getUint8(offset + 7)
+        );
+        if (type === 'sidx') break;
+        if (size < 8) throw new Error('無效的 MP4 盒子大小');
+        offset += size;
+    }
+    if (offset + 8 > view.byteLength) {
+        throw new Error('indexRange 中未找到 sidx');
+    }
+
+    const boxStart = offset;
+    const boxSize = view.getUint32(boxStart);
+    const version = view.getUint8(boxStart + 8);
+    let p = boxStart + 12;
+    p += 4; // reference_ID
+    const timescale = view.getUint32(p); p += 4;
+
+    let earliestTime;
+    let firstOffset;
+    if (version === 0) {
+        earliestTime = view.getUint32(p); p += 4;
+        firstOffset = view.getUint32(p); p += 4;
+    } else {
+        earliestTime = view.getUint32(p) * 2 ** 32 + view.getUint32(p + 4); p += 8;
+        firstOffset = view.getUint32(p) * 2 ** 32 + view.getUint32(p + 4); p += 8;
+    }
+    p += 2; // reserved
+    const referenceCount = view.getUint16(p); p += 2;
+
+    // 分段偏移以 sidx 盒子結束位置為錨點
+    let byteOffset = indexStart + boxStart + boxSize + firstOffset;
+    let time = earliestTime;
+    const segments = [];
+    for (let i = 0; i < referenceCount; i++) {
+        const ref = view.getUint32(p);
+        const duration = view.getUint32(p + 4);
+        p += 12;
+        const size = ref & 0x7fffffff;
+        segments.push({
+            start: byteOffset,
+            end: byteOffset + size - 1,
+            time: time / timescale,
+            duration: duration / timescale
+        });
+        byteOffset += size;
+        time += duration;
+    }
+    return segments;
+}
+
+/**
+ * 判斷瀏覽器和當前流是否可以走 MSE 播放
+ * @param {Object} playInfo - 播放信息對象
+ * @returns {boolean}
+ */
+function canPlayWithMSE(playInfo) {
+    if (typeof window.MediaSource === 'undefined') return false;
+    if (!playInfo?.dash || !playInfo.audioStream) return false;
+    // 僅播放聲音時沒有視頻軌道
+    if (!playInfo.videoStream && !playInfo.audioOnly) return false;
+    const streams = [playInfo.videoStream, playInfo.audioStream].filter(Boolean);
+    if (!streams.every(stream => parseSegmentBase(stream))) return false;
+    return streams.every(stream => MediaSource.isTypeSupported(getMimeCodec(stream)));
+}
+
+/**
+ * 組合 SourceBuffer 需要的 MIME 字符串
+ * @param {Object} stream - dash 表示
+ * @returns {string}
+ */
+function getMimeCodec(stream) {
+    const mimeType = stream.mimeType || stream.mime_type;
+    return `${mimeType}; codecs="${stream.codecs}"`;
+}
+
+/**
+ * 等待 SourceBuffer 完成當前操作
+ * @param {SourceBuffer} sourceBuffer
+ * @returns {Promise<void>}
+ */
+function waitForUpdateEnd(sourceBuffer) {
+    if (!sourceBuffer.updating) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const onEnd = () => { cleanup(); resolve(); };
+        const onError = () => { cleanup(); reject(new Error('SourceBuffer 操作失敗')); };
+        const cleanup = () => {
+            sourceBuffer.removeEventListener('updateend', onEnd);
+            sourceBuffer.removeEventListener('error', onError);
+        };
+        sourceBuffer.addEventListener('updateend', onEnd);
+        sourceBuffer.addEventListener('error', onError);
+    });
+}
+
+/**
+ * 在 rawDash 的表示列表中找出指定畫質或音質、可在 MSE 中播放的表示
+ * 同一畫質有多種編碼時依次優先：用戶設定的編碼、與當前表示相同的編碼、解碼能力最好的編碼
+ * @param {Array<Object>} streams - rawDash.video 或 rawDash.audio
+ * @param {number} id - 畫質或音質 ID
+ * @param {Object|null} current - 當前表示
+ * @param {string} preferredCodec - 用戶設定的編碼（如 'hevc'），可為空
+ * @returns {Object|null}
+ */
+function findPlayableStream(streams, id, current, preferredCodec = '') {
+    const candidates = (streams || [])
+        .filter(stream => stream.id === id && parseSegmentBase(stream) && isStreamSupported(stream))
+        .sort(compareStreams);
+    const preferred = preferredCodec ? getCodecFamily(preferredCodec) : '';
+    const family = getCodecFamily(current?.codecs);
+    return (preferred && candidates.find(s => getCodecFamily(s.codecs) === preferred))
+        || candidates.find(s => getCodecFamily(s.codecs) === family)
+        || candidates[0]
+        || null;
+}
+
+/**
+ * 播放點之後已緩衝的秒數（播放點所在的連續緩衝區間的剩餘部分）
+ * @param {TimeRanges} buffered - 媒體元素或 SourceBuffer 的緩衝區間
+ * @param {number} time - 播放點
+ * @returns {number}
+ */
+function getBufferedAhead(buffered, time) {
+    if (!buffered) return 0;
+    for (let i = 0; i < buffered.length; i++) {
+        if (time >= buffered.start(i) - 0.1 && time <= buffered.end(i)) {
+            return buffered.end(i) - time;
+        }
+    }
+    return 0;
+}
+
+/**
+ * DASH MSE 播放引擎
+ * 一個 MediaSource，video / audio 兩個 SourceBuffer（僅播放聲音時只有 audio），按需拉取分段
+ */
+class DashMSEEngine {
+    /**
+     * @param {HTMLVideoElement} video - 承載 MediaSource 的視頻元素
+     * @param {Object} playInfo - fetchPlayUrl 返回的播放信息
+     * @param {Object} options - {
+     *   onError, getFallbackUrl(type, url, error), onThroughput(type, url, bytes, ms),
+     *   refreshUrl(type): 簽名過期時重新取得當前表示的地址，返回 Promise<string|null>
+     * }
+     */
+    constructor(video, playInfo, options = {}) {
+        this.video = video;
+        this.playInfo = playInfo;
+        this.onError = options.onError || null;
+        this.getFallbackUrl = options.getFallbackUrl || null;
+        this.onThroughput = options.onThroughput || null;
+        this.refreshUrl = options.refreshUrl || null;
+        this.mediaSource = null;
+        this.objectUrl = null;
+        this.pumpTimer = null;
+        this.destroyed = false;
+        this.ended = false;
+        this.tracks = {};
+        if (playInfo.videoStream) {
+            this.tracks.video = this.createTrack('video', playInfo.videoStream, playInfo.videoUrl);
+        }
+        this.tracks.audio = this.createTrack('audio', playInfo.audioStream, playInfo.audioUrl);
+        this.handlers = {
+            seeking: () => this.onSeeking(),
+            timeupdate: () => this.pump()
+        };
+    }
+
+    createTrack(type, stream, url) {
+        return {
+            type,
+            stream,
+            url,
+            ranges: parseSegmentBase(stream),
+            segments: [],
+            nextIndex: 0,
+            sourceBuffer: null,
+            fetching: false,
+            switching: false,
+            controller: null,
+            generation: 0,
+            failures: 0,
+            bytesLoaded: 0
+        };
+    }
+
+    /**
+     * 啟動引擎：打開 MediaSource，讀取索引和初始化分段
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.mediaSource = new MediaSource();
+        this.objectUrl = URL.createObjectURL(this.mediaSource);
+        this.video.src = this.objectUrl;
+
+        await new Promise(resolve => {
+            this.mediaSource.addEventListener('sourceopen', resolve, { once: true });
+        });
+        if (this.destroyed) return;
+
+        const duration = this.playInfo.rawDash?.duration;
+        if (duration) this.mediaSource.duration = duration;
+
+        await Promise.all(Object.values(this.tracks).map(track => this.initTrack(track)));
+        if (this.destroyed) return;
+
+        this.video.addEventListener('seeking', this.handlers.seeking);
+        this.video.addEventListener('timeupdate', this.handlers.timeupdate);
+        this.pumpTimer = setInterval(() => this.pump(), PUMP_INTERVAL);
+        this.pump();
+        console.log('[LitePlayer MSE] 引擎已啟動', {
+            videoSegments: this.tracks.video?.segments.length || 0,
+            audioSegments: this.tracks.audio.segments.length
+        });
+    }
+
+    /**
+     * 初始化單條軌道：建立 SourceBuffer、解析 sidx、寫入初始化分段
+     * @param {Object} track
+     */
+    async initTrack(track) {
+        const { init, index } = track.ranges;
+        track.sourceBuffer = this.mediaSource.addSourceBuffer(getMimeCodec(track.stream));
+
+        // 初始化分段和索引通常相鄰，一次請求取回
+        const start = Math.min(init[0], index[0]);
+        const end = Math.max(init[1], index[1]);
+        const data = await this.fetchRange(track, start, end);
+        track.segments = parseSidx(data.slice(index[0] - start, index[1] - start + 1), index[0]);
+        await this.appendBuffer(track, data.slice(init[0] - start, init[1] - start + 1));
+    }
+
+    /**
+     * 以 Range 請求取回一段數據，失敗時向 getFallbackUrl 索取下一個地址重試
+     * 各地址為同一文件，字節範圍不變，故換地址後從原位置繼續
+     * @param {Object} track
+     * @param {number} start
+     * @param {number} end
+     * @param {AbortSignal} signal
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async fetchRange(track, start, end, signal) {
+        let refreshed = false;
+        for (;;) {
+            const url = track.url;
+            const begin = performance.now();
+            try {
+                const res = await fetch(url, {
+                    headers: { Range: `bytes=${start}-${end}` },
+                    signal
+                });
+                if (!res.ok) {
+                    const error = new Error(`分段請求失敗: HTTP ${res.status}`);
+                    error.status = res.status;
+                    throw error;
+                }
+                const data = await res.arrayBuffer();
+                track.bytesLoaded += data.byteLength;
+                this.onThroughput?.(track.type, url, data.byteLength, performance.now() - begin);
+                return data;
+            } catch (e) {
+                if (e.name === 'AbortError' || this.destroyed) throw e;
+                // 簽名過期時各節點都會返回 403，先重新取得播放地址（切換中的新表示不適用）
+                if (e.status === 403 && !refreshed && this.refreshUrl && track === this.tracks[track.type]) {
+                    refreshed = true;
+                    const fresh = await this.refreshUrl(track.type).catch(() => null);
+                    if (this.destroyed) throw e;
+                    if (signal?.aborted) throw new DOMException('請求已取消', 'AbortError');
+                    if (fresh) {
+                        console.warn(`[LitePlayer MSE] ${track.type} 播放地址已失效，使用重新取得的地址`);
+                        track.url = fresh;
+                        continue;
+                    }
+                }
+                const getFallbackUrl = track.getFallbackUrl || this.getFallbackUrl;
+                const next = getFallbackUrl?.(track.type, url, e);
+                if (!next) throw e;
+                console.warn(`[LitePlayer MSE] ${track.type} 請求失敗，切換地址重試:`, e.message);
+                track.url = next;
+            }
+        }
+    }
+
+    /**
+     * 寫入 SourceBuffer，空間不足時回收已播放部分後重試
+     * @param {Object} track
+     * @param {ArrayBuffer} data
+     */
+    async appendBuffer(track, data) {
+        const sourceBuffer = track.sourceBuffer;
+        await waitForUpdateEnd(sourceBuffer);
+        try {
+            sourceBuffer.appendBuffer(data);
+        } catch (e) {
+            if (e.name !== 'QuotaExceededError') throw e;
+            await this.evict(track, 5);
+            sourceBuffer.appendBuffer(data);
+        }
+        await waitForUpdateEnd(sourceBuffer);
+    }
+
+    /**
+     * 回收播放點之前的緩衝
+     * @param {Object} track
+     * @param {number} keepBehind - 保留的秒數
+     */
+    async evict(track, keepBehind = BUFFER_BEHIND) {
+        const sourceBuffer = track.sourceBuffer;
+        const removeEnd = this.video.currentTime - keepBehind;
+        if (!sourceBuffer || sourceBuffer.buffered.length === 0) return;
+        const bufferedStart = sourceBuffer.buffered.start(0);
+        if (removeEnd <= bufferedStart) return;
+        await waitForUpdateEnd(sourceBuffer);
+        sourceBuffer.remove(bufferedStart, removeEnd);
+        await waitForUpdateEnd(sourceBuffer);
+    }
+
+    /**
+     * 計算某條軌道在播放點之後已緩衝的秒數
+     * @param {string} type - 'video' 或 'audio'
+     * @returns {number}
+     */
+    getBufferedAhead(type) {
+        const sourceBuffer = this.tracks[type]?.sourceBuffer;
+        if (!sourceBuffer) return 0;
+        return getBufferedAhead(sourceBuffer.buffered, this.video.currentTime);
+    }
+
+    /**
+     * 返回一個類似媒體元素的只讀對象，供流監控和信息面板讀取單條軌道的緩衝
+     * @param {string} type - 'video' 或 'audio'
+     * @returns {Object} { buffered, currentTime, src }
+     */
+    getTrackMedia(type) {
+        const engine = this;
+        const track = this.tracks[type];
+        return {
+            get buffered() { return track.sourceBuffer ? track.sourceBuffer.buffered : engine.video.buffered; },
+            get currentTime() { return engine.video.currentTime; },
+            get src() { return track.url; }
+        };
+    }
+
+    /**
+     * 找到包含指定時間的分段序號
+     * @param {Object} track
+     * @param {number} time
+     * @returns {number}
+     */
+    findSegmentIndex(track, time) {
+        const segments = track.segments;
+        for (let i = 0; i < segments.length; i++) {
+            if (time < segments[i].time + segments[i].duration) return i;
+        }
+        return segments.length;
+    }
+
+    /**
+     * 拖動進度時重新定位兩條軌道的下一個分段
+     */
+    onSeeking() {
+        const time = this.video.currentTime;
+        Object.values(this.tracks).forEach(track => {
+            const ahead = this.getBufferedAhead(track.type);
+            const target = ahead > 0 ? time + ahead : time;
+            const index = this.findSegmentIndex(track, target);
+            // 拖動視為用戶重試，恢復因連續失敗而停止的拉取
+            track.failures = 0;
+            if (index === track.nextIndex) return;
+            // 丟棄正在進行的請求，避免舊位置的數據寫入
+            track.generation++;
+            if (track.controller) track.controller.abort();
+            track.nextIndex = index;
+        });
+        // 向回拖動後重新寫入分段會使 MediaSource 回到 open 狀態
+        this.ended = false;
+        this.pump();
+    }
+
+    /**
+     * 按緩衝策略為每條軌道拉取下一分段
+     */
+    pump() {
+        if (this.destroyed || !this.mediaSource || this.mediaSource.readyState === 'closed') return;
+        Object.values(this.tracks).forEach(track => this.loadNext(track));
+        this.checkEnded();
+    }
+
+    async loadNext(track) {
+        if (track.fetching || track.switching || !track.sourceBuffer) return;
+        if (track.failures >= MAX_SEGMENT_FAILURES) return;
+        if (track.nextIndex >= track.segments.length) return;
+        if (this.getBufferedAhead(track.type) >= BUFFER_AHEAD) return;
+
+        const segment = track.segments[track.nextIndex];
+        const generation = track.generation;
+        track.fetching = true;
+        track.controller = new AbortController();
+        try {
+            const data = await this.fetchRange(track, segment.start, segment.end, track.controller.signal);
+            if (this.destroyed || generation !== track.generation) return;
+            await this.evict(track);
+            await this.appendBuffer(track, data);
+            if (generation === track.generation) {
+                track.nextIndex++;
+                track.failures = 0;
+            }
+        } catch (e) {
+            if (e.name === 'AbortError' || this.destroyed) return;
+            track.failures++;
+            console.error(`[LitePlayer MSE] ${track.type} 分段加載失敗（${track.failures}/${MAX_SEGMENT_FAILURES}）:`, e);
+            // 只在達到上限時上報一次，定時器不再對持續失敗的節點無限重試
+            if (track.failures >= MAX_SEGMENT_FAILURES) this.onError?.(e, track.type);
+        } finally {
+            track.fetching = false;
+            track.controller = null;
+        }
+        this.pump();
+    }
+
+    /**
+     * 不重建 MediaSource 切換某條軌道的表示（畫質或音質）：
+     * 先在後台取回新表示的索引和初始化分段，期間舊表示照常拉取和播放；
+     * 之後保留播放點之後 keepAhead 秒的舊緩衝，從下一個分段邊界（關鍵幀）起改寫入新表示
+     * 同一軌道的多次切換按順序執行
+     * @param {string} type - 'video' 或 'audio'
+     * @param {Object} stream - rawDash 中的表示
+     * @param {string} url - 新表示的播放地址
+     * @param {Object} options - {
+     *   keepAhead: 保留的舊表示緩衝秒數，默認全部保留（自動畫質）,
+     *   getFallbackUrl: 新表示的備用地址（切換完成前舊表示仍使用引擎的 getFallbackUrl）
+     * }
+     * @returns {Promise<void>}
+     */
+    switchStream(type, stream, url, options = {}) {
+        const track = this.tracks[type];
+        if (!track) return Promise.reject(new Error(`沒有 ${type} 軌道`));
+        const run = () => this.performSwitch(track, stream, url, options);
+        const pending = (track.switchQueue || Promise.resolve()).then(run, run);
+        track.switchQueue = pending.catch(() => {});
+        return pending;
+    }
+
+    async performSwitch(track, stream, url, options) {
+        const keepAhead = options.keepAhead ?? Infinity;
+        const ranges = parseSegmentBase(stream);
+        if (!ranges) throw new Error('目標表示缺少 SegmentBase');
+        if (this.destroyed) return;
+
+        // 預加載新表示的初始化分段和索引，不打斷舊表示
+        const next = this.createTrack(track.type, stream, url);
+        next.getFallbackUrl = options.getFallbackUrl || null;
+        const { init, index } = ranges;
+        const start = Math.min(init[0], index[0]);
+        const end = Math.max(init[1], index[1]);
+        const data = await this.fetchRange(next, start, end);
+        if (this.destroyed) return;
+        const segments = parseSidx(data.slice(index[0] - start, index[1] - start + 1), index[0]);
+
+        // 丟棄進行中的請求，等它退出後再寫入，避免兩處同時操作 SourceBuffer
+        track.switching = true;
+        track.generation++;
+        if (track.controller) track.controller.abort();
+        let switchTime = null;
+        let codecChanged = false;
+        try {
+            while (track.fetching) {
+                await new Promise(resolve => setTimeout(resolve, IDLE_POLL_INTERVAL));
+            }
+            if (this.destroyed) return;
+            const sourceBuffer = track.sourceBuffer;
+
+            // 切換點：保留範圍之後第一個新表示的分段起點；在緩衝之外時從緩衝末尾接著拉取
+            const bufferedEnd = this.video.currentTime + this.getBufferedAhead(track.type);
+            switchTime = bufferedEnd;
+            if (Number.isFinite(keepAhead)) {
+                const boundary = segments.find(seg => seg.time >= this.video.currentTime + keepAhead);
+                if (boundary && boundary.time < bufferedEnd) switchTime = boundary.time;
+            }
+            if (switchTime < bufferedEnd) {
+                await waitForUpdateEnd(sourceBuffer);
+                sourceBuffer.remove(switchTime, Infinity);
+                await waitForUpdateEnd(sourceBuffer);
+            }
+
+            // 編碼不同時（如 avc1 -> hev1、mp4a -> ec-3）先通知 SourceBuffer
+            const mimeCodec = getMimeCodec(stream);
+            if (mimeCodec !== getMimeCodec(track.stream) && sourceBuffer.changeType) {
+                await waitForUpdateEnd(sourceBuffer);
+                sourceBuffer.changeType(mimeCodec);
+                codecChanged = true;
+            }
+            await this.appendBuffer(track, data.slice(init[0] - start, init[1] - start + 1));
+
+            Object.assign(track, { stream, url: next.url, ranges, segments });
+            track.bytesLoaded += next.bytesLoaded;
+            track.nextIndex = this.findSegmentIndex(track, switchTime);
+            this.ended = false;
+            console.log(`[LitePlayer MSE] ${track.type} 已切換到 ${stream.id}，從第 ${track.nextIndex} 段（${switchTime.toFixed(1)}s）開始`);
+        } catch (error) {
+            // 切換失敗時舊表示繼續播放：從切換點重新拉取，補回已移除的緩衝，否則播放會停在切換點
+            if (switchTime !== null) track.nextIndex = this.findSegmentIndex(track, switchTime);
+            if (codecChanged && !this.destroyed) {
+                try {
+                    track.sourceBuffer.changeType(getMimeCodec(track.stream));
+                } catch (e) {
+                    console.warn('[LitePlayer MSE] 恢復原編碼失敗:', e);
+                }
+            }
+            throw error;
+        } finally {
+            track.switching = false;
+            this.pump();
+        }
+    }
+
+    /**
+     * 兩條軌道都寫完最後一段時結束流
+     */
+    checkEnded() {
+        if (this.ended || this.mediaSource.readyState !== 'open') return;
+        const done = Object.values(this.tracks).every(track =>
+            track.segments.length > 0 &&
+            track.nextIndex >= track.segments.length &&
+            !track.fetching &&
+            !track.sourceBuffer.updating
+        );
+        if (done) {
+            this.ended = true;
+            this.mediaSource.endOfStream();
+            console.log('[LitePlayer MSE] 所有分段已加載完成');
+        }
+    }
+
+    /**
+     * 停止拉取並釋放 MediaSource
+     */
+    destroy() {
+        this.destroyed = true;
+        if (this.pumpTimer) {
+            clearInterval(this.pumpTimer);
+            this.pumpTimer = null;
+        }
+        this.video.removeEventListener('seeking', this.handlers.seeking);
+        this.video.removeEventListener('timeupdate', this.handlers.timeupdate);
+        Object.values(this.tracks).forEach(track => {
+            if (track.controller) track.controller.abort();
+        });
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+        console.log('[LitePlayer MSE] 引擎已銷毀');
+    }
+}
+
+export { DashMSEEngine, getBufferedAhead, canPlayWithMSE, findPlayableStream, parseSegmentBase, parseSidx, getMimeCodec };
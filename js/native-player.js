@@ -0,0 +1,123 @@
+// native-player.js - 保留被替換下來的原生播放器節點，在精簡播放器和原生播放器之間來回切換
+
+// 原生播放器容器（視頻頁為 #playerWrap，番劇頁為 #bilibili-player-wrap）
+const NATIVE_PLAYER_SELECTORS = ['#playerWrap', '#bilibili-player-wrap', '#bilibili-player'];
+// 為切換到原生播放器整頁重新加載時記錄的頁面地址，加載後繼續使用原生播放器
+const NATIVE_RELOAD_KEY = 'bilibili-lite-native-reload';
+
+let nativeElement = null; // 被精簡播放器替換下來的原生播放器節點，移出頁面後保留
+let nativeHref = null;    // 原生節點移出頁面時的頁面地址，頁內換過視頻後節點仍是舊視頻的播放器
+let liteElement = null;   // 切換到原生播放器期間移出頁面的精簡播放器容器
+let switchBar = null;     // 原生播放器下方的提示條
+
+/**
+ * 查找頁面上的原生播放器容器
+ * @returns {HTMLElement|null}
+ */
+function findNativePlayer() {
+    for (const selector of NATIVE_PLAYER_SELECTORS) {
+        const element = document.querySelector(selector);
+        if (element) return element;
+    }
+    return null;
+}
+
+/**
+ * 暫停節點內的所有媒體元素，避免移出頁面後仍在後台發聲
+ * @param {HTMLElement} element
+ */
+function pauseMedia(element) {
+    element.querySelectorAll('video, audio').forEach(media => media.pause());
+}
+
+/**
+ * 用精簡播放器容器替換原生播放器，原生節點移出頁面但不銷毀，供之後切換回去
+ * @param {HTMLElement} element - 原生播放器容器
+ * @param {HTMLElement} container - 精簡播放器容器
+ */
+function detachNativePlayer(element, container) {
+    pauseMedia(element);
+    element.replaceWith(container);
+    nativeElement = element;
+    nativeHref = location.href;
+}
+
+/**
+ * 在原生播放器下方顯示提示條和切換按鈕
+ * @param {HTMLElement} anchor - 原生播放器容器
+ * @param {Object} options - { message, actionLabel, onAction }
+ */
+function showSwitchBar(anchor, options) {
+    switchBar?.remove();
+    const bar = document.createElement('div');
+    bar.id = 'bilibili-lite-native-bar';
+    bar.style.cssText = 'display:flex;align-items:center;gap:12px;margin:8px 0;padding:8px 12px;border-radius:6px;background:#f6f7f8;color:#61666d;font-size:13px;';
+
+    const text = document.createElement('span');
+    text.textContent = options.message;
+    const button = document.createElement('button');
+    button.textContent = options.actionLabel;
+    button.style.cssText = 'padding:4px 12px;border:none;border-radius:4px;background:#00a1d6;color:#fff;cursor:pointer;font-size:13px;';
+    button.onclick = (e) => {
+        e.stopPropagation();
+        options.onAction();
+    };
+
+    bar.appendChild(text);
+    bar.appendChild(button);
+    anchor.after(bar);
+    switchBar = bar;
+}
+
+/**
+ * 切換到原生播放器：精簡播放器暫停並移出頁面，保留的原生節點放回原處
+ * 尚未替換過原生播放器時（如首次加載即命中停用規則）只顯示提示條；
+ * 保留的節點來自頁內跳轉前的視頻時整頁重新加載，由站點建立當前視頻的原生播放器
+ * @param {Object} options - 提示條 { message, actionLabel, onAction, keepAfterReload }，
+ *   keepAfterReload 為 true 時重新加載後仍使用原生播放器（見 consumeNativeReload）
+ * @returns {boolean} 頁面上是否有可用的原生播放器
+ */
+function showNativePlayer(options) {
+    if (nativeElement && nativeHref !== location.href) {
+        if (options.keepAfterReload) sessionStorage.setItem(NATIVE_RELOAD_KEY, location.href);
+        location.assign(location.href);
+        return true;
+    }
+    const container = document.getElementById('bilibili-lite-player');
+    if (container && nativeElement) {
+        pauseMedia(container);
+        container.replaceWith(nativeElement);
+        liteElement = container;
+    }
+    const anchor = nativeElement?.isConnected ? nativeElement : findNativePlayer();
+    if (!anchor) return false;
+    showSwitchBar(anchor, options);
+    return true;
+}
+
+/**
+ * 切換回精簡播放器：原生播放器暫停並再次移出頁面
+ * @returns {boolean} 是否放回了之前的精簡播放器容器
+ */
+function showLitePlayer() {
+    switchBar?.remove();
+    switchBar = null;
+    if (!liteElement || !nativeElement?.isConnected) return false;
+    pauseMedia(nativeElement);
+    nativeElement.replaceWith(liteElement);
+    liteElement = null;
+    return true;
+}
+
+/**
+ * 本頁面是否為切換到原生播放器而重新加載的，讀取後清除記錄
+ * @returns {boolean}
+ */
+function consumeNativeReload() {
+    const href = sessionStorage.getItem(NATIVE_RELOAD_KEY);
+    if (href === null) return false;
+    sessionStorage.removeItem(NATIVE_RELOAD_KEY);
+    return href === location.href;
+}
+
+export { findNativePlayer, detachNativePlayer, showNativePlayer, showLitePlayer, consumeNativeReload };
@@ -1,7 +1,21 @@
 // player-ui.js - 專門處理播放器界面的實現
 
-import { qualityMap, audioQualityMap, cdnOptimizer } from './api.js';
-import { StreamMonitor, formatBytes, formatBitrate } from './utils.js';
+import { cdnOptimizer, getApiCacheStats } from './api.js';
+import { VideoDownloader, getDownloadUnsupportedReason } from './download.js';
+import { StreamMonitor, STATS_SOURCE, formatBytes, formatBitrate, formatTime, navigateToPart, navigateToEpisode, getStorageValue, setStorageValue } from './utils.js';
+import { explainCodecChoice } from './codec.js';
+
+// 下載任務，按視頻（bvid/cid）區分：重建控制欄（切換畫質）後繼續顯示，換P或換視頻後顯示該視頻自己的任務
+const downloads = new Map();
+
+/**
+ * 下載任務的鍵
+ * @param {Object} playInfo - 播放信息對象
+ * @returns {string}
+ */
+function getDownloadKey(playInfo) {
+    return `${playInfo.bvid || ''}/${playInfo.cid || ''}`;
+}
 
 /**
  * 創建控制欄 HTML 結構
@@ -108,9 +122,26 @@ export function createControlBarStructure(container) {
     statsColumn.appendChild(statsTitle);
     statsColumn.appendChild(statsDetails);
     
+    // CDN 測速區域
+    const benchmarkColumn = document.createElement('div');
+    benchmarkColumn.className = 'info-column';
+    benchmarkColumn.style.marginTop = '16px';
+
+    const benchmarkTitle = document.createElement('h4');
+    benchmarkTitle.className = 'info-title stats-title';
+    benchmarkTitle.textContent = 'CDN 測速';
+
+    const benchmarkDetails = document.createElement('div');
+    benchmarkDetails.id = 'cdn-benchmark-details';
+    benchmarkDetails.className = 'info-details';
+
+    benchmarkColumn.appendChild(benchmarkTitle);
+    benchmarkColumn.appendChild(benchmarkDetails);
+
     // 組裝面板內容
     panelContent.appendChild(infoGrid);
     panelContent.appendChild(statsColumn);
+    panelContent.appendChild(benchmarkColumn);
     
     // 組裝面板
     streamInfoPanel.appendChild(panelHeader);
@@ -222,6 +253,20 @@ export function createControlBarStructure(container) {
             .stats-title {
                 color: #722ed1;
             }
+
+            .benchmark-btn {
+                padding: 4px 12px;
+                border: 1px solid #e3e5e7;
+                border-radius: 4px;
+                background: #f6f7f8;
+                cursor: pointer;
+                font-size: 13px;
+            }
+
+            .benchmark-btn:disabled {
+                color: #bbb;
+                cursor: default;
+            }
         `;
         document.head.appendChild(style);
     }
@@ -240,7 +285,7 @@ export function createControlBarStructure(container) {
  * 創建播放器核心 UI 元素
  * @param {Object} playInfo - 播放信息對象
  * @param {HTMLElement} container - 播放器容器元素
- * @param {Object} options - 附加選項
+ * @param {Object} options - 附加選項 { videoOnly: 只創建視頻元素，src 由播放引擎（MSE 或 durl 分段）設置 }
  * @returns {Object} - 包含創建的視頻、音頻和加載動畫元素
  */
 export function createPlayerElements(playInfo, container, options = {}) {
@@ -257,7 +302,8 @@ export function createPlayerElements(playInfo, container, options = {}) {
 
     // 創建視頻元素
     const video = document.createElement('video');
-    video.controls = true;
+    // 使用 controls.js 的疊加控制層，不顯示瀏覽器原生控件
+    video.controls = false;
     video.style.width = '100%';
     video.style.height = '100%';
     video.autoplay = true;
@@ -277,15 +323,23 @@ export function createPlayerElements(playInfo, container, options = {}) {
         showPlayerError(container, '視頻加載失敗，請嘗試刷新頁面或切換畫質');
     };
 
-    // 設置視頻源
-    if (playInfo.dash) {
-        const dash = playInfo.rawDash;
-        const videoUrl = dash.video[0]?.baseUrl || dash.video[0]?.base_url;
-        if (videoUrl) {
-            // 添加 CDN 優化
-            const optimizedVideoUrl = cdnOptimizer.optimizeVideoUrl(videoUrl);
-            video.src = optimizedVideoUrl;
-        }
+    // 設置視頻源（videoOnly 時由播放引擎設置）
+    // 使用所選畫質的流，地址已在 fetchPlayUrl 中經過 CDN 優化，故障轉移也以此為起點
+    if (playInfo.dash && !options.videoOnly && playInfo.videoUrl) {
+        video.src = playInfo.videoUrl;
+    }
+
+    // 添加元素到容器
+    container.appendChild(video);
+
+    // 加載動畫元素
+    const loading = createLoadingElement();
+
+    if (options.videoOnly) {
+        container.appendChild(loading);
+        elements.video = video;
+        elements.loading = loading;
+        return elements;
     }
 
     // 創建音頻元素
@@ -300,17 +354,27 @@ export function createPlayerElements(playInfo, container, options = {}) {
     };
 
     // 設置音頻源
-    if (playInfo.dash) {
-        const dash = playInfo.rawDash;
-        const audioUrl = dash.audio[0]?.baseUrl || dash.audio[0]?.base_url;
-        if (audioUrl) {
-            // 添加 CDN 優化
-            const optimizedAudioUrl = cdnOptimizer.optimizeVideoUrl(audioUrl);
-            audio.src = optimizedAudioUrl;
-        }
+    if (playInfo.dash && playInfo.audioUrl) {
+        audio.src = playInfo.audioUrl;
     }
 
-    // 加載動畫元素
+    // 添加元素到容器
+    container.appendChild(audio);
+    container.appendChild(loading);
+
+    // 保存引用
+    elements.video = video;
+    elements.audio = audio;
+    elements.loading = loading;
+
+    return elements;
+}
+
+/**
+ * 創建加載動畫元素
+ * @returns {HTMLElement} - 加載動畫元素
+ */
+function createLoadingElement() {
     const loading = document.createElement('div');
     loading.id = 'bilibili-lite-loading';
     loading.style.position = 'absolute';
@@ -337,26 +401,20 @@ export function createPlayerElements(playInfo, container, options = {}) {
         document.head.appendChild(style);
     }
 
-    // 添加元素到容器
-    container.appendChild(video);
-    container.appendChild(audio);
-    container.appendChild(loading);
-
-    // 保存引用
-    elements.video = video;
-    elements.audio = audio;
-    elements.loading = loading;
-
-    return elements;
+    return loading;
 }
 
 /**
- * 顯示播放器錯誤信息
+ * 顯示播放器錯誤信息，同一容器內只保留一個錯誤面板
  * @param {HTMLElement} container - 播放器容器
  * @param {string} message - 錯誤信息
+ * @param {Array<Object>} actions - 面板按鈕 [{ label, handler }]
+ * @returns {HTMLElement} 錯誤面板
  */
-export function showPlayerError(container, message) {
+export function showPlayerError(container, message, actions = []) {
+    hidePlayerError(container);
     const errorDiv = document.createElement('div');
+    errorDiv.className = 'bilibili-lite-error';
     errorDiv.style.position = 'absolute';
     errorDiv.style.top = '50%';
     errorDiv.style.left = '50%';
@@ -365,8 +423,146 @@ export function showPlayerError(container, message) {
     errorDiv.style.background = 'rgba(0,0,0,0.8)';
     errorDiv.style.padding = '20px';
     errorDiv.style.borderRadius = '8px';
-    errorDiv.innerHTML = message;
+    errorDiv.style.zIndex = '40';
+    errorDiv.style.textAlign = 'center';
+    errorDiv.style.maxWidth = '80%';
+
+    const text = document.createElement('div');
+    text.textContent = message;
+    errorDiv.appendChild(text);
+
+    if (actions.length > 0) {
+        const buttons = document.createElement('div');
+        buttons.style.display = 'flex';
+        buttons.style.justifyContent = 'center';
+        buttons.style.gap = '8px';
+        buttons.style.marginTop = '12px';
+        actions.forEach(({ label, handler }) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.style.cssText = 'background:#00a1d6;color:#fff;border:none;border-radius:4px;padding:6px 14px;cursor:pointer;font-size:13px;';
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                handler();
+            });
+            buttons.appendChild(button);
+        });
+        errorDiv.appendChild(buttons);
+    }
+
+    // 面板上的點擊不觸發播放器的播放/暫停
+    errorDiv.addEventListener('click', e => e.stopPropagation());
     container.appendChild(errorDiv);
+    return errorDiv;
+}
+
+/**
+ * 移除播放器上的錯誤面板
+ * @param {HTMLElement} container - 播放器容器
+ */
+export function hidePlayerError(container) {
+    container.querySelector('.bilibili-lite-error')?.remove();
+}
+
+/**
+ * 顯示續播提示
+ * @param {HTMLElement} container - 播放器容器
+ * @param {number} time - 上次觀看位置（秒）
+ * @param {Function} onResume - 點擊「繼續播放」時的回調
+ * @returns {HTMLElement} 提示元素
+ */
+export function showResumeToast(container, time, onResume) {
+    container.querySelector('.bilibili-lite-resume-toast')?.remove();
+
+    const toast = document.createElement('div');
+    toast.className = 'bilibili-lite-resume-toast';
+    toast.style.position = 'absolute';
+    toast.style.left = '16px';
+    toast.style.bottom = '56px';
+    toast.style.display = 'flex';
+    toast.style.alignItems = 'center';
+    toast.style.gap = '8px';
+    toast.style.color = 'white';
+    toast.style.background = 'rgba(0,0,0,0.75)';
+    toast.style.padding = '8px 12px';
+    toast.style.borderRadius = '4px';
+    toast.style.fontSize = '14px';
+    toast.style.zIndex = '10';
+
+    const text = document.createElement('span');
+    text.textContent = `上次看到 ${formatTime(time)}，是否從該位置繼續播放？`;
+
+    const resumeBtn = document.createElement('button');
+    resumeBtn.textContent = '繼續播放';
+    resumeBtn.style.color = '#00a1d6';
+    resumeBtn.style.background = 'none';
+    resumeBtn.style.border = 'none';
+    resumeBtn.style.cursor = 'pointer';
+
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = '×';
+    closeBtn.style.color = '#ccc';
+    closeBtn.style.background = 'none';
+    closeBtn.style.border = 'none';
+    closeBtn.style.cursor = 'pointer';
+
+    resumeBtn.onclick = (e) => {
+        e.stopPropagation();
+        onResume();
+        toast.remove();
+    };
+    closeBtn.onclick = (e) => {
+        e.stopPropagation();
+        toast.remove();
+    };
+
+    toast.appendChild(text);
+    toast.appendChild(resumeBtn);
+    toast.appendChild(closeBtn);
+    container.appendChild(toast);
+
+    // 一段時間未操作則自動消失
+    setTimeout(() => toast.remove(), 10000);
+    return toast;
+}
+
+/**
+ * 切換畫質（0 為僅播放聲音）
+ * @param {Object} playInfo - 播放信息對象
+ * @param {Function} mainReload - 重新加載播放器的回調函數
+ * @param {number} qn - 目標畫質
+ */
+export function switchQuality(playInfo, mainReload, qn) {
+    // 取得當前 fnval/codec
+    const fnval = parseInt(localStorage.getItem('bilibili-lite-fnval') || '16');
+    const codec = localStorage.getItem('bilibili-lite-codec') || '';
+    localStorage.setItem('bilibili-lite-fnval', fnval);
+    localStorage.setItem('bilibili-lite-codec', codec);
+    console.log('[LitePlayer UI] 畫質切換到:', qn, 'fnval:', fnval, 'codec:', codec);
+    setTimeout(() => {
+        mainReload(qn, playInfo.audioQuality, fnval, codec);
+    }, 300);
+}
+
+/**
+ * 切換音質
+ * @param {Object} playInfo - 播放信息對象
+ * @param {Function} mainReload - 重新加載播放器的回調函數
+ * @param {number} audioQuality - 目標音質
+ */
+export function switchAudioQuality(playInfo, mainReload, audioQuality) {
+    console.log('[LitePlayer UI] 音質切換到:', audioQuality);
+
+    // 顯示載入中狀態
+    const loading = document.getElementById('bilibili-lite-loading');
+    if (loading) {
+        loading.style.display = 'flex';
+    }
+
+    // 延遲執行以避免同步問題，與 CDN 切換保持一致
+    setTimeout(() => {
+        mainReload(playInfo.qn, audioQuality);
+    }, 300);
 }
 
 /**
@@ -374,8 +570,9 @@ export function showPlayerError(container, message) {
  * @param {Object} playInfo - 播放信息對象
  * @param {Function} mainReload - 重新加載播放器的回調函數
  * @param {StreamMonitor} monitor - 流監控實例
+ * @param {Object} extras - 附加子系統 { danmaku: DanmakuRenderer, subtitles: SubtitleManager, onOpenNative: 切換到原生播放器 }
  */
-export function createControlBar(playInfo, mainReload, monitor = null) {
+export function createControlBar(playInfo, mainReload, monitor = null, extras = {}) {
     // 查找控制欄元素
     const controlBar = document.getElementById('bilibili-lite-controlbar');
     
@@ -394,132 +591,510 @@ export function createControlBar(playInfo, mainReload, monitor = null) {
         }
     }
 
-    // 第一行：畫質和音質控制
+    // 第一行：格式狀態、分P/選集和字幕
     const controlRow = document.createElement('div');
     controlRow.className = 'control-row';
 
-    // 畫質切換（下拉選擇器）
-    const qnGroup = document.createElement('div');
-    qnGroup.className = 'control-group';
-    qnGroup.innerHTML = '<span>畫質</span>';
-    
-    const qnSelect = document.createElement('select');
-    qnSelect.id = 'quality-selector';
-    
-    (playInfo.acceptQn || [playInfo.qn]).forEach(qn => {
-        const opt = document.createElement('option');
-        opt.value = qn;
-        let displayText = qualityMap[qn] || qn;
-        if (qn >= 100 && qn <= 127) {
-            displayText += ' (大會員)';
-        } else if (qn === 74) {
-            displayText += ' (限免)';
-        }
-        opt.textContent = displayText;
-        if (qn === playInfo.qn) opt.selected = true;
-        qnSelect.appendChild(opt);
-    });
-    
-    // 僅聲音模式
-    const audioOnlyOpt = document.createElement('option');
-    audioOnlyOpt.value = 0;
-    audioOnlyOpt.textContent = '僅播放聲音';
-    if (playInfo.qn === 0) audioOnlyOpt.selected = true;
-    qnSelect.appendChild(audioOnlyOpt);
-    
-    // 畫質切換事件處理
-    qnSelect.onchange = async (e) => {
-        const val = parseInt(e.target.value);
-        // 取得當前 fnval/codec
-        const fnval = parseInt(localStorage.getItem('bilibili-lite-fnval') || '16');
-        const codec = localStorage.getItem('bilibili-lite-codec') || '';
-        localStorage.setItem('bilibili-lite-fnval', fnval);
-        localStorage.setItem('bilibili-lite-codec', codec);
-        console.log('[LitePlayer UI] 畫質切換到:', val, 'fnval:', fnval, 'codec:', codec);
-        setTimeout(() => {
-            mainReload(val, playInfo.audioQuality, fnval, codec);
-        }, 300);
-    };
-    
-    // 顯示 fnval/codec 狀態
+    // 畫質和音質菜單已移到播放器內的疊加控制層，這裡只顯示 fnval/codec 狀態
+    const formatGroup = document.createElement('div');
+    formatGroup.className = 'control-group';
+    formatGroup.innerHTML = '<span>格式</span>';
+
     const statusDiv = document.createElement('div');
     statusDiv.id = 'format-status';
     statusDiv.style.fontSize = '12px';
     statusDiv.style.color = '#888';
-    statusDiv.style.marginLeft = '12px';
     showFnvalCodecStatus(statusDiv);
-    
-    qnGroup.appendChild(qnSelect);
-    qnGroup.appendChild(statusDiv);
-    controlRow.appendChild(qnGroup);
 
-    // 音質切換（下拉選擇器）
-    if (playInfo.acceptAudio && playInfo.acceptAudio.length > 1) {
-        const audioGroup = document.createElement('div');
-        audioGroup.className = 'control-group';
-        audioGroup.style.marginLeft = '24px';
-        audioGroup.innerHTML = '<span>音質</span>';
-        
-        const audioSelect = document.createElement('select');
-        audioSelect.id = 'audio-quality-selector';
+    formatGroup.appendChild(statusDiv);
+    controlRow.appendChild(formatGroup);
 
-        playInfo.acceptAudio.forEach(aq => {
-            const opt = document.createElement('option');
-            opt.value = aq;
-            opt.textContent = audioQualityMap[aq] || aq;
-            if (aq === playInfo.audioQuality) opt.selected = true;
-            audioSelect.appendChild(opt);
-        });
+    // 分P切換（僅多P視頻）
+    if (playInfo.pages && playInfo.pages.length > 1) {
+        controlRow.appendChild(createPartSelector(playInfo));
+    }
 
-        // 音質切換事件處理
-        audioSelect.onchange = async (e) => {
-            const val = parseInt(e.target.value);
-            console.log('[LitePlayer UI] 音質切換到:', val);
+    // 番劇劇集切換
+    if (playInfo.episodes && playInfo.episodes.length > 1) {
+        controlRow.appendChild(createEpisodeSelector(playInfo));
+    }
 
-            // 顯示載入中狀態
-            const loading = document.getElementById('bilibili-lite-loading');
-            if (loading) {
-                loading.style.display = 'flex';
-            }
+    // 自動連播（分P、合集、番劇下一集）和推薦連播開關
+    controlRow.appendChild(createAutoplayToggles(playInfo));
 
-            // 禁用選擇器防止重複點擊
-            audioSelect.disabled = true;
-            try {
-                // 延遲執行以避免同步問題，與 CDN 切換保持一致
-                setTimeout(() => {
-                    mainReload(playInfo.qn, val);
-                }, 300);
-            } catch (error) {
-                console.error('[LitePlayer UI] 音質切換失敗:', error);
-                // 恢復選擇器
-                audioSelect.disabled = false;
-                if (loading) {
-                    loading.style.display = 'none';
-                }
-            }
-        };
-        
-        audioGroup.appendChild(audioSelect);
-        controlRow.appendChild(audioGroup);
+    // 字幕語言（列表異步加載，沒有字幕時不顯示）
+    if (extras.subtitles) {
+        controlRow.appendChild(createSubtitleSelector(extras.subtitles));
+    }
 
-        // 防止選擇器點擊時冒泡導致失焦
-        audioSelect.addEventListener('mousedown', e => e.stopPropagation());
-        audioSelect.addEventListener('click', e => e.stopPropagation());
+    // 下載當前視頻
+    controlRow.appendChild(createDownloadGroup(playInfo));
+
+    // 切換到原生播放器（互動視頻、付費內容等精簡播放器處理不了的情況）
+    if (extras.onOpenNative) {
+        controlRow.appendChild(createNativePlayerGroup(extras.onOpenNative));
     }
-    
-    // 防止選擇器點擊時冒泡導致失焦
-    qnSelect.addEventListener('mousedown', e => e.stopPropagation());
-    qnSelect.addEventListener('click', e => e.stopPropagation());
 
     // 將控制行添加到控制欄
     controlBar.appendChild(controlRow);
 
+    // 第二行：彈幕設定
+    if (extras.danmaku) {
+        controlBar.appendChild(createDanmakuControls(extras.danmaku));
+    }
+
     // 創建流信息顯示區域
     createStreamInfoPanel(controlBar, playInfo, monitor);
 
     console.log('[LitePlayer UI] 控制欄創建完成');
 }
 
+/**
+ * 創建切換到原生播放器的按鈕
+ * @param {Function} onOpenNative - 點擊回調
+ * @returns {HTMLElement} - 播放器控制組
+ */
+function createNativePlayerGroup(onOpenNative) {
+    const group = document.createElement('div');
+    group.className = 'control-group';
+    group.innerHTML = '<span>播放器</span>';
+
+    const button = document.createElement('button');
+    button.className = 'benchmark-btn';
+    button.textContent = '切換到原生播放器';
+    button.onclick = (e) => {
+        e.stopPropagation();
+        onOpenNative();
+    };
+
+    group.appendChild(button);
+    return group;
+}
+
+/**
+ * 創建分P選擇器
+ * @param {Object} playInfo - 播放信息對象（需包含 pages 和 page）
+ * @returns {HTMLElement} - 分P控制組
+ */
+function createPartSelector(playInfo) {
+    const partGroup = document.createElement('div');
+    partGroup.className = 'control-group';
+    partGroup.innerHTML = '<span>分P</span>';
+
+    const partSelect = document.createElement('select');
+    partSelect.id = 'part-selector';
+    partSelect.style.maxWidth = '240px';
+
+    playInfo.pages.forEach(p => {
+        const opt = document.createElement('option');
+        opt.value = p.page;
+        opt.textContent = `P${p.page} ${p.part || ''}`;
+        if (p.page === playInfo.page) opt.selected = true;
+        partSelect.appendChild(opt);
+    });
+
+    // 切換分P：更新網址，由 observeBVChange 觸發重新加載
+    partSelect.onchange = (e) => {
+        const page = parseInt(e.target.value);
+        console.log('[LitePlayer UI] 分P切換到:', page);
+        partSelect.disabled = true;
+        navigateToPart(page);
+    };
+
+    partSelect.addEventListener('mousedown', e => e.stopPropagation());
+    partSelect.addEventListener('click', e => e.stopPropagation());
+
+    partGroup.appendChild(partSelect);
+    return partGroup;
+}
+
+/**
+ * 創建自動連播開關
+ * @param {Object} playInfo - 播放信息對象
+ * @returns {HTMLElement} - 連播控制組
+ */
+function createAutoplayToggles(playInfo) {
+    const group = document.createElement('div');
+    group.className = 'control-group';
+
+    const createToggle = (id, key, defaultValue, text) => {
+        const label = document.createElement('label');
+        label.style.marginLeft = '8px';
+        label.style.fontSize = '14px';
+        label.style.color = '#888';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = id;
+        checkbox.style.marginRight = '4px';
+        getStorageValue(key, defaultValue).then(enabled => {
+            checkbox.checked = enabled;
+        });
+        checkbox.onchange = () => {
+            setStorageValue(key, checkbox.checked);
+        };
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(text));
+        return label;
+    };
+
+    group.appendChild(createToggle('part-autoplay-checkbox', 'bilibili-lite-auto-next-part', true, '自動連播'));
+    // 番劇沒有相關推薦
+    if (playInfo.type !== 'pgc') {
+        group.appendChild(createToggle('related-autoplay-checkbox', 'bilibili-lite-autoplay-related', false, '推薦連播'));
+    }
+    return group;
+}
+
+/**
+ * 顯示自動連播倒計時，倒數結束後跳轉，可取消或立即播放
+ * @param {HTMLElement} container - 播放器容器
+ * @param {Object} next - getNextItem 的結果 { type, title }
+ * @param {Function} onConfirm - 跳轉回調
+ * @param {number} seconds - 倒數秒數
+ * @returns {{ cancel: Function }}
+ */
+export function showAutoplayCountdown(container, next, onConfirm, seconds = 5) {
+    container.querySelector('.bilibili-lite-autoplay')?.remove();
+
+    const typeLabels = { part: '下一P', season: '合集下一個', episode: '下一集', related: '相關推薦' };
+    const box = document.createElement('div');
+    box.className = 'bilibili-lite-autoplay';
+    box.style.position = 'absolute';
+    box.style.left = '50%';
+    box.style.top = '50%';
+    box.style.transform = 'translate(-50%, -50%)';
+    box.style.color = 'white';
+    box.style.background = 'rgba(0,0,0,0.8)';
+    box.style.padding = '16px 24px';
+    box.style.borderRadius = '6px';
+    box.style.textAlign = 'center';
+    box.style.zIndex = '30';
+    box.style.maxWidth = '60%';
+
+    const countdown = document.createElement('div');
+    countdown.style.fontSize = '14px';
+    countdown.style.color = '#ccc';
+    const title = document.createElement('div');
+    title.style.fontSize = '16px';
+    title.style.margin = '8px 0 12px';
+    title.textContent = next.title;
+
+    const buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.justifyContent = 'center';
+    buttons.style.gap = '12px';
+    const createButton = (text, color) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.color = color;
+        button.style.background = 'none';
+        button.style.border = `1px solid ${color}`;
+        button.style.borderRadius = '4px';
+        button.style.padding = '4px 12px';
+        button.style.cursor = 'pointer';
+        return button;
+    };
+    const playNow = createButton('立即播放', '#00a1d6');
+    const cancelBtn = createButton('取消', '#ccc');
+    buttons.appendChild(playNow);
+    buttons.appendChild(cancelBtn);
+
+    box.appendChild(countdown);
+    box.appendChild(title);
+    box.appendChild(buttons);
+    container.appendChild(box);
+
+    let remaining = seconds;
+    const update = () => {
+        countdown.textContent = `${remaining} 秒後播放${typeLabels[next.type] || ''}`;
+    };
+    const cancel = () => {
+        clearInterval(timer);
+        box.remove();
+    };
+    const confirm = () => {
+        cancel();
+        onConfirm();
+    };
+    const timer = setInterval(() => {
+        remaining--;
+        if (remaining <= 0) {
+            confirm();
+        } else {
+            update();
+        }
+    }, 1000);
+    update();
+
+    playNow.onclick = (e) => {
+        e.stopPropagation();
+        confirm();
+    };
+    cancelBtn.onclick = (e) => {
+        e.stopPropagation();
+        cancel();
+    };
+    return { cancel };
+}
+
+/**
+ * 創建番劇劇集選擇器
+ * @param {Object} playInfo - 播放信息對象（需包含 episodes 和 epId）
+ * @returns {HTMLElement} - 劇集控制組
+ */
+function createEpisodeSelector(playInfo) {
+    const episodeGroup = document.createElement('div');
+    episodeGroup.className = 'control-group';
+    episodeGroup.innerHTML = '<span>選集</span>';
+
+    const episodeSelect = document.createElement('select');
+    episodeSelect.id = 'episode-selector';
+    episodeSelect.style.maxWidth = '240px';
+
+    playInfo.episodes.forEach(ep => {
+        const opt = document.createElement('option');
+        opt.value = ep.id;
+        const title = ep.show_title || `第${ep.title}話`;
+        opt.textContent = ep.long_title ? `${title} ${ep.long_title}` : title;
+        if (ep.id === playInfo.epId) opt.selected = true;
+        episodeSelect.appendChild(opt);
+    });
+
+    // 切換劇集：更新網址，由 observeBVChange 觸發重新加載
+    episodeSelect.onchange = (e) => {
+        const epId = parseInt(e.target.value);
+        console.log('[LitePlayer UI] 劇集切換到:', epId);
+        episodeSelect.disabled = true;
+        navigateToEpisode(epId);
+    };
+
+    episodeSelect.addEventListener('mousedown', e => e.stopPropagation());
+    episodeSelect.addEventListener('click', e => e.stopPropagation());
+
+    episodeGroup.appendChild(episodeSelect);
+    return episodeGroup;
+}
+
+/**
+ * 創建字幕語言選擇器
+ * @param {SubtitleManager} subtitles - 字幕管理器
+ * @returns {HTMLElement} - 字幕控制組，字幕列表為空時保持隱藏
+ */
+function createSubtitleSelector(subtitles) {
+    const subtitleGroup = document.createElement('div');
+    subtitleGroup.className = 'control-group';
+    subtitleGroup.style.display = 'none';
+    subtitleGroup.innerHTML = '<span>字幕</span>';
+
+    const subtitleSelect = document.createElement('select');
+    subtitleSelect.id = 'subtitle-selector';
+
+    subtitles.ready.then(list => {
+        if (list.length === 0) return;
+        const offOpt = document.createElement('option');
+        offOpt.value = '';
+        offOpt.textContent = '關閉';
+        subtitleSelect.appendChild(offOpt);
+        list.forEach(item => {
+            const opt = document.createElement('option');
+            opt.value = item.lan;
+            opt.textContent = item.lan_doc;
+            subtitleSelect.appendChild(opt);
+        });
+        subtitleSelect.value = subtitles.current;
+        subtitleGroup.style.display = '';
+    });
+    // 疊加層菜單切換語言時同步
+    subtitles.addEventListener('change', () => {
+        subtitleSelect.value = subtitles.current;
+    });
+
+    subtitleSelect.onchange = () => {
+        console.log('[LitePlayer UI] 字幕切換到:', subtitleSelect.value || '關閉');
+        subtitles.select(subtitleSelect.value).catch(e => {
+            console.warn('[LitePlayer UI] 字幕加載失敗:', e);
+        });
+    };
+    subtitleSelect.addEventListener('mousedown', e => e.stopPropagation());
+    subtitleSelect.addEventListener('click', e => e.stopPropagation());
+
+    subtitleGroup.appendChild(subtitleSelect);
+    return subtitleGroup;
+}
+
+/**
+ * 創建下載控制組：開始、暫停/繼續、取消和進度
+ * @param {Object} playInfo - 播放信息對象
+ * @returns {HTMLElement} - 下載控制組
+ */
+function createDownloadGroup(playInfo) {
+    const key = getDownloadKey(playInfo);
+    const group = document.createElement('div');
+    group.className = 'control-group';
+    group.innerHTML = '<span>下載</span>';
+
+    const createButton = (text, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'benchmark-btn';
+        button.textContent = text;
+        button.onclick = (e) => {
+            e.stopPropagation();
+            onClick();
+        };
+        return button;
+    };
+
+    const progress = document.createElement('progress');
+    progress.max = 1;
+    progress.style.width = '120px';
+    const status = document.createElement('span');
+    status.style.fontSize = '12px';
+    status.style.color = '#888';
+
+    const startButton = createButton('下載 MP4', () => {
+        let task = downloads.get(key);
+        if (!task || task.state === 'done' || task.state === 'idle') {
+            task = new VideoDownloader(playInfo);
+            task.onUpdate = render;
+            downloads.set(key, task);
+        }
+        task.start();
+    });
+    const pauseButton = createButton('暫停', () => downloads.get(key)?.pause());
+    const resumeButton = createButton('繼續', () => downloads.get(key)?.start());
+    const cancelButton = createButton('取消', () => {
+        downloads.get(key)?.cancel();
+        downloads.delete(key);
+        render();
+    });
+
+    function render() {
+        const task = downloads.get(key);
+        const state = task ? task.state : 'idle';
+        const running = state === 'preparing' || state === 'downloading';
+        startButton.style.display = state === 'idle' || state === 'done' ? '' : 'none';
+        pauseButton.style.display = running ? '' : 'none';
+        resumeButton.style.display = state === 'paused' || state === 'error' ? '' : 'none';
+        cancelButton.style.display = running || state === 'paused' || state === 'error' ? '' : 'none';
+        progress.style.display = task && state !== 'idle' && state !== 'done' ? '' : 'none';
+        progress.value = task && task.total ? task.loaded / task.total : 0;
+
+        const unsupported = getDownloadUnsupportedReason(playInfo);
+        startButton.disabled = !!unsupported;
+        if (!task) {
+            status.textContent = unsupported || '';
+            return;
+        }
+        const size = `${formatBytes(task.loaded)} / ${formatBytes(task.total)}`;
+        const texts = {
+            idle: '',
+            preparing: '正在讀取分段索引…',
+            downloading: `${Math.floor(progress.value * 100)}%，${size}，${formatBytes(task.getSpeed())}/s`,
+            paused: `已暫停，${size}`,
+            error: `下載失敗：${task.error}`,
+            muxing: '正在合併音視頻…',
+            done: `已保存 ${task.filename}`
+        };
+        status.textContent = texts[state];
+        status.title = task.filename;
+    }
+
+    const task = downloads.get(key);
+    if (task) task.onUpdate = render;
+    render();
+
+    [startButton, pauseButton, resumeButton, cancelButton, progress, status].forEach(el => group.appendChild(el));
+    return group;
+}
+
+/**
+ * 創建彈幕設定控制行
+ * @param {DanmakuRenderer} danmaku - 彈幕渲染器
+ * @returns {HTMLElement} - 彈幕控制行
+ */
+function createDanmakuControls(danmaku) {
+    const row = document.createElement('div');
+    row.className = 'control-row';
+    row.id = 'danmaku-controls';
+
+    // 修改設定並保存
+    const apply = (partial) => {
+        danmaku.updateSettings(partial);
+        setStorageValue('bilibili-lite-danmaku', danmaku.settings);
+    };
+
+    // 創建帶標籤的下拉選擇器
+    const createSelect = (label, key, options) => {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        group.innerHTML = `<span>${label}</span>`;
+        const select = document.createElement('select');
+        options.forEach(([value, text]) => {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = text;
+            select.appendChild(opt);
+        });
+        select.value = String(danmaku.settings[key]);
+        select.onchange = () => apply({ [key]: parseFloat(select.value) });
+        select.addEventListener('mousedown', e => e.stopPropagation());
+        select.addEventListener('click', e => e.stopPropagation());
+        group.appendChild(select);
+        return { group, select };
+    };
+
+    // 開關
+    const toggleGroup = document.createElement('div');
+    toggleGroup.className = 'control-group';
+    const toggleLabel = document.createElement('label');
+    toggleLabel.style.fontSize = '14px';
+    toggleLabel.style.color = '#888';
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.id = 'danmaku-toggle';
+    toggle.style.marginRight = '4px';
+    toggle.onchange = () => apply({ enabled: toggle.checked });
+    toggleLabel.appendChild(toggle);
+    toggleLabel.appendChild(document.createTextNode('彈幕'));
+    toggleGroup.appendChild(toggleLabel);
+
+    // 不透明度
+    const opacityGroup = document.createElement('div');
+    opacityGroup.className = 'control-group';
+    opacityGroup.innerHTML = '<span>不透明度</span>';
+    const opacity = document.createElement('input');
+    opacity.type = 'range';
+    opacity.min = '10';
+    opacity.max = '100';
+    opacity.style.width = '80px';
+    opacity.oninput = () => apply({ opacity: parseInt(opacity.value) / 100 });
+    opacityGroup.appendChild(opacity);
+
+    const fontScale = createSelect('字號', 'fontScale', [['0.75', '小'], ['1', '標準'], ['1.25', '大']]);
+    const density = createSelect('密度', 'density', [['0.3', '低'], ['0.6', '中'], ['1', '全部']]);
+    const area = createSelect('顯示區域', 'area', [['0.25', '1/4 屏'], ['0.5', '半屏'], ['0.75', '3/4 屏'], ['1', '全屏']]);
+
+    // 設定可能在存儲讀取後才到位，這裡統一同步一次界面
+    const syncControls = () => {
+        toggle.checked = danmaku.settings.enabled;
+        opacity.value = Math.round(danmaku.settings.opacity * 100);
+        fontScale.select.value = String(danmaku.settings.fontScale);
+        density.select.value = String(danmaku.settings.density);
+        area.select.value = String(danmaku.settings.area);
+    };
+    syncControls();
+    getStorageValue('bilibili-lite-danmaku', {}).then(syncControls);
+    // 疊加層按鈕或快捷鍵修改設定時同步
+    danmaku.addEventListener('change', syncControls);
+
+    row.appendChild(toggleGroup);
+    row.appendChild(opacityGroup);
+    row.appendChild(fontScale.group);
+    row.appendChild(density.group);
+    row.appendChild(area.group);
+    return row;
+}
+
 /**
  * 顯示fnval和codec狀態
  * @param {HTMLElement} statusDiv - 狀態顯示元素
@@ -581,27 +1156,41 @@ export function createStreamInfoPanel(controlBar, playInfo, monitor) {
         return;
     }
 
+    // MSE 模式下沒有獨立的音頻元素，改從流監控取得音頻軌道視圖
+    function getAudioSource() {
+        return document.querySelector('#bilibili-lite-player audio') || monitor?.audioElement || null;
+    }
+
     // 填充流信息
     function updateStreamInfo() {
         const video = document.querySelector('#bilibili-lite-player video');
-        const audio = document.querySelector('#bilibili-lite-player audio');
+        const audio = getAudioSource();
 
-        if (!video || !audio) {
-            console.warn('[LitePlayer UI] 無法更新流信息，因為 video 或 audio 元素未找到');
+        if (!video) {
+            console.warn('[LitePlayer UI] 無法更新流信息，因為 video 元素未找到');
             return;
         }
 
         // 計算視頻緩存時間
         let videoBufferedTime = calculateBufferedTime(video);
-        // 計算音頻緩存時間
-        let audioBufferedTime = calculateBufferedTime(audio);
+        // 計算音頻緩存時間（durl 回退播放沒有獨立音頻）
+        let audioBufferedTime = audio ? calculateBufferedTime(audio) : 0;
 
         // 視頻信息
         if (playInfo.videoInfo) {
             const vInfo = playInfo.videoInfo;
+            // 同一畫質各編碼的解碼能力和選用理由
+            const codecChoice = playInfo.videoStream
+                ? explainCodecChoice(playInfo.rawDash?.video, playInfo.videoStream, playInfo.request?.userCodec)
+                : null;
+            const codecChoiceHtml = codecChoice ? `
+                <div style="margin-bottom: 8px;"><strong>編碼選擇:</strong> <span style="color: #1890ff;">${codecChoice.summary}</span>
+                    <div style="color: #888; font-size: 11px; margin-top: 2px;">${codecChoice.options.map(option =>
+                        `${option.selected ? '▶ ' : ''}${option.label}：${option.detail}`).join('<br>')}</div>
+                </div>` : '';
 
             videoDetails.innerHTML = `
-                <div style="margin-bottom: 8px;"><strong>編碼格式:</strong> <span style="color: #1890ff;">${vInfo.codec || 'N/A'}</span></div>
+                <div style="margin-bottom: 8px;"><strong>編碼格式:</strong> <span style="color: #1890ff;">${vInfo.codec || 'N/A'}</span></div>${codecChoiceHtml}
                 <div style="margin-bottom: 8px;"><strong>解析度:</strong> <span style="color: #1890ff;">${vInfo.width || 'N/A'}x${vInfo.height || 'N/A'}</span></div>
                 <div style="margin-bottom: 8px;"><strong>幀率:</strong> <span style="color: #1890ff;">${vInfo.frameRate || 'N/A'} fps</span></div>
                 <div style="margin-bottom: 8px;"><strong>碼率:</strong> <span style="color: #1890ff;">${formatBitrate(vInfo.bandwidth || 0)}</span></div>
@@ -621,7 +1210,7 @@ export function createStreamInfoPanel(controlBar, playInfo, monitor) {
         }
 
         // 音頻信息
-        if (playInfo.audioInfo) {
+        if (playInfo.audioInfo && audio) {
             const aInfo = playInfo.audioInfo;
             audioDetails.innerHTML = `
                 <div style="margin-bottom: 8px;"><strong>編碼格式:</strong> <span style="color: #52c41a;">${aInfo.codec || 'N/A'}</span></div>
@@ -645,19 +1234,28 @@ export function createStreamInfoPanel(controlBar, playInfo, monitor) {
 
         // 下載統計（如果有監控器）
         if (monitor) {
-            const updateStats = (videoStats, audioStats) => {
-                statsDetails.innerHTML = `
-                    <div>
-                        <div style="margin-bottom: 4px;"><strong>視頻下載:</strong></div>
-                        <div style="margin-bottom: 4px; color: #1890ff;">速度: ${formatBytes(videoStats.speed)}/s</div>
-                        <div style="color: #1890ff;">已下載: ${formatBytes(videoStats.downloaded)}</div>
-                    </div>
+            const sourceLabels = {
+                [STATS_SOURCE.FETCH]: '實測（分段請求）',
+                [STATS_SOURCE.RESOURCE]: '實測（資源計時）',
+                [STATS_SOURCE.ESTIMATE]: '估算（緩衝 × 碼率）'
+            };
+            const renderTrack = (title, stats, color) => `
                     <div>
-                        <div style="margin-bottom: 4px;"><strong>音頻下載:</strong></div>
-                        <div style="margin-bottom: 4px; color: #52c41a;">速度: ${formatBytes(audioStats.speed)}/s</div>
-                        <div style="color: #52c41a;">已下載: ${formatBytes(audioStats.downloaded)}</div>
+                        <div style="margin-bottom: 4px;"><strong>${title}:</strong></div>
+                        <div style="margin-bottom: 4px; color: ${color};">速度: ${formatBytes(stats.speed)}/s</div>
+                        <div style="margin-bottom: 4px; color: ${color};">平均: ${formatBytes(stats.average)}/s，峰值: ${formatBytes(stats.peak)}/s</div>
+                        <div style="margin-bottom: 4px; color: ${color};">已下載: ${formatBytes(stats.downloaded)}</div>
+                        <div style="color: #888; font-size: 11px;">碼率 ${formatBitrate(stats.bitrate)}，${sourceLabels[stats.source]}</div>
                     </div>
                 `;
+            const updateStats = (videoStats, audioStats) => {
+                const throughput = monitor.getThroughputEstimate();
+                const cache = getApiCacheStats();
+                const expires = playInfo.expires ? new Date(playInfo.expires).toLocaleTimeString() : 'N/A';
+                statsDetails.innerHTML = (monitor.videoElement ? renderTrack('視頻下載', videoStats, '#1890ff') : '')
+                    + (monitor.audioElement ? renderTrack('音頻下載', audioStats, '#52c41a') : '')
+                    + `<div style="grid-column: 1 / -1; color: #888; font-size: 11px;">吞吐量估算: ${throughput ? formatBitrate(throughput) : '尚無樣本'}</div>`
+                    + `<div style="grid-column: 1 / -1; color: #888; font-size: 11px;">API 緩存: 命中 ${cache.hits} 次，未命中 ${cache.misses} 次，共 ${cache.size} 項；播放地址有效至 ${expires}</div>`;
             };
 
             // 設置監控器回調
@@ -670,15 +1268,19 @@ export function createStreamInfoPanel(controlBar, playInfo, monitor) {
         }
     }
 
+    // CDN 測速
+    const benchmarkDetails = document.getElementById('cdn-benchmark-details');
+    if (benchmarkDetails) {
+        createBenchmarkSection(benchmarkDetails);
+    }
+
     // 初始更新信息
     updateStreamInfo();
 
     // 定期更新緩存時間信息
     const updateInterval = setInterval(() => {
         const video = document.querySelector('#bilibili-lite-player video');
-        const audio = document.querySelector('#bilibili-lite-player audio');
-
-        if (!video || !audio) {
+        if (!video) {
             clearInterval(updateInterval);
             return;
         }
@@ -735,6 +1337,106 @@ export function createPreloadControlPanel(controlBar, preloader) {
     console.log('[LitePlayer UI] 預加載控制面板創建（功能尚未實現）');
 }
 
+/**
+ * 渲染 CDN 測速結果表
+ * @param {HTMLElement} container - 表格容器
+ * @param {Object|null} benchmark - { results, testedAt }
+ */
+function renderBenchmarkTable(container, benchmark) {
+    if (!benchmark || !benchmark.results.length) {
+        container.innerHTML = '<div style="color: #999;">尚未測速</div>';
+        return;
+    }
+    const current = cdnOptimizer.getCurrentCDNInfo().key;
+    // 主機和錯誤信息來自網絡，只以文本寫入
+    const cell = (row, text, style = 'padding: 2px 8px 2px 0;', tag = 'td') => {
+        const el = document.createElement(tag);
+        el.style.cssText = style;
+        el.textContent = text;
+        row.appendChild(el);
+        return el;
+    };
+    const testedAt = document.createElement('div');
+    testedAt.style.cssText = 'color: #999; font-size: 12px; margin-bottom: 4px;';
+    testedAt.textContent = `測於 ${new Date(benchmark.testedAt).toLocaleString()}`;
+    const table = document.createElement('table');
+    table.style.cssText = 'border-collapse: collapse; font-size: 13px;';
+    const header = document.createElement('tr');
+    header.style.color = '#666';
+    ['', '節點', '主機', '首字節', '吞吐量'].forEach(text => cell(header, text, text ? 'text-align: left;' : '', 'th'));
+    table.appendChild(header);
+    benchmark.results.forEach((result, i) => {
+        const row = document.createElement('tr');
+        if (result.key === current) row.style.cssText = 'color: #fa8c16; font-weight: bold;';
+        cell(row, String(i + 1));
+        cell(row, result.key === 'origin' ? '原始節點' : result.key);
+        cell(row, result.host || '', 'padding: 2px 8px 2px 0; font-family: monospace; font-size: 11px;');
+        cell(row, result.ok ? `${Math.round(result.ttfb)} ms` : '-');
+        const speed = cell(row, result.ok ? `${formatBytes(result.throughput)}/s` : String(result.error));
+        if (!result.ok) speed.style.color = '#ff4d4f';
+        table.appendChild(row);
+    });
+    container.replaceChildren(testedAt, table);
+}
+
+/**
+ * 創建 CDN 測速區：測速按鈕、結果表和「使用最快節點」按鈕
+ * @param {HTMLElement} container - 測速區容器
+ */
+function createBenchmarkSection(container) {
+    container.innerHTML = '';
+    const buttonRow = document.createElement('div');
+    buttonRow.style.display = 'flex';
+    buttonRow.style.gap = '8px';
+    buttonRow.style.marginBottom = '8px';
+
+    const runButton = document.createElement('button');
+    runButton.className = 'benchmark-btn';
+    runButton.textContent = '開始測速';
+
+    const applyButton = document.createElement('button');
+    applyButton.className = 'benchmark-btn';
+    applyButton.textContent = '使用最快節點';
+    applyButton.disabled = true;
+
+    const table = document.createElement('div');
+
+    buttonRow.appendChild(runButton);
+    buttonRow.appendChild(applyButton);
+    container.appendChild(buttonRow);
+    container.appendChild(table);
+
+    let results = [];
+    function show(benchmark) {
+        results = benchmark?.results || [];
+        renderBenchmarkTable(table, benchmark);
+        applyButton.disabled = !results.some(result => result.ok);
+    }
+
+    cdnOptimizer.getLastBenchmark().then(show);
+
+    runButton.onclick = async () => {
+        runButton.disabled = true;
+        applyButton.disabled = true;
+        runButton.textContent = '測速中...';
+        try {
+            const { runCDNBenchmark } = await import('./player.js');
+            show({ results: await runCDNBenchmark(), testedAt: Date.now() });
+        } catch (e) {
+            console.warn('[LitePlayer UI] CDN 測速失敗:', e);
+            table.innerHTML = `<div style="color: #ff4d4f;">測速失敗：${e.message}</div>`;
+        } finally {
+            runButton.disabled = false;
+            runButton.textContent = '開始測速';
+        }
+    };
+
+    applyButton.onclick = async () => {
+        const { applyFastestCDN } = await import('./player.js');
+        applyFastestCDN(results);
+    };
+}
+
 /**
  * 顯示CDN切換的加載提示
  * @param {HTMLElement} playerElement - 播放器元素
@@ -1,12 +1,59 @@
 // filepath: d:\code\bilibili-player\js\player.js
 // player.js - 處理播放器的實現和相關功能
-import {cdnOptimizer } from './api.js';
-import { StreamMonitor, formatBytes, formatBitrate } from './utils.js';
+import { cdnOptimizer, resolveStreamUrls, refreshPlayInfo, invalidatePlayInfo, getVideoInfo, getAudioInfo, qualityMap, audioQualityMap } from './api.js';
+import { getBenchmarkSourceUrl, getHost } from './cdn.js';
+import { StreamMonitor, formatBytes, formatBitrate, formatTime, getStorageValue, setStorageValue } from './utils.js';
+import { DashMSEEngine, canPlayWithMSE, findPlayableStream } from './mse.js';
+import { DanmakuRenderer, fetchDanmaku } from './danmaku.js';
+import { SubtitleManager } from './subtitle.js';
+import { getResumeTime, createProgressRecorder, shouldResume } from './progress.js';
+import { HeartbeatReporter } from './heartbeat.js';
+import { SegmentedVideo, canPlayDurl } from './durl.js';
+import { OverlayControls, toRangeList, SPEED_OPTIONS } from './controls.js';
+import { ShortcutManager } from './shortcuts.js';
+import { fetchVideoshot } from './videoshot.js';
+import { getNextItem } from './autoplay.js';
+import { AbrController, getSwitchableStreams, AUTO_QUALITY } from './abr.js';
+import { PlaybackStats, StatsOverlay } from './stats.js';
+import { AudioOnlyView } from './audio-only.js';
+import { setupMediaSession, clearMediaSession } from './media-session.js';
+import { RecoveryController, REMEDY } from './recovery.js';
+import { getCodecFamily } from './codec.js';
+import { findNativePlayer, detachNativePlayer, showNativePlayer, showLitePlayer, consumeNativeReload } from './native-player.js';
 // 只導入需要的基本 UI 函數，其他函數將透過動態導入使用
-import { createPlayerElements, showCDNSwitchingIndicator, showPlayerError } from './player-ui.js';
+import { createPlayerElements, showCDNSwitchingIndicator, showPlayerError, hidePlayerError, showResumeToast, showAutoplayCountdown, switchQuality, switchAudioQuality } from './player-ui.js';
 
 let streamMonitor = null;
 let playbackOptimizer = null;
+let mseEngine = null;
+let mseFailovers = null; // MSE 兩條軌道當前表示的 CDN 故障轉移
+let abrController = null;
+let danmakuRenderer = null;
+let subtitleManager = null;
+let heartbeatReporter = null;
+let progressRecorder = null; // 當前播放器的進度記錄處理器，同時註冊到 window 的 pagehide
+let segmentedVideo = null;
+let overlayControls = null;
+let shortcutManager = null;
+let playbackStats = null;
+let statsOverlay = null;
+let statsVisible = false; // 統計信息面板在切換畫質、換P後保持打開
+let autoplayCountdown = null;
+let audioOnlyView = null;
+let currentMedia = null;
+let currentPlayInfo = null;
+let lastPlayInfo = null;     // 最近一次建立播放器的播放信息，清理後仍保留，供失敗恢復重建
+let lastReload = null;       // 對應的 mainReload；加載失敗時為正在加載的視頻的 mainReload
+let recoveryState = null;    // 失敗恢復重建前記錄的播放狀態
+let nativeRequested = false; // 用戶手動切換到原生播放器，期間換視頻也不替換
+let nativeHref = null;       // 切換到原生播放器時的網址
+
+const SEEK_STEP = 5;        // 方向鍵快進快退秒數
+const VOLUME_STEP = 0.1;    // 方向鍵音量步進
+const AUTO_BENCHMARK_DELAY = 10000; // 每日自動測速延後到開播之後，避免與首屏加載搶帶寬
+const ABR_KEY = 'bilibili-lite-abr'; // 是否使用自動畫質
+const SWITCH_KEEP_AHEAD = 3; // 手動切換畫質/音質時保留的舊表示緩衝秒數，之後的分段改用新表示
+const LOAD_ERROR_ID = 'bilibili-lite-load-error'; // 尚未建立精簡播放器時，原生播放器下方的錯誤面板容器
 
 // 全局變量存儲播放器事件監聽器引用，用於內存洩漏防護
 let playerEventHandlers = {
@@ -19,6 +66,13 @@ let playerEventHandlers = {
  * 清理播放器事件監聽器，防止內存洩漏
  */
 function cleanupPlayerEventListeners() {
+    // 銷毀前寫入最後的播放位置（節流間隔內的進度），並移除 pagehide 監聽
+    if (progressRecorder) {
+        progressRecorder();
+        window.removeEventListener('pagehide', progressRecorder);
+        progressRecorder = null;
+    }
+
     const existingPlayer = document.getElementById('bilibili-lite-player');
     if (existingPlayer) {
         const video = existingPlayer.querySelector('video');
@@ -26,16 +80,16 @@ function cleanupPlayerEventListeners() {
 
         // 清理視頻事件監聽器
         if (video && playerEventHandlers.video.size > 0) {
-            playerEventHandlers.video.forEach((handler, event) => {
-                video.removeEventListener(event, handler);
+            playerEventHandlers.video.forEach((handlers, event) => {
+                handlers.forEach(handler => video.removeEventListener(event, handler));
             });
             console.log(`[LitePlayer] 已清理 ${playerEventHandlers.video.size} 個視頻事件監聽器`);
         }
 
         // 清理音頻事件監聽器
         if (audio && playerEventHandlers.audio.size > 0) {
-            playerEventHandlers.audio.forEach((handler, event) => {
-                audio.removeEventListener(event, handler);
+            playerEventHandlers.audio.forEach((handlers, event) => {
+                handlers.forEach(handler => audio.removeEventListener(event, handler));
             });
             console.log(`[LitePlayer] 已清理 ${playerEventHandlers.audio.size} 個音頻事件監聽器`);
         }
@@ -46,6 +100,78 @@ function cleanupPlayerEventListeners() {
         }
     }
 
+    // 停止自動畫質評估
+    if (abrController) {
+        abrController.destroy();
+        abrController = null;
+    }
+
+    // 停止 MSE 引擎，釋放 MediaSource
+    if (mseEngine) {
+        mseEngine.destroy();
+        mseEngine = null;
+    }
+    mseFailovers = null;
+
+    // 停止彈幕渲染
+    if (danmakuRenderer) {
+        danmakuRenderer.destroy();
+        danmakuRenderer = null;
+    }
+
+    // 移除字幕軌道
+    if (subtitleManager) {
+        subtitleManager.destroy();
+        subtitleManager = null;
+    }
+
+    // 停止歷史記錄心跳
+    if (heartbeatReporter) {
+        heartbeatReporter.stop();
+        heartbeatReporter = null;
+    }
+
+    // 取消未完成的自動連播倒計時
+    cancelAutoplay();
+
+    // 移除僅播放聲音的畫面並釋放 AudioContext
+    if (audioOnlyView) {
+        audioOnlyView.destroy();
+        audioOnlyView = null;
+    }
+    clearMediaSession();
+
+    // 移除統計信息面板
+    if (statsOverlay) {
+        statsVisible = statsOverlay.visible;
+        statsOverlay.destroy();
+        statsOverlay = null;
+    }
+    if (playbackStats) {
+        playbackStats.destroy();
+        playbackStats = null;
+    }
+
+    // 停止快捷鍵監聽
+    if (shortcutManager) {
+        shortcutManager.destroy();
+        shortcutManager = null;
+    }
+
+    // 移除疊加控制層
+    if (overlayControls) {
+        overlayControls.destroy();
+        overlayControls = null;
+    }
+
+    // 解除 durl 分段視頻的事件轉發
+    if (segmentedVideo) {
+        segmentedVideo.destroy();
+        segmentedVideo = null;
+    }
+    currentMedia = null;
+    currentPlayInfo = null;
+
     // 重置監聽器引用
     playerEventHandlers = {
         video: new Map(),
@@ -64,7 +190,11 @@ function cleanupPlayerEventListeners() {
 function addTrackedEventListener(element, event, handler, type) {
     element.addEventListener(event, handler);
     if (type === 'video' || type === 'audio') {
-        playerEventHandlers[type].set(event, handler);
+        // 同一事件可能有多個處理器（如 ended 同時用於進度記錄和自動連播）
+        if (!playerEventHandlers[type].has(event)) {
+            playerEventHandlers[type].set(event, []);
+        }
+        playerEventHandlers[type].get(event).push(handler);
     }
 }
 
@@ -91,10 +221,8 @@ async function reloadPlayerWithNewCDN(oldCDN, newCDN) {
             // 等待短暫延遲以顯示加載提示
             await new Promise(resolve => setTimeout(resolve, 300));
 
-            // 清理現有事件監聽器防止內存洩漏
-            cleanupPlayerEventListeners();
-
             // 重新加載播放器（不傳參數，使用當前畫質設置）
+            // 舊播放器由 replacePlayer 清理，清理前 mainReload 會記錄播放狀態，換 CDN 後從原位置繼續
             await window.mainReload();
 
             console.log(`[CDN] 播放器重新加載完成: ${oldCDN} -> ${newCDN}`);
@@ -122,25 +250,1082 @@ async function reloadPlayerWithNewCDN(oldCDN, newCDN) {
         }
 
         // 回滾 CDN 設置
-        cdnOptimizer.preferredCDN = oldCDN;
+        cdnOptimizer.setPreferredCDN(oldCDN);
         alert(`CDN 切換失敗，已回滾到 ${oldCDN.toUpperCase()}`);
     }
 }
 
-// 替換播放器，支持 dash（簡單合併，僅現代瀏覽器支持）
-function replacePlayer(playInfo, mainReload) {
+/**
+ * 以當前播放的流對各 CDN 節點測速
+ * @returns {Promise<Array<Object>>} 按快慢排序的測速結果
+ */
+async function runCDNBenchmark() {
+    const sourceUrl = currentPlayInfo && getBenchmarkSourceUrl(currentPlayInfo);
+    if (!sourceUrl) {
+        throw new Error('當前視頻沒有可測速的 CDN 地址');
+    }
+    return cdnOptimizer.benchmark(sourceUrl);
+}
+
+/**
+ * 採用測速最快的節點並重新加載播放器
+ * @param {Array<Object>} results - runCDNBenchmark 的結果
+ * @returns {Promise<Object|null>} 採用的節點，全部失敗時為 null
+ */
+async function applyFastestCDN(results) {
+    const fastest = results.find(result => result.ok);
+    if (!fastest) return null;
+    const oldCDN = cdnOptimizer.getCurrentCDNInfo().key;
+    cdnOptimizer.applyBenchmarkResult(fastest);
+    await reloadPlayerWithNewCDN(oldCDN, fastest.key);
+    return fastest;
+}
+
+/**
+ * 開啟自動測速時，每天第一次播放後在背景測速，結果計入節點評分
+ * @param {Object} playInfo - 播放信息對象
+ */
+async function scheduleDailyBenchmark(playInfo) {
+    const enabled = await getStorageValue('bilibili-lite-cdn-auto-benchmark', false);
+    if (!enabled) return;
+    const last = await cdnOptimizer.getLastBenchmark();
+    if (last && new Date(last.testedAt).toDateString() === new Date().toDateString()) return;
+    setTimeout(() => {
+        if (currentPlayInfo !== playInfo) return;
+        console.log('[CDN] 今日首次播放，開始自動測速');
+        runCDNBenchmark().catch(e => console.warn('[CDN] 自動測速失敗:', e));
+    }, AUTO_BENCHMARK_DELAY);
+}
+
+/**
+ * 精簡播放器移出頁面前停止其快捷鍵、媒體會話、心跳、彈幕等，播放狀態記錄下來供切換回來時沿用
+ * 須在容器移出頁面前調用，cleanupPlayerEventListeners 按頁面上的容器解除媒體事件
+ */
+function suspendLitePlayer() {
+    recovery.cancel();
+    recoveryState = capturePlaybackState();
+    cleanupPlayerEventListeners();
+}
+
+/**
+ * 切換到 B 站原生播放器（錯誤面板和控制欄的按鈕），精簡播放器停止並保留容器，可隨時切換回來
+ */
+function openNativePlayer() {
+    suspendLitePlayer();
+    removeLoadError();
+    const shown = showNativePlayer({
+        message: '正在使用原生播放器',
+        actionLabel: '切換到精簡播放器',
+        onAction: returnToLitePlayer,
+        keepAfterReload: true
+    });
+    if (!shown) {
+        console.warn('[LitePlayer] 沒有保留的原生播放器，無法切換');
+        // 精簡播放器已停止，按當前畫質和音質原地重建
+        if (lastPlayInfo) {
+            lastReload?.(lastPlayInfo.audioOnly ? 0 : lastPlayInfo.qn, lastPlayInfo.audioQuality);
+        } else {
+            lastReload?.();
+        }
+        return;
+    }
+    nativeRequested = true;
+    nativeHref = location.href;
+}
+
+/**
+ * 切換到原生播放器時整頁重新加載過（頁內換過視頻），加載後繼續使用原生播放器
+ * @param {Function} reload - mainReload，切換回精簡播放器時調用
+ * @returns {boolean} 是否繼續使用原生播放器
+ */
+function resumeNativePlayer(reload) {
+    if (!consumeNativeReload()) return false;
+    lastReload = reload;
+    openNativePlayer();
+    return true;
+}
+
+/**
+ * 從原生播放器切換回精簡播放器並重新加載；仍是同一視頻時沿用之前的畫質和播放狀態
+ */
+function returnToLitePlayer() {
+    nativeRequested = false;
+    // 沒有可放回的精簡播放器時（如首次加載失敗後切換到原生播放器）由重新加載新建
+    showLitePlayer();
+    if (location.href === nativeHref && lastPlayInfo) {
+        lastReload?.(lastPlayInfo.audioOnly ? 0 : lastPlayInfo.qn, lastPlayInfo.audioQuality);
+    } else {
+        lastReload?.();
+    }
+}
+
+/**
+ * 用戶是否手動切換到了原生播放器，此時 mainReload 不替換播放器
+ * @returns {boolean}
+ */
+function isNativePlayerRequested() {
+    return nativeRequested;
+}
+
+/**
+ * 當前視頻命中停用規則時停止精簡播放器、改用原生播放器，提示條上可選擇仍使用精簡播放器
+ * @param {string} reason - 命中的規則說明
+ * @param {Function} onUseLite - 點擊「仍使用精簡播放器」
+ */
+function useNativePlayerByRule(reason, onUseLite) {
+    suspendLitePlayer();
+    removeLoadError();
+    nativeRequested = false;
+    showNativePlayer({ message: `${reason}，正在使用原生播放器`, actionLabel: '仍使用精簡播放器', onAction: onUseLite });
+}
+
+/**
+ * 之前按停用規則顯示了原生播放器時，放回精簡播放器供接下來重建
+ */
+function restoreLitePlayer() {
+    showLitePlayer();
+}
+
+/**
+ * 換 CDN 時採用的節點：評分最高且不是當前節點的鏡像
+ * @returns {string|null} CDN 鍵名
+ */
+function getNextCDN() {
+    const current = cdnOptimizer.getCurrentCDNInfo().key;
+    return cdnOptimizer.rankCDNs().find(key => key !== current) || null;
+}
+
+/**
+ * 播放信息正在使用的媒體主機，僅音頻時取音頻流
+ * @param {Object} playInfo - 播放信息對象
+ * @returns {string}
+ */
+function getPlayInfoHost(playInfo) {
+    return getHost((playInfo.audioOnly ? playInfo.audioUrl : playInfo.videoUrl) || '');
+}
+
+/**
+ * 比當前畫質低一檔的可用畫質
+ * @param {Object} playInfo - 播放信息對象
+ * @returns {number|null}
+ */
+function getLowerQuality(playInfo) {
+    if (playInfo.audioOnly) return null;
+    const lower = (playInfo.acceptQn || []).filter(qn => qn > 0 && qn < playInfo.qn);
+    return lower.length > 0 ? Math.max(...lower) : null;
+}
+
+/**
+ * 當前播放信息下某個恢復動作是否可行
+ * @param {string} remedy - REMEDY 中的值
+ * @returns {boolean}
+ */
+function canApplyRemedy(remedy) {
+    const playInfo = lastPlayInfo;
+    if (!lastReload) return false;
+    // 加載失敗、尚未取得播放信息時只能重新加載
+    if (!playInfo) return remedy === REMEDY.RETRY || remedy === REMEDY.REFRESH;
+    switch (remedy) {
+        case REMEDY.SWITCH_CDN:
+            // 地址未經鏡像替換（CDN 替換已關閉或經 mcdn 代理）時換 CDN 不會改變主機
+            return getNextCDN() !== null
+                && Object.values(cdnOptimizer.getAvailableCDNs()).includes(getPlayInfoHost(playInfo));
+        case REMEDY.AVC:
+            return !!playInfo.dash && !playInfo.audioOnly && getCodecFamily(playInfo.videoStream?.codecs) !== 'avc';
+        case REMEDY.LOWER_QUALITY:
+            return getLowerQuality(playInfo) !== null;
+        default:
+            return true;
+    }
+}
+
+/**
+ * 執行恢復動作：清理出錯的播放器後按動作重新取得播放信息並重建，播放位置由 capturePlaybackState 沿用
+ * @param {string} remedy - REMEDY 中的值
+ */
+async function applyRemedy(remedy) {
+    const playInfo = lastPlayInfo;
+    const reload = lastReload;
+    if (!reload) return;
+    if (!playInfo) {
+        await reload();
+        return;
+    }
+    recoveryState = capturePlaybackState();
+    // 清理後 mainReload 不會嘗試在出錯的 MSE 引擎上無縫切換
+    cleanupPlayerEventListeners();
+    const qn = playInfo.audioOnly ? 0 : playInfo.qn;
+    switch (remedy) {
+        case REMEDY.REFRESH:
+            invalidatePlayInfo(playInfo);
+            await reload(qn, playInfo.audioQuality);
+            break;
+        case REMEDY.SWITCH_CDN: {
+            const next = getNextCDN();
+            const host = getPlayInfoHost(playInfo);
+            console.log(`[CDN] 播放失敗，切換到 ${next}`);
+            cdnOptimizer.setPreferredCDN(next);
+            await reload(qn, playInfo.audioQuality);
+            if (lastPlayInfo !== playInfo && getPlayInfoHost(lastPlayInfo) === host) {
+                console.warn(`[CDN] 切換到 ${next} 後播放地址仍為 ${host}，換 CDN 未生效`);
+            }
+            break;
+        }
+        case REMEDY.AVC:
+            await reload(qn, playInfo.audioQuality, null, 'avc');
+            break;
+        case REMEDY.LOWER_QUALITY:
+            await reload(getLowerQuality(playInfo), playInfo.audioQuality);
+            break;
+        default:
+            await reload(qn, playInfo.audioQuality);
+    }
+}
+
+const recovery = new RecoveryController({
+    canApply: canApplyRemedy,
+    apply: applyRemedy,
+    onRecovering: ({ message, remedyLabel, attempt, total, delay }) => {
+        const container = getErrorContainer();
+        if (!container) return;
+        showPlayerError(container, `${message}，${Math.round(delay / 1000)} 秒後${remedyLabel}（${attempt}/${total}）`, [
+            { label: '立即重試', handler: () => recovery.runPending() },
+            { label: '打開原生播放器', handler: openNativePlayer }
+        ]);
+    },
+    onFailed: ({ message }) => {
+        const container = getErrorContainer();
+        if (!container) return;
+        const loading = document.getElementById('bilibili-lite-loading');
+        if (loading) loading.style.display = 'none';
+        showPlayerError(container, `${message}，自動恢復未成功`, [
+            { label: '重試', handler: () => {
+                hidePlayerError(container);
+                recovery.retry();
+            } },
+            { label: '打開原生播放器', handler: openNativePlayer }
+        ]);
+    }
+});
+
+/**
+ * 錯誤面板的容器：精簡播放器；尚未建立或已移出頁面時（加載失敗）在原生播放器下方建立一個
+ * @returns {HTMLElement|null}
+ */
+function getErrorContainer() {
+    const container = document.getElementById('bilibili-lite-player') || document.getElementById(LOAD_ERROR_ID);
+    if (container) return container;
+    const nativePlayer = findNativePlayer();
+    if (!nativePlayer) return null;
+    const host = document.createElement('div');
+    host.id = LOAD_ERROR_ID;
+    host.style.cssText = 'position:relative;height:160px;margin:8px 0;border-radius:6px;background:#000;';
+    nativePlayer.after(host);
+    return host;
+}
+
+/**
+ * 移除原生播放器下方的錯誤面板（精簡播放器已建立或用戶改用原生播放器）
+ */
+function removeLoadError() {
+    document.getElementById(LOAD_ERROR_ID)?.remove();
+}
+
+/**
+ * 報告一次播放失敗，由恢復狀態機按錯誤類型自動處理並顯示錯誤面板
+ * @param {Object} failure - { api, apiCode, status, mediaError, error }，見 recovery.js 的 classifyFailure
+ * @param {Object} load - 加載視頻時失敗為 { cid, reload }（cid 未取得時為 null），之後的重試和恢復動作針對該視頻；
+ *   省略時為當前播放器的失敗
+ */
+function reportPlaybackFailure(failure, load = null) {
+    if (load) {
+        // 首次加載或換視頻失敗：不再按上一個視頻的播放信息計算重試次數和判斷恢復動作
+        if (load.cid === null || load.cid !== lastPlayInfo?.cid) lastPlayInfo = null;
+        lastReload = load.reload;
+    }
+    if (!lastReload) return;
+    recovery.report({ ...failure, cid: load ? load.cid : lastPlayInfo?.cid });
+}
+
+/**
+ * 以 MSE 引擎播放 DASH，音視頻寫入同一個 MediaSource
+ * @param {HTMLVideoElement} video - 視頻元素
+ * @param {Object} playInfo - 播放信息對象
+ * @param {HTMLElement} loading - 加載動畫元素
+ * @returns {Object} 音頻軌道的只讀媒體視圖，供流監控使用
+ */
+function setupMSEPlayback(video, playInfo, loading) {
+    // 自動畫質切換時會替換視頻軌道的故障轉移（僅播放聲音時沒有視頻軌道）
+    const failovers = mseFailovers = {
+        video: playInfo.videoStream
+            ? cdnOptimizer.createFailover(playInfo.videoUrl, playInfo.originalVideoUrl, playInfo.videoBackupUrls)
+            : null,
+        audio: cdnOptimizer.createFailover(playInfo.audioUrl, playInfo.originalAudioUrl, playInfo.audioBackupUrls)
+    };
+    mseEngine = new DashMSEEngine(video, playInfo, {
+        onError: (error, type) => {
+            console.error(`[LitePlayer] ${type === 'audio' ? '音頻' : '視頻'}分段加載失敗，所有 CDN 節點均不可用:`, error);
+            reportPlaybackFailure({ status: error.status, error });
+        },
+        getFallbackUrl: (type) => failovers[type].next(),
+        onThroughput: (type, url, bytes, ms) => {
+            cdnOptimizer.reportThroughput(url, bytes, ms);
+            streamMonitor?.recordDownload(type, bytes, ms);
+        },
+        refreshUrl: async (type) => {
+            const urls = await refreshStreamUrls(playInfo, type);
+            if (!urls) return null;
+            failovers[type] = cdnOptimizer.createFailover(urls.url, urls.originalUrl, urls.backupUrls);
+            return urls.url;
+        }
+    });
+    const engine = mseEngine;
+    engine.start().catch(error => {
+        if (engine.destroyed) return;
+        console.error('[LitePlayer] MSE 引擎啟動失敗:', error);
+        reportPlaybackFailure({ status: error.status, error });
+    });
+    // 解碼錯誤或編碼不受支持
+    video.onerror = () => {
+        if (engine.destroyed) return;
+        console.error('[LitePlayer] 視頻播放失敗:', video.error);
+        reportPlaybackFailure({ mediaError: video.error?.code, error: video.error });
+    };
+
+    // 單一時鐘下只需看視頻元素本身的緩衝狀態
+    function setLoading(show) {
+        loading.style.display = show ? 'flex' : 'none';
+    }
+
+    function checkBuffering() {
+        const waiting = !video.paused && video.readyState < HTMLMediaElement.HAVE_FUTURE_DATA;
+        setLoading(waiting || video.seeking);
+        // 拖動進度引起的等待不計為卡頓
+        playbackStats?.updateStall(waiting && !video.seeking);
+    }
+
+    addTrackedEventListener(video, 'waiting', checkBuffering, 'video');
+    addTrackedEventListener(video, 'seeking', checkBuffering, 'video');
+    addTrackedEventListener(video, 'seeked', checkBuffering, 'video');
+    addTrackedEventListener(video, 'playing', checkBuffering, 'video');
+    addTrackedEventListener(video, 'canplay', checkBuffering, 'video');
+
+    // 播放中卡頓時，記到緩衝較少的那條軌道的節點上
+    addTrackedEventListener(video, 'waiting', () => {
+        if (video.seeking) return;
+        const type = !engine.tracks.video || engine.getBufferedAhead('audio') < engine.getBufferedAhead('video') ? 'audio' : 'video';
+        cdnOptimizer.reportStall(engine.tracks[type].url);
+        // 視頻緩衝耗盡時自動畫質立即降檔
+        if (type === 'video') abrController?.onStall();
+    }, 'video');
+
+    playerEventHandlers.syncHandlers.push(setLoading, checkBuffering);
+
+    return engine.getTrackMedia('audio');
+}
+
+/**
+ * 在新的 rawDash 列表中找到與給定表示相同（畫質和編碼一致）的表示
+ * @param {Array<Object>} streams
+ * @param {Object} stream
+ * @returns {Object|null}
+ */
+function findSameStream(streams, stream) {
+    return (streams || []).find(s => s.id === stream?.id && s.codecs === stream.codecs) || null;
+}
+
+/**
+ * 播放地址簽名過期時重新請求 playurl，取得當前表示的新地址並更新 playInfo
+ * @param {Object} playInfo - 播放信息對象
+ * @param {string} type - 'video' 或 'audio'
+ * @returns {Promise<Object|null>} { url, originalUrl, backupUrls }
+ */
+async function refreshStreamUrls(playInfo, type) {
+    const fresh = await refreshPlayInfo(playInfo);
+    const current = type === 'video' ? playInfo.videoStream : playInfo.audioStream;
+    const stream = findSameStream(fresh?.rawDash?.[type], current);
+    if (!stream) return null;
+    const urls = resolveStreamUrls(stream);
+    playInfo.rawDash = fresh.rawDash;
+    playInfo.expires = fresh.expires;
+    if (type === 'video') {
+        Object.assign(playInfo, {
+            videoStream: stream,
+            videoUrl: urls.url,
+            originalVideoUrl: urls.originalUrl,
+            videoBackupUrls: urls.backupUrls
+        });
+    } else {
+        Object.assign(playInfo, {
+            audioStream: stream,
+            audioUrl: urls.url,
+            originalAudioUrl: urls.originalUrl,
+            audioBackupUrls: urls.backupUrls
+        });
+    }
+    return urls;
+}
+
+/**
+ * durl 回退播放，多段時拼接成一條時間軸
+ * @param {HTMLVideoElement} video - 視頻元素
+ * @param {Object} playInfo - 播放信息對象（需包含 segments）
+ * @param {HTMLElement} loading - 加載動畫元素
+ * @returns {SegmentedVideo} 全局時間軸的播放時鐘
+ */
+function setupDurlPlayback(video, playInfo, loading) {
+    segmentedVideo = new SegmentedVideo(video, playInfo.segments);
+    const media = segmentedVideo;
+
+    function setLoading(show) {
+        loading.style.display = show ? 'flex' : 'none';
+    }
+
+    addTrackedEventListener(media, 'waiting', () => setLoading(true), 'video');
+    addTrackedEventListener(media, 'seeking', () => setLoading(true), 'video');
+    addTrackedEventListener(media, 'playing', () => setLoading(false), 'video');
+    addTrackedEventListener(media, 'canplay', () => setLoading(false), 'video');
+
+    // 每段各自按候選地址故障轉移，從出錯位置繼續
+    const failovers = playInfo.segments.map(seg =>
+        cdnOptimizer.createFailover(seg.url, seg.originalUrl, seg.backupUrls)
+    );
+    // 所有候選地址都失敗時簽名可能已過期，重新取得播放地址後再試一輪
+    let refreshed = false;
+    video.onerror = async (e) => {
+        console.error('[LitePlayer] 視頻加載失敗:', e);
+        // 解碼錯誤換地址無用，直接交給失敗恢復
+        if (video.error?.code === MediaError.MEDIA_ERR_DECODE) {
+            reportPlaybackFailure({ mediaError: video.error.code, error: video.error });
+            return;
+        }
+        const index = media.index;
+        let next = failovers[index].next();
+        if (!next && !refreshed) {
+            refreshed = true;
+            const seg = (await refreshPlayInfo(playInfo))?.segments?.[index];
+            if (segmentedVideo !== media) return;
+            if (seg) {
+                failovers[index] = cdnOptimizer.createFailover(seg.url, seg.originalUrl, seg.backupUrls);
+                next = failovers[index].currentUrl;
+            }
+        }
+        if (!next) {
+            reportPlaybackFailure({ mediaError: video.error?.code, error: video.error });
+            return;
+        }
+        media.retrySegment(next);
+    };
+    addTrackedEventListener(video, 'waiting', () => {
+        if (video.seeking) return;
+        cdnOptimizer.reportStall(video.currentSrc || video.src);
+        playbackStats?.updateStall(true);
+    }, 'video');
+    addTrackedEventListener(video, 'playing', () => playbackStats?.updateStall(false), 'video');
+
+    playerEventHandlers.syncHandlers.push(setLoading);
+    return media;
+}
+
+/**
+ * 媒體元素加載失敗時依次換用候選地址，並從失敗前的位置繼續
+ * 所有候選地址都失敗時簽名可能已過期，重新取得播放地址後再試一輪
+ * @param {HTMLMediaElement} element - 視頻或音頻元素
+ * @param {CDNFailover} failover - 該流的候選地址
+ * @param {string} type - 'video' 或 'audio'
+ * @param {Object} playInfo - 播放信息對象
+ */
+function setupElementFailover(element, failover, type, playInfo) {
+    let refreshed = false;
+    element.onerror = async (e) => {
+        console.error(`[LitePlayer] ${type === 'audio' ? '音頻' : '視頻'}加載失敗:`, e);
+        if (element.error?.code === MediaError.MEDIA_ERR_DECODE) {
+            reportPlaybackFailure({ mediaError: element.error.code, error: element.error });
+            return;
+        }
+        const time = element.currentTime;
+        const wasPlaying = !element.paused;
+        let next = failover.next();
+        if (!next && !refreshed) {
+            refreshed = true;
+            const urls = await refreshStreamUrls(playInfo, type);
+            if (currentPlayInfo !== playInfo) return;
+            if (urls) {
+                failover = cdnOptimizer.createFailover(urls.url, urls.originalUrl, urls.backupUrls);
+                next = failover.currentUrl;
+            }
+        }
+        if (!next) {
+            reportPlaybackFailure({ mediaError: element.error?.code, error: element.error });
+            return;
+        }
+        element.src = next;
+        element.addEventListener('loadedmetadata', () => {
+            if (time > 0) element.currentTime = time;
+            if (wasPlaying) element.play().catch(err => console.warn('[LitePlayer] 自動播放失敗:', err));
+        }, { once: true });
+    };
+    addTrackedEventListener(element, 'waiting', () => {
+        if (!element.seeking) cdnOptimizer.reportStall(element.currentSrc || element.src);
+    }, type);
+}
+
+/**
+ * 雙元素同步播放（瀏覽器不支持 MSE 或流缺少 SegmentBase 時的後備方案）
+ * @param {HTMLVideoElement} video - 視頻元素
+ * @param {HTMLAudioElement} audio - 音頻元素
+ * @param {HTMLElement} loading - 加載動畫元素
+ */
+function setupDualElementSync(video, audio, loading) {
+    //當視頻播放時，觸發音頻的播放，確保音頻和視頻同步開始。
+    const playHandler = () => { audio.play(); };
+    // 當視頻暫停時，觸發音頻的暫停
+    const pauseHandler = () => { audio.pause(); };
+    // 當視頻進度條拖動時，同步音頻的當前時間
+    const seekingHandler = () => { audio.currentTime = video.currentTime; };
+    // 當視頻倍速改變時，同步音頻的播放速率
+    const rateChangeHandler = () => { audio.playbackRate = video.playbackRate; };
+    
+    // 同步音頻和視頻的播放狀態
+    function syncAudio() {
+        const diff = video.currentTime - audio.currentTime;
+        playbackStats?.recordDrift(diff);
+        if (Math.abs(diff) > 0.2) {
+            if (!video.paused && !audio.seeking && !video.seeking) {
+                audio.currentTime = video.currentTime;
+                if (audio.paused) audio.play();
+            }
+        }
+        if (audio.playbackRate !== video.playbackRate) audio.playbackRate = video.playbackRate;
+        if (audio.volume !== video.volume) audio.volume = video.volume;
+        if (audio.muted !== video.muted) audio.muted = video.muted;
+    }
+    
+    // 添加事件監聽器
+    video.addEventListener('play', playHandler);
+    video.addEventListener('pause', pauseHandler);
+    video.addEventListener('seeking', seekingHandler);
+    video.addEventListener('ratechange', rateChangeHandler);
+    video.addEventListener('timeupdate', syncAudio);
+    // loading 檢查
+    function setLoading(show) {
+        loading.style.display = show ? 'flex' : 'none';
+    }
+
+    function checkBuffering() {
+        const videoBufferedTime = video.buffered.length > 0
+            ? video.buffered.end(video.buffered.length - 1) - video.currentTime
+            : 0;
+        const audioBufferedTime = audio.buffered.length > 0
+            ? audio.buffered.end(audio.buffered.length - 1) - audio.currentTime
+            : 0;
+        // 任一元素數據不足即為卡頓，拖動進度引起的等待除外
+        const starved = video.readyState < HTMLMediaElement.HAVE_FUTURE_DATA
+            || audio.readyState < HTMLMediaElement.HAVE_FUTURE_DATA;
+        playbackStats?.updateStall(!video.paused && !video.seeking && starved);
+        //else {
+        //    setLoading(false);
+        // 移除自動恢復播放邏輯，讓用戶自行點擊播放按鈕
+        //    console.log('[LitePlayer] Buffer is ready. User can resume playback manually.', {
+        //        videoBufferedTime,
+        //        audioBufferedTime,
+        //        videoReadyState: video.readyState,
+        //        audioReadyState: audio.readyState
+        //    });
+        //}
+    }
+
+    // 使用跟蹤式事件監聽器，防止內存洩漏
+    addTrackedEventListener(video, 'waiting', checkBuffering, 'video');
+    addTrackedEventListener(audio, 'waiting', checkBuffering, 'audio');
+    addTrackedEventListener(video, 'seeking', checkBuffering, 'video');
+    addTrackedEventListener(audio, 'seeking', checkBuffering, 'audio');
+    addTrackedEventListener(video, 'playing', checkBuffering, 'video');
+    addTrackedEventListener(audio, 'playing', checkBuffering, 'audio');
+    addTrackedEventListener(video, 'canplay', checkBuffering, 'video');
+    addTrackedEventListener(audio, 'canplay', checkBuffering, 'audio');
+    addTrackedEventListener(video, 'canplaythrough', checkBuffering, 'video');
+    addTrackedEventListener(audio, 'canplaythrough', checkBuffering, 'audio');
+
+    // 保存緩衝處理器引用
+    playerEventHandlers.syncHandlers.push(setLoading, checkBuffering);
+
+    // 初始檢查
+    setTimeout(checkBuffering, 100);
+}
+
+/**
+ * 在播放器上創建彈幕層並加載當前 cid 的彈幕
+ * @param {HTMLElement} container - 播放器容器
+ * @param {HTMLVideoElement|SegmentedVideo} media - 播放時鐘
+ * @param {Object} playInfo - 播放信息對象
+ * @param {Object|null} settings - 重建前的彈幕設定
+ * @returns {DanmakuRenderer}
+ */
+function setupDanmaku(container, media, playInfo, settings = null) {
+    const renderer = new DanmakuRenderer(container, media);
+    danmakuRenderer = renderer;
+
+    // 重建播放器時沿用之前的設定（包括快捷鍵切換的開關），否則讀取保存的設定
+    if (settings) {
+        renderer.updateSettings(settings);
+    } else {
+        getStorageValue('bilibili-lite-danmaku', {}).then(saved => {
+            renderer.updateSettings(saved);
+        });
+    }
+
+    if (playInfo.cid) {
+        fetchDanmaku(playInfo.cid, playInfo.duration || 0)
+            .then(comments => renderer.load(comments))
+            .catch(e => console.warn('[LitePlayer] 彈幕加載失敗:', e));
+    }
+    return renderer;
+}
+
+/**
+ * 按設定啟用觀看進度上報（默認關閉）
+ * 上報地址可在彈窗中改為本地測試服務（bilibili-lite-heartbeat-endpoint）
+ * @param {HTMLVideoElement|SegmentedVideo} media - 播放時鐘
+ * @param {Object} playInfo - 播放信息對象
+ */
+async function setupHeartbeat(media, playInfo) {
+    const enabled = await getStorageValue('bilibili-lite-heartbeat', false);
+    if (!enabled || currentMedia !== media) return;
+    const endpoint = await getStorageValue('bilibili-lite-heartbeat-endpoint', '');
+    if (currentMedia !== media) return;
+    heartbeatReporter = new HeartbeatReporter(media, playInfo, { endpoint: endpoint || undefined });
+    heartbeatReporter.start();
+}
+
+/**
+ * 創建播放器內的疊加控制層
+ * @param {HTMLElement} container - 播放器容器
+ * @param {HTMLVideoElement|SegmentedVideo} media - 播放時鐘
+ * @param {HTMLVideoElement} video - 視頻元素
+ * @param {Object} playInfo - 播放信息對象
+ * @param {Function} mainReload - 重新加載函數
+ * @param {Array<Object>} bufferSources - 進度條上顯示的各條流緩衝
+ * @param {Object|null} restore - 重建前的播放狀態，沿用其中的音量
+ * @param {Object} extras - { danmaku, subtitles }，提供時疊加層顯示彈幕開關和字幕菜單
+ */
+function setupOverlayControls(container, media, video, playInfo, mainReload, bufferSources, restore = null, extras = {}) {
+    overlayControls = new OverlayControls(container, media, {
+        video,
+        playInfo,
+        bufferSources,
+        danmaku: extras.danmaku,
+        subtitles: extras.subtitles,
+        initialVolume: restore ? { volume: restore.volume, muted: restore.muted } : null,
+        autoQuality: mseEngine !== null && !playInfo.audioOnly,
+        onQualityChange: qn => {
+            if (qn === AUTO_QUALITY) {
+                enableAdaptiveBitrate(playInfo);
+                return;
+            }
+            const wasAuto = disableAdaptiveBitrate();
+            // 從自動模式選回正在播放的畫質時只需停止自動切換
+            if (wasAuto && qn === playInfo.qn) return;
+            switchQuality(playInfo, mainReload, qn);
+        },
+        onAudioQualityChange: audioQuality => switchAudioQuality(playInfo, mainReload, audioQuality)
+    });
+
+    // 進度條縮略圖（按 bvid/cid 緩存，切換畫質不會重新請求）
+    if (playInfo.bvid && playInfo.cid) {
+        const overlay = overlayControls;
+        fetchVideoshot(playInfo.bvid, playInfo.cid).then(shot => {
+            if (!overlay.destroyed) overlay.setThumbnails(shot);
+        });
+    }
+}
+
+/**
+ * 在不重建播放器的情況下切換 MSE 某條軌道的表示，成功後同步更新 playInfo
+ * @param {Object} playInfo - 播放信息對象
+ * @param {string} type - 'video' 或 'audio'
+ * @param {Object} stream - rawDash 中的目標表示
+ * @param {number} keepAhead - 保留的舊表示緩衝秒數，默認全部保留
+ * @returns {Promise<boolean>} 是否切換成功
+ */
+async function switchMSEStream(playInfo, type, stream, keepAhead = Infinity) {
+    const engine = mseEngine;
+    const failovers = mseFailovers;
+    if (!engine || engine.destroyed || !engine.tracks[type]) return false;
+    // 播放地址刷新過時，舊列表中的表示地址已失效，改用新 rawDash 中的同一表示
+    stream = findSameStream(playInfo.rawDash?.[type], stream) || stream;
+    const { url, originalUrl, backupUrls } = resolveStreamUrls(stream);
+    // 新表示的故障轉移在切換完成後才替換，期間舊表示仍按原候選地址重試
+    const failover = cdnOptimizer.createFailover(url, originalUrl, backupUrls);
+    try {
+        await engine.switchStream(type, stream, url, { keepAhead, getFallbackUrl: () => failover.next() });
+    } catch (error) {
+        console.warn(`[LitePlayer] 切換${type === 'audio' ? '音質' : '畫質'}失敗，保持當前表示:`, error);
+        return false;
+    }
+    if (engine.destroyed) return false;
+    failovers[type] = failover;
+    if (type === 'video') {
+        Object.assign(playInfo, {
+            qn: stream.id,
+            videoStream: stream,
+            videoUrl: url,
+            originalVideoUrl: originalUrl,
+            videoBackupUrls: backupUrls,
+            videoInfo: getVideoInfo(stream)
+        });
+    } else {
+        Object.assign(playInfo, {
+            audioQuality: stream.id,
+            audioStream: stream,
+            audioUrl: url,
+            originalAudioUrl: originalUrl,
+            audioBackupUrls: backupUrls,
+            audioInfo: getAudioInfo(stream)
+        });
+    }
+    return true;
+}
+
+/**
+ * 自動畫質的切換回調：保留全部已緩衝的舊畫質，從緩衝末尾接上新畫質
+ * @param {Object} playInfo - 播放信息對象
+ * @param {Object} stream - rawDash.video 中的目標表示
+ * @returns {Promise<boolean>} 是否切換成功
+ */
+async function switchMSEVideoStream(playInfo, stream) {
+    const switched = await switchMSEStream(playInfo, 'video', stream);
+    if (switched) {
+        overlayControls?.setQuality(stream.id, true);
+        overlayControls?.showHint(`自動切換到 ${qualityMap[stream.id] || stream.id}`);
+    }
+    return switched;
+}
+
+/**
+ * 在當前 MSE 播放器內直接切換畫質和音質：使用已取得的 rawDash，不重新請求接口、不重建播放器，
+ * 新表示在後台預加載，舊表示繼續播放到切換點；倍速、音量、字幕和彈幕狀態自然保持
+ * @param {number} qn - 目標畫質
+ * @param {number|null} audioQuality - 目標音質，為空時保持當前音質
+ * @param {string} codec - 優先編碼
+ * @returns {Promise<boolean>} 是否已切換；返回 false 時需由調用方重建播放器
+ */
+async function switchStreamsSeamlessly(qn, audioQuality, codec = '') {
+    const playInfo = currentPlayInfo;
+    const engine = mseEngine;
+    // 僅播放聲音和有視頻軌道之間的切換需要重建 MediaSource
+    if (!engine || !playInfo?.rawDash || playInfo.audioOnly || qn === 0) return false;
+
+    const videoStream = qn === playInfo.qn
+        ? playInfo.videoStream
+        : findPlayableStream(playInfo.rawDash.video, qn, playInfo.videoStream, codec);
+    const audioStream = !audioQuality || audioQuality === playInfo.audioQuality
+        ? playInfo.audioStream
+        : findPlayableStream(playInfo.rawDash.audio, audioQuality, playInfo.audioStream);
+    if (!videoStream || !audioStream) return false;
+
+    const videoChanged = videoStream !== playInfo.videoStream;
+    const audioChanged = audioStream !== playInfo.audioStream;
+    const results = await Promise.all([
+        videoChanged && switchMSEStream(playInfo, 'video', videoStream, SWITCH_KEEP_AHEAD),
+        audioChanged && switchMSEStream(playInfo, 'audio', audioStream, SWITCH_KEEP_AHEAD)
+    ]);
+    if (engine !== mseEngine || (videoChanged && !results[0]) || (audioChanged && !results[1])) return false;
+
+    const overlay = overlayControls;
+    overlay?.setQuality(playInfo.qn, abrController !== null);
+    overlay?.setAudioQuality(playInfo.audioQuality);
+    const labels = [];
+    if (videoChanged) labels.push(qualityMap[playInfo.qn] || playInfo.qn);
+    if (audioChanged) labels.push(audioQualityMap[playInfo.audioQuality] || playInfo.audioQuality);
+    if (labels.length > 0) overlay?.showHint(`已切換到 ${labels.join(' / ')}`);
+    console.log('[LitePlayer] 無縫切換完成', { qn: playInfo.qn, audioQuality: playInfo.audioQuality });
+    return true;
+}
+
+/**
+ * 記錄重建播放器前的播放狀態，供 replacePlayer 在新播放器上恢復
+ * @returns {Object|null} { time, paused, volume, muted, playbackRate, subtitle, danmaku }
+ */
+function capturePlaybackState() {
+    const media = currentMedia;
+    // 失敗恢復已清理播放器時，沿用清理前記錄的狀態
+    if (!media) return recoveryState;
+    return {
+        time: media.currentTime,
+        paused: media.paused,
+        volume: media.volume,
+        muted: media.muted,
+        playbackRate: media.playbackRate,
+        subtitle: subtitleManager ? subtitleManager.current : null,
+        danmaku: danmakuRenderer ? { ...danmakuRenderer.settings } : null
+    };
+}
+
+/**
+ * 新播放器加載元數據後恢復播放位置和倍速（加載會把倍速重設為默認值）
+ * @param {HTMLVideoElement|SegmentedVideo} media - 播放時鐘
+ * @param {Object} state - capturePlaybackState 的結果
+ */
+function restorePlaybackPosition(media, state) {
+    media.addEventListener('loadedmetadata', () => {
+        if (currentMedia !== media) return;
+        media.playbackRate = state.playbackRate;
+        if (state.time > 0) media.currentTime = state.time;
+        if (!state.paused) {
+            media.play().catch(e => console.warn('[LitePlayer] 自動播放失敗:', e));
+        }
+        console.log('[LitePlayer] 恢復播放狀態完成', state);
+    }, { once: true });
+}
+
+/**
+ * 啟動自動畫質：依實測吞吐量和緩衝在同編碼的各畫質間切換
+ * @param {Object} playInfo - 播放信息對象
+ */
+function startAdaptiveBitrate(playInfo) {
+    const engine = mseEngine;
+    const monitor = streamMonitor;
+    if (!engine || abrController || playInfo.audioOnly) return;
+    overlayControls?.setQuality(playInfo.qn, true);
+
+    const streams = getSwitchableStreams(playInfo);
+    if (streams.length < 2) {
+        console.log('[LitePlayer ABR] 沒有可切換的其他畫質');
+        return;
+    }
+    abrController = new AbrController({
+        streams,
+        current: playInfo.videoStream,
+        audioBandwidth: playInfo.audioInfo?.bandwidth || 0,
+        // 開播後尚無分段樣本時，先參考該節點以往的吞吐量
+        getThroughput: () => monitor?.getThroughputEstimate()
+            || cdnOptimizer.getHostThroughput(engine.tracks.video.url) * 8,
+        getBufferAhead: () => engine.getBufferedAhead('video'),
+        onSwitch: stream => switchMSEVideoStream(playInfo, stream)
+    });
+    abrController.start();
+    console.log('[LitePlayer ABR] 自動畫質已啟動，可選畫質:', streams.map(s => s.id));
+}
+
+/**
+ * 選擇「自動」畫質：保存設定並立即開始自動切換
+ * @param {Object} playInfo - 播放信息對象
+ */
+function enableAdaptiveBitrate(playInfo) {
+    setStorageValue(ABR_KEY, true);
+    startAdaptiveBitrate(playInfo);
+    overlayControls?.showHint('自動畫質');
+}
+
+/**
+ * 手動選擇畫質時關閉自動切換
+ * @returns {boolean} 之前是否處於自動模式
+ */
+function disableAdaptiveBitrate() {
+    setStorageValue(ABR_KEY, false);
+    if (!abrController) return false;
+    abrController.destroy();
+    abrController = null;
+    return true;
+}
+
+/**
+ * 按保存的設定在 MSE 播放器上恢復自動畫質
+ * @param {Object} playInfo - 播放信息對象
+ */
+async function setupAdaptiveBitrate(playInfo) {
+    const engine = mseEngine;
+    const enabled = await getStorageValue(ABR_KEY, false);
+    // 讀取設定期間播放器可能已被替換
+    if (!enabled || !engine || engine !== mseEngine) return;
+    startAdaptiveBitrate(playInfo);
+}
+
+/**
+ * 綁定鍵盤快捷鍵，操作結果以疊加層提示反饋
+ * @param {HTMLVideoElement|SegmentedVideo} media - 播放時鐘
+ * @param {DanmakuRenderer} danmaku - 彈幕渲染器
+ */
+function setupShortcuts(media, danmaku) {
+    const overlay = overlayControls;
+    const duration = () => overlay.getDuration();
+
+    const seekTo = (time) => {
+        media.currentTime = Math.max(0, Math.min(time, duration()));
+        overlay.showHint(`${formatTime(media.currentTime)} / ${formatTime(duration())}`);
+    };
+    const changeVolume = (delta) => {
+        media.volume = Math.round(Math.max(0, Math.min(1, media.volume + delta)) * 100) / 100;
+        media.muted = false;
+        overlay.saveVolume();
+        overlay.showHint(`音量 ${Math.round(media.volume * 100)}%`);
+    };
+    const changeSpeed = (direction) => {
+        const index = SPEED_OPTIONS.indexOf(media.playbackRate);
+        const current = index === -1 ? SPEED_OPTIONS.indexOf(1) : index;
+        const next = SPEED_OPTIONS[Math.max(0, Math.min(SPEED_OPTIONS.length - 1, current + direction))];
+        media.playbackRate = next;
+        overlay.showHint(`${next}x`);
+    };
+
+    shortcutManager = new ShortcutManager({
+        togglePlay: () => overlay.togglePlay(),
+        seekBackward: () => seekTo(media.currentTime - SEEK_STEP),
+        seekForward: () => seekTo(media.currentTime + SEEK_STEP),
+        volumeUp: () => changeVolume(VOLUME_STEP),
+        volumeDown: () => changeVolume(-VOLUME_STEP),
+        fullscreen: () => overlay.toggleFullscreen(),
+        danmaku: () => {
+            // 控制欄和疊加層的彈幕開關通過 change 事件同步
+            const enabled = danmaku.toggle();
+            setStorageValue('bilibili-lite-danmaku', danmaku.settings);
+            overlay.showHint(enabled ? '彈幕已開啟' : '彈幕已關閉');
+        },
+        mute: () => {
+            media.muted = !media.muted;
+            overlay.saveVolume();
+            overlay.showHint(media.muted ? '已靜音' : '取消靜音');
+        },
+        speedDown: () => changeSpeed(-1),
+        speedUp: () => changeSpeed(1),
+        stats: () => statsOverlay?.toggle(),
+        seekPercent: (percent) => seekTo(duration() * percent / 100)
+    });
+    shortcutManager.start();
+}
+
+/**
+ * 創建統計信息面板，可用快捷鍵或右鍵菜單打開
+ * @param {HTMLElement} container - 播放器容器
+ * @param {HTMLVideoElement} video - 視頻元素
+ * @param {Object} tracks - { video, audio } 各條流的媒體視圖
+ * @param {Object} playInfo - 播放信息對象
+ * @param {string} mode - 播放模式描述
+ */
+function setupStatsOverlay(container, video, tracks, playInfo, mode) {
+    playbackStats = new PlaybackStats({
+        video,
+        tracks,
+        monitor: streamMonitor,
+        playInfo,
+        mode,
+        sharedClock: mseEngine !== null
+    });
+    statsOverlay = new StatsOverlay(container, playbackStats);
+    overlayControls.addContextMenuItem('統計信息', () => statsOverlay?.toggle());
+    if (statsVisible) statsOverlay.show();
+}
+
+/**
+ * 創建控制欄（分P、字幕、彈幕設定等）和流信息面板
+ * @param {HTMLElement} newPlayer - 播放器容器
+ * @param {Object} playInfo - 播放信息對象
+ * @param {Function} mainReload - 重新加載函數
+ * @param {Object} extras - { danmaku, subtitles }，播放失敗時可為空；切換原生播放器的回調由此處附加
+ */
+function setupControlBar(newPlayer, playInfo, mainReload, extras = {}) {
+    // 首先創建控制欄結構
+    const arcToolbar = document.getElementById('arc_toolbar_report');
+    // 查找控制欄的容器，優先使用 arc_toolbar_report，若不存在則使用播放器的父元素
+    const controlContainer = arcToolbar || newPlayer.parentElement;
+
+    if (controlContainer) {
+        // 動態創建控制欄結構
+        import('./player-ui.js').then(UI => {
+            const controlBar = UI.createControlBarStructure(newPlayer); // 將控制欄結構插入到播放器容器中
+
+            // 使用獨立的UI模組創建控制區
+            UI.createControlBar(playInfo, mainReload, streamMonitor, { ...extras, onOpenNative: openNativePlayer });
+
+            // 使用獨立的UI模組創建流信息面板
+            UI.createStreamInfoPanel(controlBar, playInfo, streamMonitor);
+        });
+    } else {
+        console.warn('[LitePlayer] 無法找到控制欄容器');
+    }
+    // 如果有预加载器，则创建控制面板
+    if (window.preloader) {
+        import('./player-ui.js').then(UI => {
+            const controlBar = document.getElementById('bilibili-lite-controlbar');
+            if (controlBar) {
+                UI.createPreloadControlPanel(controlBar, window.preloader);
+            }
+        });
+    }
+}
+
+/**
+ * 取得當前播放器的播放時鐘（durl 多段時為全局時間軸），供外部保存和恢復播放狀態
+ * @returns {HTMLVideoElement|SegmentedVideo|null}
+ */
+function getCurrentMedia() {
+    return currentMedia;
+}
+
+/**
+ * 首次打開視頻時查詢上次觀看位置，並提示是否從該位置繼續
+ * @param {Object} playInfo - 播放信息對象
+ */
+async function promptResume(playInfo) {
+    const time = await getResumeTime(playInfo);
+    const player = document.getElementById('bilibili-lite-player');
+    const media = currentMedia;
+    // 查詢期間已切換到其他視頻時放棄
+    if (!media || player.dataset.cid !== String(playInfo.cid)) return;
+    if (!shouldResume(time, playInfo.duration || 0)) return;
+
+    console.log('[LitePlayer] 可從上次位置續播:', time);
+    showResumeToast(player, time, () => {
+        media.currentTime = time;
+        media.play().catch(e => console.warn('[LitePlayer] 自動播放失敗:', e));
+    });
+}
+
+/**
+ * 播放結束後按設定顯示連播倒計時（下一P、合集、下一集或相關推薦）
+ * @param {HTMLElement} container - 播放器容器
+ * @param {Object} playInfo - 播放信息對象
+ */
+async function startAutoplay(container, playInfo) {
+    const next = await getNextItem(playInfo);
+    // 查詢設定期間已切換到其他視頻時放棄
+    if (!next || currentPlayInfo !== playInfo) return;
+    console.log('[LitePlayer] 自動連播:', next.type, next.title);
+    autoplayCountdown = showAutoplayCountdown(container, next, () => {
+        autoplayCountdown = null;
+        next.navigate();
+    });
+}
+
+function cancelAutoplay() {
+    if (autoplayCountdown) {
+        autoplayCountdown.cancel();
+        autoplayCountdown = null;
+    }
+}
+
+// 替換播放器，支持 dash（MSE 引擎，必要時退回雙元素同步）
+// restore 為 capturePlaybackState 的結果，畫質切換需要重建播放器時沿用之前的播放狀態
+function replacePlayer(playInfo, mainReload, restore = null) {
     console.log('[LitePlayer] replacePlayer 開始執行');
 
     // 清理現有事件監聽器防止內存洩漏
     cleanupPlayerEventListeners();
+    // 新播放器建立後不再執行之前排定的恢復動作（如用戶已手動切換畫質）
+    recovery.cancel();
+    recoveryState = null;
+    lastPlayInfo = playInfo;
+    lastReload = mainReload;
+    removeLoadError();
 
     // 檢查是否已存在我們的播放器
     let newPlayer = document.getElementById('bilibili-lite-player');
     let isReplace = false;
 
     if (!newPlayer) {
-        // 首次創建 - 查找原始播放器容器
-        const oldPlayer = document.querySelector('#playerWrap');
+        // 首次創建 - 查找原始播放器容器（視頻頁為 #playerWrap，番劇頁為 #bilibili-player-wrap）
+        const oldPlayer = findNativePlayer();
 
         console.log('[LitePlayer] 找到的舊播放器元素:', oldPlayer);
 
@@ -149,15 +1334,11 @@ function replacePlayer(playInfo, mainReload) {
             return;
         }
 
-        const parent = oldPlayer.parentNode;
-        if (!parent) {
+        if (!oldPlayer.parentNode) {
             console.warn('[LitePlayer] 播放器容器沒有父元素');
             return;
         }
 
-        console.log('[LitePlayer] 移除舊播放器');
-        parent.removeChild(oldPlayer);
-
         // 新建播放器容器 - 使用 createElement 創建基本容器但不處理內部 UI 元素
         newPlayer = document.createElement('div');
         newPlayer.id = 'bilibili-lite-player';
@@ -165,15 +1346,17 @@ function replacePlayer(playInfo, mainReload) {
         newPlayer.style.height = '100%';
         newPlayer.style.position = 'relative';
         newPlayer.style.backgroundColor = '#000';
-        parent.appendChild(newPlayer);
+
+        // 舊播放器移出頁面但保留，可從控制欄或錯誤面板切換回原生播放器
+        console.log('[LitePlayer] 替換舊播放器');
+        detachNativePlayer(oldPlayer, newPlayer);
 
         const viewboxReport = document.getElementById('viewbox_report');
         if (viewboxReport && viewboxReport.parentNode) {
             viewboxReport.parentNode.insertBefore(newPlayer, viewboxReport.nextSibling);
         }
-        else {
-            console.warn('[LitePlayer] 未找到 viewbox_report，無法插入播放器');
-            return;
+        else if (playInfo.type !== 'pgc') {
+            console.warn('[LitePlayer] 未找到 viewbox_report，播放器保留在原播放器位置');
         }
 
         console.log('[LitePlayer] 創建新播放器容器完成');
@@ -183,134 +1366,159 @@ function replacePlayer(playInfo, mainReload) {
         isReplace = true;
     }
 
-    if (playInfo.dash) {
-        // 雙流同步播放方案 - 使用 player-ui.js 提供的 createPlayerElements 函數
-        const playerElements = createPlayerElements(playInfo, newPlayer);
-        const video = playerElements.video;
-        const audio = playerElements.audio;
-        const loading = playerElements.loading;
-
+    // 標記當前播放的 cid，供異步回調確認播放器未被切換
+    newPlayer.dataset.cid = playInfo.cid || '';
 
+    let video;
+    let media; // 對外的播放時鐘：DASH 為視頻元素本身，durl 為拼接後的分段視頻
+    let audioSource = null;
+    let bufferSources = []; // 進度條上顯示的各條流緩衝
+    let modeLabel;
 
+    if (playInfo.audioOnly) {
+        // 僅播放聲音：只拉取音頻流，由視頻元素播放，畫面顯示封面和頻譜
+        const useMSE = canPlayWithMSE(playInfo);
+        const playerElements = createPlayerElements(playInfo, newPlayer, { videoOnly: true });
+        video = playerElements.video;
+        media = video;
+        if (useMSE) {
+            audioSource = setupMSEPlayback(video, playInfo, playerElements.loading);
+        } else {
+            video.src = playInfo.audioUrl;
+            audioSource = video;
+            setupElementFailover(video, cdnOptimizer.createFailover(playInfo.audioUrl, playInfo.originalAudioUrl, playInfo.audioBackupUrls), 'audio', playInfo);
+        }
+        const track = audioSource;
+        bufferSources = [
+            { name: 'audio', getRanges: () => toRangeList(track.buffered) }
+        ];
+        audioOnlyView = new AudioOnlyView(newPlayer, video, playInfo);
+        modeLabel = useMSE ? ' 僅聲音(MSE) ' : ' 僅聲音 ';
+    } else if (playInfo.dash) {
+        // 優先使用 MSE 引擎，瀏覽器或流不支持時退回雙元素同步方案
+        const useMSE = canPlayWithMSE(playInfo);
+        const playerElements = createPlayerElements(playInfo, newPlayer, { videoOnly: useMSE });
+        video = playerElements.video;
+        media = video;
+        const loading = playerElements.loading;
 
-        //當視頻播放時，觸發音頻的播放，確保音頻和視頻同步開始。
-        const playHandler = () => { audio.play(); };
-        // 當視頻暫停時，觸發音頻的暫停
-        const pauseHandler = () => { audio.pause(); };
-        // 當視頻進度條拖動時，同步音頻的當前時間
-        const seekingHandler = () => { audio.currentTime = video.currentTime; };
-        // 當視頻倍速改變時，同步音頻的播放速率
-        const rateChangeHandler = () => { audio.playbackRate = video.playbackRate; };
-        
-        // 同步音頻和視頻的播放狀態
-        function syncAudio() {
-            const diff = video.currentTime - audio.currentTime;
-            if (Math.abs(diff) > 0.2) {
-                if (!video.paused && !audio.seeking && !video.seeking) {
-                    audio.currentTime = video.currentTime;
-                    if (audio.paused) audio.play();
-                }
-            }
-            if (audio.playbackRate !== video.playbackRate) audio.playbackRate = video.playbackRate;
-            if (audio.volume !== video.volume) audio.volume = video.volume;
-            if (audio.muted !== video.muted) audio.muted = video.muted;
+        if (useMSE) {
+            audioSource = setupMSEPlayback(video, playInfo, loading);
+            const videoTrack = mseEngine.getTrackMedia('video');
+            bufferSources = [
+                { name: 'video', getRanges: () => toRangeList(videoTrack.buffered) },
+                { name: 'audio', getRanges: () => toRangeList(audioSource.buffered) }
+            ];
+        } else {
+            audioSource = playerElements.audio;
+            setupDualElementSync(video, playerElements.audio, loading);
+            setupElementFailover(video, cdnOptimizer.createFailover(playInfo.videoUrl, playInfo.originalVideoUrl, playInfo.videoBackupUrls), 'video', playInfo);
+            setupElementFailover(playerElements.audio, cdnOptimizer.createFailover(playInfo.audioUrl, playInfo.originalAudioUrl, playInfo.audioBackupUrls), 'audio', playInfo);
+            bufferSources = [
+                { name: 'video', getRanges: () => toRangeList(video.buffered) },
+                { name: 'audio', getRanges: () => toRangeList(audioSource.buffered) }
+            ];
         }
-        
-        // 添加事件監聽器
-        video.addEventListener('play', playHandler);
-        video.addEventListener('pause', pauseHandler);
-        video.addEventListener('seeking', seekingHandler);
-        video.addEventListener('ratechange', rateChangeHandler);
-        video.addEventListener('timeupdate', syncAudio);
-        // loading 檢查
-        function setLoading(show) {
-            loading.style.display = show ? 'flex' : 'none';
+        modeLabel = useMSE ? ' MSE ' : '雙流同步';
+    } else {
+        // durl 回退：整段或多段 MP4
+        const playerElements = createPlayerElements(playInfo, newPlayer, { videoOnly: true });
+        video = playerElements.video;
+        if (!canPlayDurl(playInfo)) {
+            console.warn('[LitePlayer] 不支持的 durl 格式:', playInfo.format);
+            showPlayerError(newPlayer, '當前視頻僅提供 FLV 格式，精簡播放器暫不支持，請嘗試切換畫質', [
+                { label: '打開原生播放器', handler: openNativePlayer }
+            ]);
+            // 仍保留控制欄，以便切換到可播放的畫質
+            if (streamMonitor) {
+                streamMonitor.stopMonitoring();
+                streamMonitor = null;
+            }
+            setupControlBar(newPlayer, playInfo, mainReload);
+            setupOverlayControls(newPlayer, video, video, playInfo, mainReload, []);
+            return;
         }
+        media = setupDurlPlayback(video, playInfo, playerElements.loading);
+        const segmented = media;
+        // 視頻元素只緩衝當前分段，換算到全局時間軸
+        bufferSources = [
+            { name: 'video', getRanges: () => toRangeList(video.buffered, segmented.offsets[segmented.index]) }
+        ];
+        modeLabel = ` durl(${playInfo.segments.length} 段) `;
+    }
+    currentMedia = media;
+    currentPlayInfo = playInfo;
 
-        function checkBuffering() {
-            const videoBufferedTime = video.buffered.length > 0
-                ? video.buffered.end(video.buffered.length - 1) - video.currentTime
-                : 0;
-            const audioBufferedTime = audio.buffered.length > 0
-                ? audio.buffered.end(audio.buffered.length - 1) - audio.currentTime
-                : 0;
-            //else {
-            //    setLoading(false);
-            // 移除自動恢復播放邏輯，讓用戶自行點擊播放按鈕
-            //    console.log('[LitePlayer] Buffer is ready. User can resume playback manually.', {
-            //        videoBufferedTime,
-            //        audioBufferedTime,
-            //        videoReadyState: video.readyState,
-            //        audioReadyState: audio.readyState
-            //    });
-            //}
-        }
+    // 重建時沿用之前的暫停狀態，並在加載元數據後回到原來的位置和倍速
+    if (restore) {
+        video.autoplay = !restore.paused;
+        restorePlaybackPosition(media, restore);
+    }
 
-        // 使用跟蹤式事件監聽器，防止內存洩漏
-        addTrackedEventListener(video, 'waiting', checkBuffering, 'video');
-        addTrackedEventListener(audio, 'waiting', checkBuffering, 'audio');
-        addTrackedEventListener(video, 'seeking', checkBuffering, 'video');
-        addTrackedEventListener(audio, 'seeking', checkBuffering, 'audio');
-        addTrackedEventListener(video, 'playing', checkBuffering, 'video');
-        addTrackedEventListener(audio, 'playing', checkBuffering, 'audio');
-        addTrackedEventListener(video, 'canplay', checkBuffering, 'video');
-        addTrackedEventListener(audio, 'canplay', checkBuffering, 'audio');
-        addTrackedEventListener(video, 'canplaythrough', checkBuffering, 'video');
-        addTrackedEventListener(audio, 'canplaythrough', checkBuffering, 'audio');
-
-        // 保存緩衝處理器引用
-        playerEventHandlers.syncHandlers.push(setLoading, checkBuffering);
-
-        // 初始檢查
-        setTimeout(checkBuffering, 100);
-
-        // 插入
-        newPlayer.appendChild(video);
-        newPlayer.appendChild(audio);
-
-        // 啟動流監控
-        if (streamMonitor) {
-            streamMonitor.stopMonitoring();
-        }
-        streamMonitor = new StreamMonitor();
-        streamMonitor.startMonitoring(video, audio);
+    // 彈幕層
+    const danmaku = setupDanmaku(newPlayer, media, playInfo, restore?.danmaku);
 
-        // 啟動播放優化器
+    // CC 字幕（字幕軌道掛在視頻元素上，多段 durl 的分段時間與字幕時間不一致，暫不掛載）
+    subtitleManager = new SubtitleManager(video);
+    const subtitles = subtitleManager;
+    const singleTimeline = playInfo.dash || playInfo.segments.length === 1;
+    if (playInfo.bvid && playInfo.cid && singleTimeline) {
+        subtitles.load(playInfo.bvid, playInfo.cid, restore?.subtitle ?? null);
+    }
 
-        // 首先創建控制欄結構
-        const arcToolbar = document.getElementById('arc_toolbar_report');
-        // 查找控制欄的容器，優先使用 arc_toolbar_report，若不存在則使用播放器的父元素
-        const controlContainer = arcToolbar || newPlayer.parentElement;
+    // 播放器內的疊加控制層（進度、倍速、畫質、彈幕、字幕、全屏），全屏時外部控制欄不可見
+    setupOverlayControls(newPlayer, media, video, playInfo, mainReload, bufferSources, restore, { danmaku, subtitles });
 
-        if (controlContainer) {
-            // 動態創建控制欄結構
-            import('./player-ui.js').then(UI => {
-                const controlBar = UI.createControlBarStructure(newPlayer); // 將控制欄結構插入到播放器容器中
+    // 鍵盤快捷鍵
+    setupShortcuts(media, danmaku);
 
-                // 使用獨立的UI模組創建控制區
-                UI.createControlBar(playInfo, mainReload, streamMonitor);
+    // 記錄播放進度，供下次打開時續播
+    const recordProgress = createProgressRecorder(media, playInfo);
+    addTrackedEventListener(media, 'timeupdate', recordProgress, 'video');
+    addTrackedEventListener(media, 'pause', recordProgress, 'video');
+    addTrackedEventListener(media, 'ended', recordProgress, 'video');
+    // 關閉標籤頁時寫入節流間隔內的進度
+    progressRecorder = recordProgress;
+    window.addEventListener('pagehide', recordProgress);
 
-                // 使用獨立的UI模組創建流信息面板
-                UI.createStreamInfoPanel(controlBar, playInfo, streamMonitor);
-            });
-        } else {
-            console.warn('[LitePlayer] 無法找到控制欄容器');
-        }
-        // 如果有预加载器，则创建控制面板
-        if (window.preloader) {
-            import('./player-ui.js').then(UI => {
-                const controlBar = document.getElementById('bilibili-lite-controlbar');
-                if (controlBar) {
-                    UI.createPreloadControlPanel(controlBar, window.preloader);
-                }
-            });
-        }
+    // 同步觀看進度到 B 站歷史記錄
+    setupHeartbeat(media, playInfo);
 
-        console.log('[LitePlayer] 已插入雙流同步播放器', {
-            videoSrc: video.src,
-            audioSrc: audio.src
-        });
+    // 播放結束時按設定連播，重新播放或拖動進度時取消倒計時
+    addTrackedEventListener(media, 'ended', () => startAutoplay(newPlayer, playInfo), 'video');
+    addTrackedEventListener(media, 'play', cancelAutoplay, 'video');
+    addTrackedEventListener(media, 'seeking', cancelAutoplay, 'video');
+
+    // 系統媒體控制和耳機按鍵（標題、UP主、封面、快進快退、上一P/下一P），標籤頁在後台時也可操作
+    setupMediaSession(media, playInfo);
+
+    // 按設定每天首次播放時測速一次
+    scheduleDailyBenchmark(playInfo);
+
+    // 啟動流監控
+    if (streamMonitor) {
+        streamMonitor.stopMonitoring();
     }
+    streamMonitor = new StreamMonitor(playInfo);
+    streamMonitor.startMonitoring(playInfo.audioOnly ? null : video, audioSource);
+
+    // 自動畫質（依賴流監控的吞吐量估算）
+    setupAdaptiveBitrate(playInfo);
+
+    // 統計信息面板
+    let statsVideoTrack = mseEngine ? mseEngine.getTrackMedia('video') : video;
+    if (playInfo.audioOnly) statsVideoTrack = null;
+    const statsTracks = { video: statsVideoTrack, audio: audioSource };
+    setupStatsOverlay(newPlayer, video, statsTracks, playInfo, modeLabel.trim());
+
+    // 啟動播放優化器
+
+    setupControlBar(newPlayer, playInfo, mainReload, { danmaku, subtitles });
+
+    console.log(`[LitePlayer] 已插入${modeLabel}播放器`, {
+        videoSrc: video.src,
+        audioSrc: audioSource?.src
+    });
 
     // 播放器創建完成後的清理工作
     setTimeout(() => {
@@ -332,4 +1540,4 @@ function replacePlayer(playInfo, mainReload) {
 // 界面相關函數已移至 player-ui.js 模組
 // 包括 createControlBar, createStreamInfoPanel, createPreloadControlPanel 和 createPlayerElements
 
-export { replacePlayer, reloadPlayerWithNewCDN };
+export { replacePlayer, reloadPlayerWithNewCDN, promptResume, getCurrentMedia, switchStreamsSeamlessly, capturePlaybackState, runCDNBenchmark, applyFastestCDN, reportPlaybackFailure, isNativePlayerRequested, resumeNativePlayer, useNativePlayerByRule, restoreLitePlayer };
@@ -1,4 +1,6 @@
 // popup.js - for popup.html
+import { SHORTCUT_ACTIONS, normalizeKey, findBindingConflicts } from './shortcut-keys.js';
+
 const fnvalOptions = [
   { value: 16, text: 'DASH' },
   { value: 64, text: 'HDR' },
@@ -21,9 +23,89 @@ const qnOptions = [
   { value: 16, text: '360P' }
 ];
 
+// 與 js/rules.js 的 CONTENT_TYPES 保持一致
+const contentTypeOptions = [
+  { value: 'interactive', text: '互動視頻' },
+  { value: 'paid', text: '付費/充電專屬內容' },
+  { value: 'pgc', text: '番劇/影視' }
+];
+
 const fnvalGroup = document.getElementById('fnval-group');
 const codecSelect = document.getElementById('codec-select');
+const heartbeatCheckbox = document.getElementById('heartbeat-checkbox');
+const heartbeatEndpointInput = document.getElementById('heartbeat-endpoint');
+const autoBenchmarkCheckbox = document.getElementById('cdn-auto-benchmark-checkbox');
+const shortcutTable = document.getElementById('shortcut-table');
+const shortcutInputs = {};
+const disableBvids = document.getElementById('disable-bvids');
+const disableMids = document.getElementById('disable-mids');
+const disableTypes = document.getElementById('disable-types');
+const disableTypeInputs = {};
+
+contentTypeOptions.forEach(opt => {
+  const label = document.createElement('label');
+  const cb = document.createElement('input');
+  cb.type = 'checkbox';
+  cb.value = opt.value;
+  label.appendChild(cb);
+  label.appendChild(document.createTextNode(opt.text));
+  disableTypes.appendChild(label);
+  disableTypeInputs[opt.value] = cb;
+});
+
+// 從輸入中提取 BV 號和 UP主 mid，可直接粘貼視頻或空間鏈接
+function parseBvids(text) {
+  return [...new Set(text.match(/BV[0-9A-Za-z]{10}/g) || [])];
+}
+
+function parseMids(text) {
+  return [...new Set(text.split(/[\s,，]+/)
+    .map(item => (item.match(/(?:space\.bilibili\.com\/)?(\d+)/) || [])[1])
+    .filter(Boolean))];
+}
+
+// 標出重複或佔用數字鍵的綁定，返回是否全部可以保存
+function validateShortcuts() {
+  const bindings = {};
+  SHORTCUT_ACTIONS.forEach(item => { bindings[item.action] = shortcutInputs[item.action].value; });
+  const conflicts = findBindingConflicts(bindings);
+  SHORTCUT_ACTIONS.forEach(item => {
+    const input = shortcutInputs[item.action];
+    input.style.borderColor = conflicts[item.action] ? '#ff4d4f' : '';
+    input.title = conflicts[item.action] || '';
+  });
+  return Object.keys(conflicts).length === 0;
+}
+
+// 快捷鍵表格：輸入框獲得焦點後按下的鍵即為新綁定
+SHORTCUT_ACTIONS.forEach(item => {
+  const row = document.createElement('tr');
+  const labelCell = document.createElement('td');
+  labelCell.textContent = item.text;
+  const inputCell = document.createElement('td');
+  const input = document.createElement('input');
+  input.className = 'shortcut-input';
+  input.readOnly = true;
+  input.value = item.key;
+  input.addEventListener('keydown', (e) => {
+    e.preventDefault();
+    if (['Control', 'Shift', 'Alt', 'Meta', 'Tab'].includes(e.key)) return;
+    input.value = normalizeKey(e);
+    validateShortcuts();
+  });
+  inputCell.appendChild(input);
+  row.appendChild(labelCell);
+  row.appendChild(inputCell);
+  shortcutTable.appendChild(row);
+  shortcutInputs[item.action] = input;
+});
+
+document.getElementById('shortcut-reset-btn').addEventListener('click', () => {
+  SHORTCUT_ACTIONS.forEach(item => { shortcutInputs[item.action].value = item.key; });
+  validateShortcuts();
+});
 const statusDiv = document.getElementById('status');
+const saveBtn = document.getElementById('save-btn');
 
 const qnRow = document.createElement('div');
 qnRow.style.marginBottom = '12px';
@@ -44,7 +126,7 @@ if (section) section.insertBefore(qnRow, section.firstChild);
 
 if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
   // 讀取設定
-  chrome.storage.local.get(['bilibili-lite-fnval', 'bilibili-lite-codec', 'bilibili-lite-default-qn'], (result) => {
+  chrome.storage.local.get(['bilibili-lite-fnval', 'bilibili-lite-codec', 'bilibili-lite-default-qn', 'bilibili-lite-heartbeat', 'bilibili-lite-heartbeat-endpoint', 'bilibili-lite-cdn-auto-benchmark', 'bilibili-lite-cdn-benchmark', 'bilibili-lite-shortcuts', 'bilibili-lite-disable-rules'], (result) => {
     let savedFnval = parseInt(result['bilibili-lite-fnval'] || '16');
     fnvalOptions.forEach(opt => {
       const label = document.createElement('label');
@@ -58,19 +140,50 @@ if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
     });
     codecSelect.value = result['bilibili-lite-codec'] || '';
     qnSelect.value = result['bilibili-lite-default-qn'] || '80';
+    heartbeatCheckbox.checked = result['bilibili-lite-heartbeat'] === true;
+    heartbeatEndpointInput.value = result['bilibili-lite-heartbeat-endpoint'] || '';
+    autoBenchmarkCheckbox.checked = result['bilibili-lite-cdn-auto-benchmark'] === true;
+    renderBenchmark(result['bilibili-lite-cdn-benchmark']);
+    const savedShortcuts = result['bilibili-lite-shortcuts'] || {};
+    Object.keys(savedShortcuts).forEach(action => {
+      if (shortcutInputs[action]) shortcutInputs[action].value = savedShortcuts[action];
+    });
+    validateShortcuts();
+    const rules = result['bilibili-lite-disable-rules'] || {};
+    disableBvids.value = (rules.bvids || []).join('\n');
+    disableMids.value = (rules.mids || []).join('\n');
+    (rules.types || []).forEach(type => {
+      if (disableTypeInputs[type]) disableTypeInputs[type].checked = true;
+    });
   });
 
   // 保存
-  const saveBtn = document.getElementById('save-btn');
   saveBtn.onclick = function() {
+    if (!validateShortcuts()) {
+      statusDiv.style.color = '#ff4d4f';
+      statusDiv.textContent = '快捷鍵有重複或佔用了數字鍵，請修改標紅的按鍵後再保存';
+      return false;
+    }
+    statusDiv.style.color = '';
     let fnval = 0;
     fnvalGroup.querySelectorAll('input[type=checkbox]').forEach(cb => {
       if (cb.checked) fnval |= parseInt(cb.value);
     });
+    const shortcuts = {};
+    SHORTCUT_ACTIONS.forEach(item => { shortcuts[item.action] = shortcutInputs[item.action].value; });
     chrome.storage.local.set({
       'bilibili-lite-fnval': fnval,
       'bilibili-lite-codec': codecSelect.value,
-      'bilibili-lite-default-qn': qnSelect.value
+      'bilibili-lite-default-qn': qnSelect.value,
+      'bilibili-lite-heartbeat': heartbeatCheckbox.checked,
+      'bilibili-lite-heartbeat-endpoint': heartbeatEndpointInput.value.trim(),
+      'bilibili-lite-cdn-auto-benchmark': autoBenchmarkCheckbox.checked,
+      'bilibili-lite-shortcuts': shortcuts,
+      'bilibili-lite-disable-rules': {
+        bvids: parseBvids(disableBvids.value),
+        mids: parseMids(disableMids.value),
+        types: contentTypeOptions.map(opt => opt.value).filter(type => disableTypeInputs[type].checked)
+      }
     }, () => {
       statusDiv.textContent = '已保存，刷新播放器頁面生效';
       setTimeout(()=>{statusDiv.textContent='';}, 2000);
@@ -81,7 +194,12 @@ if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
   if (statusDiv) statusDiv.textContent = '請從 Chrome 擴充彈窗開啟本頁';
   if (fnvalGroup) fnvalGroup.innerHTML = '';
   if (codecSelect) codecSelect.disabled = true;
-  const saveBtn = document.getElementById('save-btn');
+  if (heartbeatCheckbox) heartbeatCheckbox.disabled = true;
+  if (heartbeatEndpointInput) heartbeatEndpointInput.disabled = true;
+  if (autoBenchmarkCheckbox) autoBenchmarkCheckbox.disabled = true;
+  if (disableBvids) disableBvids.disabled = true;
+  if (disableMids) disableMids.disabled = true;
+  Object.values(disableTypeInputs).forEach(cb => { cb.disabled = true; });
   if (saveBtn) saveBtn.disabled = true;
 }
 
@@ -146,9 +264,8 @@ cdnSelect.addEventListener('change', () => {
 if (saveBtn) {
   const originalOnClick = saveBtn.onclick;
   saveBtn.onclick = function() {
-    if (originalOnClick) {
-      originalOnClick.call(this);
-    }
+    // 設定未通過檢查、沒有保存時不保存 CDN 設置
+    if (originalOnClick && originalOnClick.call(this) === false) return;
     
     // 保存 CDN 設置
     localStorage.setItem('enableCdn', cdnEnableCheckbox.checked);
@@ -171,3 +288,97 @@ function getCdnDisplayName(cdnKey) {
   
   return cdnNames[cdnKey] || '阿里雲 (推薦)';
 }
+
+// CDN 測速（在當前標籤頁的內容腳本中執行，結果回傳到彈窗顯示）
+const benchmarkBtn = document.getElementById('cdn-benchmark-btn');
+const applyFastestBtn = document.getElementById('cdn-apply-fastest-btn');
+const benchmarkResult = document.getElementById('cdn-benchmark-result');
+let benchmarkResults = [];
+
+function formatSpeed(bytesPerSecond) {
+  if (bytesPerSecond >= 1024 * 1024) return (bytesPerSecond / 1024 / 1024).toFixed(2) + ' MB/s';
+  return (bytesPerSecond / 1024).toFixed(0) + ' KB/s';
+}
+
+function renderBenchmark(benchmark) {
+  benchmarkResults = benchmark?.results || [];
+  applyFastestBtn.disabled = !benchmarkResults.some(r => r.ok);
+  if (!benchmarkResults.length) {
+    benchmarkResult.textContent = '';
+    return;
+  }
+  // 錯誤信息來自網絡異常，只以文本寫入
+  const cell = (row, text, tag = 'td') => {
+    const el = document.createElement(tag);
+    el.textContent = text;
+    row.appendChild(el);
+    return el;
+  };
+  const testedAt = document.createElement('div');
+  testedAt.style.color = '#999';
+  testedAt.textContent = `測於 ${new Date(benchmark.testedAt).toLocaleString()}`;
+  const table = document.createElement('table');
+  const header = document.createElement('tr');
+  ['', '節點', '首字節', '吞吐量'].forEach(text => cell(header, text, 'th'));
+  table.appendChild(header);
+  benchmarkResults.forEach((r, i) => {
+    const row = document.createElement('tr');
+    cell(row, String(i + 1));
+    cell(row, r.key === 'origin' ? '原始節點' : getCdnDisplayName(r.key));
+    cell(row, r.ok ? Math.round(r.ttfb) + ' ms' : '-');
+    const speed = cell(row, r.ok ? formatSpeed(r.throughput) : String(r.error));
+    if (!r.ok) speed.style.color = '#ff4d4f';
+    table.appendChild(row);
+  });
+  benchmarkResult.replaceChildren(testedAt, table);
+}
+
+function sendToActiveTab(message) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs[0]) {
+        reject(new Error('找不到當前標籤頁'));
+        return;
+      }
+      chrome.tabs.sendMessage(tabs[0].id, message, (response) => {
+        if (chrome.runtime.lastError || !response) {
+          reject(new Error('請在 B 站視頻頁使用'));
+        } else if (response.error) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  });
+}
+
+if (typeof chrome !== 'undefined' && chrome.tabs) {
+  benchmarkBtn.addEventListener('click', () => {
+    benchmarkBtn.disabled = true;
+    applyFastestBtn.disabled = true;
+    benchmarkBtn.textContent = '測速中...';
+    sendToActiveTab({ type: 'bilibili-lite-cdn-benchmark' })
+      .then(({ results }) => renderBenchmark({ results, testedAt: Date.now() }))
+      .catch(e => { benchmarkResult.textContent = '測速失敗：' + e.message; })
+      .finally(() => {
+        benchmarkBtn.disabled = false;
+        benchmarkBtn.textContent = '開始測速';
+      });
+  });
+
+  applyFastestBtn.addEventListener('click', () => {
+    sendToActiveTab({ type: 'bilibili-lite-cdn-apply', results: benchmarkResults })
+      .then(({ result }) => {
+        if (!result) return;
+        statusDiv.textContent = '已切換到 ' + (result.key === 'origin' ? '原始節點' : getCdnDisplayName(result.key));
+        if (result.key !== 'origin') {
+          cdnSelect.value = result.key;
+          currentCdnDisplay.textContent = getCdnDisplayName(result.key);
+        }
+      })
+      .catch(e => { statusDiv.textContent = '切換失敗：' + e.message; });
+  });
+} else {
+  benchmarkBtn.disabled = true;
+}
@@ -0,0 +1,109 @@
+// progress.js - 播放進度的記錄與續播
+import { fetchPlayerInfo } from './api.js';
+import { getStorageValue, setStorageValue } from './utils.js';
+
+const PROGRESS_KEY = 'bilibili-lite-progress';
+const MAX_ENTRIES = 200;       // 最多保存的視頻數，超出時淘汰最舊的記錄
+const SAVE_INTERVAL = 5000;    // timeupdate 寫入間隔（毫秒）
+const MIN_RESUME_TIME = 5;     // 少於此秒數不提示續播
+const END_THRESHOLD = 10;      // 距結尾少於此秒數視為看完
+
+function progressKey(bvid, cid) {
+    return `${bvid}:${cid}`;
+}
+
+// 串行化對進度表的讀改寫，避免定時保存與 pagehide 保存交錯時互相覆蓋
+let writeQueue = Promise.resolve();
+
+/**
+ * 保存一個視頻的播放進度，看完的視頻會清除記錄
+ * @param {string} bvid
+ * @param {number} cid
+ * @param {number} time - 當前播放秒數
+ * @param {number} duration - 視頻時長
+ * @returns {Promise<void>}
+ */
+function saveProgress(bvid, cid, time, duration) {
+    // 剛開始播放（包括切換畫質後的重建）時不覆蓋已有記錄
+    if (time < MIN_RESUME_TIME) return writeQueue;
+    writeQueue = writeQueue
+        .then(() => writeProgress(progressKey(bvid, cid), time, duration))
+        .catch(e => console.warn('[LitePlayer Progress] 保存播放進度失敗:', e));
+    return writeQueue;
+}
+
+async function writeProgress(key, time, duration) {
+    const all = await getStorageValue(PROGRESS_KEY, {});
+    if (duration && duration - time < END_THRESHOLD) {
+        if (!(key in all)) return;
+        delete all[key];
+    } else {
+        all[key] = { time, duration, updatedAt: Date.now() };
+        const keys = Object.keys(all);
+        if (keys.length > MAX_ENTRIES) {
+            keys.sort((a, b) => all[a].updatedAt - all[b].updatedAt)
+                .slice(0, keys.length - MAX_ENTRIES)
+                .forEach(k => delete all[k]);
+        }
+    }
+    await setStorageValue(PROGRESS_KEY, all);
+}
+
+/**
+ * 取得可續播的位置：優先本地記錄，其次 B 站返回的上次觀看位置（需登錄）
+ * @param {Object} playInfo - 播放信息對象
+ * @returns {Promise<number>} 續播秒數，0 表示不需要續播
+ */
+async function getResumeTime(playInfo) {
+    const { bvid, cid } = playInfo;
+    if (!bvid || !cid) return 0;
+
+    const local = (await getStorageValue(PROGRESS_KEY, {}))[progressKey(bvid, cid)];
+    if (local) return local.time;
+
+    try {
+        if (playInfo.type === 'pgc') {
+            // 番劇的上次觀看位置在劇集信息的 user_status 中（秒）
+            const progress = playInfo.season?.user_status?.progress;
+            if (progress && progress.last_ep_id === playInfo.epId) return progress.last_time || 0;
+        } else {
+            // 播放器信息接口的 last_play_time 為毫秒
+            const info = await fetchPlayerInfo(bvid, cid);
+            if (info && info.last_play_cid === cid) return (info.last_play_time || 0) / 1000;
+        }
+    } catch (e) {
+        console.warn('[LitePlayer Progress] 讀取遠端播放進度失敗:', e);
+    }
+    return 0;
+}
+
+/**
+ * 為視頻元素綁定節流的進度記錄
+ * @param {HTMLVideoElement} video
+ * @param {Object} playInfo - 播放信息對象
+ * @returns {Function} 處理器，需註冊到 timeupdate/pause/ended/pagehide；不帶事件調用時立即寫入（銷毀播放器前）
+ */
+function createProgressRecorder(video, playInfo) {
+    let lastSave = Date.now();
+    return (event) => {
+        if (!playInfo.bvid || !playInfo.cid) return;
+        const now = Date.now();
+        // 暫停、結束、離開頁面時立即寫入，播放中按間隔節流
+        if (event?.type === 'timeupdate' && now - lastSave < SAVE_INTERVAL) return;
+        lastSave = now;
+        saveProgress(playInfo.bvid, playInfo.cid, video.currentTime, video.duration || 0);
+    };
+}
+
+/**
+ * 判斷某個位置是否值得提示續播
+ * @param {number} time
+ * @param {number} duration
+ * @returns {boolean}
+ */
+function shouldResume(time, duration) {
+    if (time < MIN_RESUME_TIME) return false;
+    return !duration || duration - time >= END_THRESHOLD;
+}
+
+export { saveProgress, getResumeTime, createProgressRecorder, shouldResume };
@@ -0,0 +1,182 @@
+// recovery.js - 播放失敗的分類與恢復：按錯誤類型刷新地址、換 CDN、退回 AVC 或降低畫質，有限次重試並退避
+
+// 失敗類型
+const FAILURE = {
+    REGION: 'region',           // 接口 -404 / -10403：地區限制或內容不存在
+    EXPIRED: 'expired',         // CDN 返回 403：播放地址簽名過期
+    NETWORK: 'network',         // 請求失敗、所有節點不可用
+    DECODE: 'decode',           // 解碼錯誤
+    UNSUPPORTED: 'unsupported', // 瀏覽器不支持該編碼或格式
+    API: 'api'                  // 其他接口錯誤
+};
+
+// 恢復動作
+const REMEDY = {
+    RETRY: 'retry',             // 原樣重建播放器
+    REFRESH: 'refresh',         // 丟棄緩存，重新取得播放地址
+    SWITCH_CDN: 'switch-cdn',   // 換用下一個 CDN 鏡像
+    AVC: 'avc',                 // 改用兼容性最好的 AVC 編碼
+    LOWER_QUALITY: 'lower-quality' // 降一檔畫質
+};
+
+// 各類失敗依次嘗試的動作，長度即最多重試次數；地區限制重試無用，直接提示
+const RECOVERY_PLANS = {
+    [FAILURE.REGION]: [],
+    [FAILURE.EXPIRED]: [REMEDY.REFRESH, REMEDY.SWITCH_CDN, REMEDY.REFRESH],
+    [FAILURE.NETWORK]: [REMEDY.RETRY, REMEDY.SWITCH_CDN, REMEDY.REFRESH],
+    [FAILURE.DECODE]: [REMEDY.AVC, REMEDY.LOWER_QUALITY, REMEDY.LOWER_QUALITY],
+    [FAILURE.UNSUPPORTED]: [REMEDY.AVC, REMEDY.LOWER_QUALITY, REMEDY.LOWER_QUALITY],
+    [FAILURE.API]: [REMEDY.RETRY, REMEDY.RETRY, REMEDY.RETRY]
+};
+
+const FAILURE_LABELS = {
+    [FAILURE.REGION]: '該視頻在當前地區不可播放或已不存在',
+    [FAILURE.EXPIRED]: '播放地址已失效',
+    [FAILURE.NETWORK]: '網絡錯誤，視頻數據加載失敗',
+    [FAILURE.DECODE]: '視頻解碼失敗',
+    [FAILURE.UNSUPPORTED]: '瀏覽器不支持當前視頻格式',
+    [FAILURE.API]: '播放信息獲取失敗'
+};
+
+const REMEDY_LABELS = {
+    [REMEDY.RETRY]: '重新加載',
+    [REMEDY.REFRESH]: '重新取得播放地址',
+    [REMEDY.SWITCH_CDN]: '切換 CDN 節點',
+    [REMEDY.AVC]: '改用 AVC 編碼',
+    [REMEDY.LOWER_QUALITY]: '降低畫質'
+};
+
+const REGION_CODES = [-404, -10403];
+const BACKOFF_BASE = 1000;          // 第 n 次重試前等待 BACKOFF_BASE * 2^(n-1) 毫秒
+const HEALTHY_RESET = 60 * 1000;    // 距上次失敗超過此時間視為已恢復，重新計算重試次數
+
+/**
+ * 按失敗信息判斷類型
+ * @param {Object} failure - { api, apiCode, status, mediaError, error }
+ *   api: 是否在請求接口時失敗；apiCode: 接口返回的 code；status: 分段請求的 HTTP 狀態；
+ *   mediaError: MediaError.code；error: 原始異常
+ * @returns {string} FAILURE 中的值
+ */
+function classifyFailure(failure) {
+    const { apiCode, status, mediaError, error } = failure;
+    if (REGION_CODES.includes(apiCode)) return FAILURE.REGION;
+    if (apiCode !== undefined && apiCode !== 0) return FAILURE.API;
+    if (status === 403) return FAILURE.EXPIRED;
+    if (mediaError === MediaError.MEDIA_ERR_DECODE) return FAILURE.DECODE;
+    if (mediaError === MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED || error?.name === 'NotSupportedError') {
+        return FAILURE.UNSUPPORTED;
+    }
+    if (failure.api) return FAILURE.API;
+    return FAILURE.NETWORK;
+}
+
+/**
+ * 播放失敗恢復狀態機
+ * idle → recovering（等待退避後執行恢復動作）→ idle（新播放器已建立）；動作用盡時進入 failed，交由用戶處理
+ * 重試次數按 cid 計算，換視頻或長時間正常播放後重置
+ */
+class RecoveryController {
+    /**
+     * @param {Object} options - {
+     *   canApply(remedy): 當前播放信息下該動作是否可行（如已是 AVC、已是最低畫質）,
+     *   apply(remedy): 執行恢復動作（重建播放器）,
+     *   onRecovering({ type, remedy, attempt, total, delay }): 開始等待重試,
+     *   onFailed({ type, message }): 放棄自動恢復
+     * }
+     */
+    constructor(options) {
+        this.canApply = options.canApply;
+        this.apply = options.apply;
+        this.onRecovering = options.onRecovering;
+        this.onFailed = options.onFailed;
+        this.state = 'idle';
+        this.cid = null;
+        this.attempt = 0;
+        this.lastFailure = 0;
+        this.timer = null;
+        this.pending = null; // 等待中的恢復動作，供「立即重試」
+    }
+
+    /**
+     * 報告一次播放失敗；恢復進行中時忽略（如兩條軌道同時失敗）
+     * @param {Object} failure - 見 classifyFailure，另含 cid
+     */
+    report(failure) {
+        if (this.state === 'recovering') return;
+        const now = Date.now();
+        if (failure.cid !== this.cid || now - this.lastFailure > HEALTHY_RESET) {
+            this.cid = failure.cid;
+            this.attempt = 0;
+        }
+        this.lastFailure = now;
+
+        const type = classifyFailure(failure);
+        console.warn(`[LitePlayer Recovery] 播放失敗（${type}）:`, failure.error || failure);
+        const plan = RECOVERY_PLANS[type];
+        // 跳過當前不可行的動作，例如已經是 AVC 編碼
+        while (this.attempt < plan.length && !this.canApply(plan[this.attempt])) {
+            this.attempt++;
+        }
+        if (this.attempt >= plan.length) {
+            this.state = 'failed';
+            this.onFailed({ type, message: FAILURE_LABELS[type] });
+            return;
+        }
+
+        const remedy = plan[this.attempt];
+        this.attempt++;
+        const delay = BACKOFF_BASE * 2 ** (this.attempt - 1);
+        this.state = 'recovering';
+        this.pending = remedy;
+        this.onRecovering({
+            type,
+            message: FAILURE_LABELS[type],
+            remedy,
+            remedyLabel: REMEDY_LABELS[remedy],
+            attempt: this.attempt,
+            total: plan.length,
+            delay
+        });
+        this.timer = setTimeout(() => this.runPending(), delay);
+    }
+
+    /**
+     * 執行等待中的恢復動作（退避結束或用戶點擊「立即重試」）
+     */
+    async runPending() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        const remedy = this.pending;
+        if (!remedy) return;
+        this.pending = null;
+        // 恢復動作本身失敗（如接口仍不可用）時需要能再次報告
+        this.state = 'idle';
+        console.log(`[LitePlayer Recovery] 第 ${this.attempt} 次恢復: ${REMEDY_LABELS[remedy]}`);
+        await this.apply(remedy);
+    }
+
+    /**
+     * 用戶手動重試：清空重試次數，重新取得播放地址後重建
+     */
+    async retry() {
+        this.cancel();
+        this.attempt = 0;
+        await this.apply(REMEDY.REFRESH);
+    }
+
+    /**
+     * 取消等待中的恢復（換視頻、用戶手動切換畫質等）
+     */
+    cancel() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.pending = null;
+        this.state = 'idle';
+    }
+}
+
+export { RecoveryController, classifyFailure, FAILURE, REMEDY };
@@ -0,0 +1,69 @@
+// rules.js - 停用規則：對指定 BV 號、UP主或內容類型不替換原生播放器
+import { getStorageValue } from './utils.js';
+
+const DISABLE_RULES_KEY = 'bilibili-lite-disable-rules';
+
+// 精簡播放器不支持或不完整支持的內容類型，與 js/popup.js 的 contentTypeOptions 保持一致
+const CONTENT_TYPES = {
+    interactive: '互動視頻',
+    paid: '付費/充電專屬內容',
+    pgc: '番劇/影視'
+};
+
+// PGC 劇集 status：12 為付費，13 為大會員專享
+const PGC_PAID_STATUS = [12, 13];
+
+/**
+ * 讀取停用規則
+ * @returns {Promise<Object>} { bvids: string[], mids: string[], types: string[] }
+ */
+async function getDisableRules() {
+    const rules = await getStorageValue(DISABLE_RULES_KEY, {});
+    return {
+        bvids: rules?.bvids || [],
+        mids: (rules?.mids || []).map(String),
+        types: rules?.types || []
+    };
+}
+
+/**
+ * 判斷當前視頻屬於哪些內容類型
+ * @param {Object} current - main.js 的 resolveCurrentVideo 結果
+ * @returns {Array<string>} CONTENT_TYPES 中的鍵
+ */
+function getContentTypes(current) {
+    const types = [];
+    const rights = current.view?.rights || {};
+    if (rights.is_stein_gate === 1) types.push('interactive');
+    if (current.type === 'pgc') {
+        types.push('pgc');
+        const episode = (current.episodes || []).find(ep => ep.id === current.epId);
+        if (PGC_PAID_STATUS.includes(episode?.status)) types.push('paid');
+    } else if (rights.pay === 1 || rights.ugc_pay === 1 || rights.arc_pay === 1) {
+        types.push('paid');
+    }
+    return types;
+}
+
+/**
+ * 按規則判斷當前視頻是否改用原生播放器
+ * @param {Object} current - main.js 的 resolveCurrentVideo 結果
+ * @param {Object} rules - getDisableRules 的結果
+ * @returns {string|null} 命中的規則說明，未命中時為 null
+ */
+function matchDisableRule(current, rules) {
+    if (current.bvid && rules.bvids.includes(current.bvid)) {
+        return `已為 ${current.bvid} 停用精簡播放器`;
+    }
+    const mid = current.view?.owner?.mid;
+    if (mid && rules.mids.includes(String(mid))) {
+        return `已為 UP主 ${current.view.owner.name || mid} 停用精簡播放器`;
+    }
+    const type = getContentTypes(current).find(t => rules.types.includes(t));
+    if (type) {
+        return `已為${CONTENT_TYPES[type]}停用精簡播放器`;
+    }
+    return null;
+}
+
+export { getDisableRules, matchDisableRule };
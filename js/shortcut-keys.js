@@ -0,0 +1,62 @@
+// shortcut-keys.js - 快捷鍵的動作、默認按鍵和按鍵名規則，播放器（shortcuts.js）和彈窗（popup.js）共用
+
+// 可重新綁定的動作和默認按鍵（與 B 站原生播放器一致），按鍵名見 normalizeKey
+const SHORTCUT_ACTIONS = [
+    { action: 'togglePlay', text: '播放/暫停', key: 'Space' },
+    { action: 'seekBackward', text: '後退 5 秒', key: 'ArrowLeft' },
+    { action: 'seekForward', text: '前進 5 秒', key: 'ArrowRight' },
+    { action: 'volumeUp', text: '音量加', key: 'ArrowUp' },
+    { action: 'volumeDown', text: '音量減', key: 'ArrowDown' },
+    { action: 'fullscreen', text: '全屏', key: 'f' },
+    { action: 'danmaku', text: '彈幕開關', key: 'd' },
+    { action: 'mute', text: '靜音', key: 'm' },
+    { action: 'speedDown', text: '減速', key: '[' },
+    { action: 'speedUp', text: '加速', key: ']' },
+    { action: 'stats', text: '統計信息', key: 'i' }
+];
+
+// 動作 -> 按鍵
+const DEFAULT_SHORTCUTS = Object.fromEntries(SHORTCUT_ACTIONS.map(item => [item.action, item.key]));
+
+/**
+ * 將按鍵事件轉為保存用的按鍵名：空格為 Space，字母統一小寫，其餘沿用 event.key
+ * @param {KeyboardEvent} event
+ * @returns {string}
+ */
+function normalizeKey(event) {
+    if (event.key === ' ') return 'Space';
+    return event.key.length === 1 ? event.key.toLowerCase() : event.key;
+}
+
+/**
+ * 數字鍵 0–9 固定用於跳轉到 0–90% 進度，不可綁定給其他動作
+ * @param {string} key - 按鍵名
+ * @returns {boolean}
+ */
+function isReservedKey(key) {
+    return /^[0-9]$/.test(key);
+}
+
+/**
+ * 檢查一組綁定中不可保存的按鍵：與其他動作重複，或佔用了數字鍵
+ * @param {Object} bindings - 動作 -> 按鍵
+ * @returns {Object} 動作 -> 問題說明，沒有問題時為空對象
+ */
+function findBindingConflicts(bindings) {
+    const conflicts = {};
+    const owners = {};
+    Object.keys(bindings).forEach(action => {
+        const key = bindings[action];
+        if (isReservedKey(key)) {
+            conflicts[action] = `數字鍵 ${key} 固定用於跳轉進度`;
+        } else if (owners[key]) {
+            const text = SHORTCUT_ACTIONS.find(item => item.action === owners[key])?.text || owners[key];
+            conflicts[action] = `與「${text}」重複`;
+        } else {
+            owners[key] = action;
+        }
+    });
+    return conflicts;
+}
+
+export { SHORTCUT_ACTIONS, DEFAULT_SHORTCUTS, normalizeKey, isReservedKey, findBindingConflicts };
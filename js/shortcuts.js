@@ -0,0 +1,73 @@
+// shortcuts.js - 鍵盤快捷鍵（默認與 B 站原生播放器一致，可在彈窗中重新綁定）
+import { getStorageValue } from './utils.js';
+import { DEFAULT_SHORTCUTS, normalizeKey, isReservedKey, findBindingConflicts } from './shortcut-keys.js';
+
+const SHORTCUTS_KEY = 'bilibili-lite-shortcuts';
+
+/**
+ * 按鍵是否發生在輸入框內（包括評論區等 Shadow DOM 中的輸入框）
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+function isEditableTarget(event) {
+    const target = event.composedPath ? event.composedPath()[0] : event.target;
+    if (!target || !target.tagName) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+}
+
+/**
+ * 快捷鍵管理器：在捕獲階段監聽整個頁面，焦點在哪個元素上都能生效
+ */
+class ShortcutManager {
+    /**
+     * @param {Object} handlers - 動作 -> 處理函數，另有 seekPercent(百分比) 處理數字鍵
+     */
+    constructor(handlers) {
+        this.handlers = handlers;
+        this.bindings = { ...DEFAULT_SHORTCUTS };
+        this.destroyed = false;
+        this.onKeyDown = (event) => this.handleKeyDown(event);
+    }
+
+    /**
+     * 讀取用戶綁定並開始監聽
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const saved = await getStorageValue(SHORTCUTS_KEY, {});
+        if (this.destroyed) return;
+        const bindings = { ...DEFAULT_SHORTCUTS, ...saved };
+        // 彈窗會拒絕保存衝突的綁定，仍有衝突時（如存儲被直接改寫）停用衝突項，避免數字鍵或其他動作被遮蔽
+        const conflicts = findBindingConflicts(bindings);
+        Object.keys(conflicts).forEach(action => {
+            console.warn(`[LitePlayer] 快捷鍵 ${action}=${bindings[action]} 已停用: ${conflicts[action]}`);
+            delete bindings[action];
+        });
+        this.bindings = bindings;
+        window.addEventListener('keydown', this.onKeyDown, true);
+    }
+
+    handleKeyDown(event) {
+        if (event.ctrlKey || event.altKey || event.metaKey || isEditableTarget(event)) return;
+        const key = normalizeKey(event);
+        let action = Object.keys(this.bindings).find(name => this.bindings[name] === key);
+        let arg;
+        if (!action && isReservedKey(key)) {
+            action = 'seekPercent';
+            arg = parseInt(key) * 10;
+        }
+        const handler = action && this.handlers[action];
+        if (!handler) return;
+        // 阻止頁面滾動和 B 站頁面自身的快捷鍵
+        event.preventDefault();
+        event.stopPropagation();
+        handler(arg);
+    }
+
+    destroy() {
+        this.destroyed = true;
+        window.removeEventListener('keydown', this.onKeyDown, true);
+    }
+}
+
+export { ShortcutManager, DEFAULT_SHORTCUTS, normalizeKey };
@@ -0,0 +1,387 @@
+// stats.js - 播放統計疊加層（stats for nerds）：掉幀、音畫偏差、卡頓、緩衝、CDN 節點和吞吐量
+import { formatBitrate } from './utils.js';
+import { getBufferedAhead } from './mse.js';
+import { getHost } from './cdn.js';
+
+const SAMPLE_INTERVAL = 1000; // 採樣間隔（毫秒）
+const HISTORY_LENGTH = 60;    // 保留的採樣數
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 24;
+
+function injectStyles() {
+    if (document.getElementById('bilibili-lite-stats-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'bilibili-lite-stats-styles';
+    style.innerHTML = `
+        .lite-stats {
+            position: absolute;
+            left: 10px;
+            top: 10px;
+            padding: 8px 10px;
+            background: rgba(0,0,0,0.75);
+            color: #ddd;
+            font-family: monospace;
+            font-size: 11px;
+            line-height: 1.6;
+            border-radius: 4px;
+            z-index: 25;
+            display: none;
+            min-width: 320px;
+        }
+
+        .lite-stats.visible {
+            display: block;
+        }
+
+        .lite-stats-row {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+        }
+
+        .lite-stats-label {
+            width: 80px;
+            color: #999;
+            flex-shrink: 0;
+        }
+
+        .lite-stats-value {
+            flex: 1;
+            word-break: break-all;
+        }
+
+        .lite-stats canvas {
+            flex-shrink: 0;
+        }
+
+        .lite-stats-actions {
+            display: flex;
+            justify-content: flex-end;
+            gap: 8px;
+            margin-top: 6px;
+        }
+
+        .lite-stats-actions button {
+            background: none;
+            border: 1px solid #666;
+            border-radius: 3px;
+            color: #ddd;
+            cursor: pointer;
+            font-size: 11px;
+            padding: 1px 8px;
+        }
+
+        .lite-stats-actions button:hover {
+            border-color: #00a1d6;
+            color: #00a1d6;
+        }
+    `;
+    document.head.appendChild(style);
+}
+
+/**
+ * 播放健康數據採集
+ * 掉幀來自 getVideoPlaybackQuality，音畫偏差由雙元素同步上報，卡頓由各模式的緩衝檢查上報
+ */
+class PlaybackStats {
+    /**
+     * @param {Object} options - {
+     *   video: 視頻元素,
+     *   tracks: { video, audio } 各條流的媒體視圖（durl 沒有 audio）,
+     *   monitor: StreamMonitor,
+     *   playInfo: 播放信息對象,
+     *   mode: 播放模式描述,
+     *   sharedClock: 音畫是否共用一個時鐘（MSE），此時沒有偏差
+     * }
+     */
+    constructor(options) {
+        this.video = options.video;
+        this.tracks = options.tracks;
+        this.monitor = options.monitor || null;
+        this.playInfo = options.playInfo;
+        this.mode = options.mode;
+        this.sharedClock = !!options.sharedClock;
+        this.drift = 0;
+        this.maxDrift = 0;
+        this.stalls = 0;
+        this.stallTime = 0;     // 已結束卡頓的總時長（毫秒）
+        this.stallStart = null;
+        this.lastDropped = 0;
+        this.history = [];
+        this.onSample = null;
+        this.timer = setInterval(() => this.sample(), SAMPLE_INTERVAL);
+    }
+
+    /**
+     * 記錄一次音畫偏差（視頻時間 - 音頻時間）
+     * @param {number} seconds
+     */
+    recordDrift(seconds) {
+        this.drift = seconds;
+        this.maxDrift = Math.max(this.maxDrift, Math.abs(seconds));
+    }
+
+    /**
+     * 更新卡頓狀態，由開始到結束計為一次卡頓
+     * @param {boolean} stalled
+     */
+    updateStall(stalled) {
+        if (stalled && this.stallStart === null) {
+            this.stallStart = performance.now();
+            this.stalls++;
+        } else if (!stalled && this.stallStart !== null) {
+            this.stallTime += performance.now() - this.stallStart;
+            this.stallStart = null;
+        }
+    }
+
+    /**
+     * 卡頓總時長（包括進行中的一次）
+     * @returns {number} 秒
+     */
+    getStallTime() {
+        const ongoing = this.stallStart !== null ? performance.now() - this.stallStart : 0;
+        return (this.stallTime + ongoing) / 1000;
+    }
+
+    getSnapshot() {
+        const quality = this.video.getVideoPlaybackQuality?.();
+        const { video, audio } = this.tracks;
+        return {
+            time: Date.now(),
+            currentTime: this.video.currentTime,
+            resolution: `${this.video.videoWidth}x${this.video.videoHeight}`,
+            decodedFrames: quality?.totalVideoFrames || 0,
+            droppedFrames: quality?.droppedVideoFrames || 0,
+            drift: this.sharedClock || !audio ? null : this.drift,
+            maxDrift: this.sharedClock || !audio ? null : this.maxDrift,
+            stalls: this.stalls,
+            stallTime: this.getStallTime(),
+            videoBuffer: video ? getBufferedAhead(video.buffered, video.currentTime) : 0,
+            audioBuffer: audio ? getBufferedAhead(audio.buffered, audio.currentTime) : null,
+            videoHost: getHost(video?.src),
+            audioHost: audio ? getHost(audio.src) : null,
+            throughput: this.monitor ? this.monitor.getThroughputEstimate() : 0
+        };
+    }
+
+    sample() {
+        const snapshot = this.getSnapshot();
+        // 歷史中記錄每秒新增的掉幀數
+        snapshot.droppedPerSecond = Math.max(0, snapshot.droppedFrames - this.lastDropped);
+        this.lastDropped = snapshot.droppedFrames;
+        this.history.push(snapshot);
+        if (this.history.length > HISTORY_LENGTH) this.history.shift();
+        this.onSample?.(snapshot);
+    }
+
+    /**
+     * 整理成便於附在問題報告中的結構
+     * @returns {Object}
+     */
+    toJSON() {
+        const playInfo = this.playInfo;
+        return {
+            collectedAt: new Date().toISOString(),
+            page: location.href,
+            userAgent: navigator.userAgent,
+            video: {
+                bvid: playInfo.bvid,
+                cid: playInfo.cid,
+                epId: playInfo.epId || null,
+                qn: playInfo.qn,
+                mode: this.mode,
+                videoInfo: playInfo.videoInfo,
+                audioInfo: playInfo.audioInfo || null
+            },
+            current: this.getSnapshot(),
+            history: this.history
+        };
+    }
+
+    destroy() {
+        clearInterval(this.timer);
+        this.onSample = null;
+    }
+}
+
+/**
+ * 畫一條迷你折線圖
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array<number>} values
+ * @param {string} color
+ * @param {number} minMax - 縱軸最大值的下限，避免數值很小時放大噪聲
+ */
+function drawSparkline(canvas, values, color, minMax = 1) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = 'rgba(255,255,255,0.08)';
+    ctx.fillRect(0, 0, width, height);
+    if (values.length < 2) return;
+    const max = Math.max(minMax, ...values);
+    const step = width / (HISTORY_LENGTH - 1);
+    const offset = width - (values.length - 1) * step;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    values.forEach((value, index) => {
+        const x = offset + index * step;
+        const y = height - 1 - (value / max) * (height - 2);
+        if (index === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+}
+
+/**
+ * 統計信息疊加層
+ */
+class StatsOverlay {
+    /**
+     * @param {HTMLElement} container - 播放器容器
+     * @param {PlaybackStats} stats
+     */
+    constructor(container, stats) {
+        this.stats = stats;
+        this.visible = false;
+        injectStyles();
+
+        this.root = document.createElement('div');
+        this.root.className = 'lite-stats';
+        // 面板內的點擊不應觸發播放/暫停
+        this.root.addEventListener('click', e => e.stopPropagation());
+        this.root.addEventListener('dblclick', e => e.stopPropagation());
+
+        this.rows = {};
+        this.charts = {};
+        [
+            ['mode', '播放模式'],
+            ['stream', '當前流'],
+            ['resolution', '解析度'],
+            ['frames', '幀'],
+            ['drift', '音畫偏差'],
+            ['stalls', '卡頓'],
+            ['videoBuffer', '視頻緩衝', '#1890ff'],
+            ['audioBuffer', '音頻緩衝', '#52c41a'],
+            ['videoHost', '視頻節點'],
+            ['audioHost', '音頻節點'],
+            ['throughput', '吞吐量', '#fa8c16']
+        ].forEach(([key, label, color]) => this.addRow(key, label, color));
+
+        const actions = document.createElement('div');
+        actions.className = 'lite-stats-actions';
+        this.copyButton = document.createElement('button');
+        this.copyButton.textContent = '複製為 JSON';
+        this.copyButton.onclick = () => this.copy();
+        const closeButton = document.createElement('button');
+        closeButton.textContent = '關閉';
+        closeButton.onclick = () => this.hide();
+        actions.appendChild(this.copyButton);
+        actions.appendChild(closeButton);
+        this.root.appendChild(actions);
+
+        container.appendChild(this.root);
+        stats.onSample = () => {
+            if (this.visible) this.render();
+        };
+    }
+
+    addRow(key, label, color) {
+        const row = document.createElement('div');
+        row.className = 'lite-stats-row';
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'lite-stats-label';
+        labelSpan.textContent = label;
+        const value = document.createElement('span');
+        value.className = 'lite-stats-value';
+        row.appendChild(labelSpan);
+        row.appendChild(value);
+        if (color) {
+            const canvas = document.createElement('canvas');
+            canvas.width = SPARKLINE_WIDTH;
+            canvas.height = SPARKLINE_HEIGHT;
+            row.appendChild(canvas);
+            this.charts[key] = { canvas, color };
+        }
+        this.rows[key] = { row, value };
+        this.root.appendChild(row);
+    }
+
+    setRow(key, text) {
+        const row = this.rows[key];
+        if (text === null) {
+            row.row.style.display = 'none';
+            return;
+        }
+        row.row.style.display = '';
+        row.value.textContent = text;
+    }
+
+    render() {
+        const stats = this.stats;
+        const snapshot = stats.getSnapshot();
+        const info = stats.playInfo.videoInfo || {};
+        const history = stats.history;
+
+        this.setRow('mode', stats.mode);
+        this.setRow('stream', `qn ${stats.playInfo.qn}，${info.codec || 'unknown'}，${formatBitrate(info.bandwidth || 0)}`);
+        this.setRow('resolution', snapshot.resolution);
+        const dropRate = snapshot.decodedFrames ? (snapshot.droppedFrames / snapshot.decodedFrames * 100).toFixed(2) : '0.00';
+        this.setRow('frames', `解碼 ${snapshot.decodedFrames}，丟棄 ${snapshot.droppedFrames}（${dropRate}%）`);
+        this.setRow('drift', snapshot.drift === null
+            ? '單一時鐘，無偏差'
+            : `${Math.round(snapshot.drift * 1000)} ms（最大 ${Math.round(snapshot.maxDrift * 1000)} ms）`);
+        this.setRow('stalls', `${snapshot.stalls} 次，共 ${snapshot.stallTime.toFixed(1)} 秒`);
+        this.setRow('videoBuffer', `${snapshot.videoBuffer.toFixed(1)} 秒`);
+        this.setRow('audioBuffer', snapshot.audioBuffer === null ? null : `${snapshot.audioBuffer.toFixed(1)} 秒`);
+        this.setRow('videoHost', snapshot.videoHost || 'N/A');
+        this.setRow('audioHost', snapshot.audioHost);
+        this.setRow('throughput', snapshot.throughput ? formatBitrate(snapshot.throughput) : '尚無樣本');
+
+        drawSparkline(this.charts.videoBuffer.canvas, history.map(s => s.videoBuffer), this.charts.videoBuffer.color, 10);
+        if (snapshot.audioBuffer !== null) {
+            drawSparkline(this.charts.audioBuffer.canvas, history.map(s => s.audioBuffer || 0), this.charts.audioBuffer.color, 10);
+        }
+        drawSparkline(this.charts.throughput.canvas, history.map(s => s.throughput), this.charts.throughput.color, 1000000);
+    }
+
+    /**
+     * 把當前統計和歷史複製到剪貼板，方便附在問題報告中
+     */
+    async copy() {
+        const text = JSON.stringify(this.stats.toJSON(), null, 2);
+        try {
+            await navigator.clipboard.writeText(text);
+            this.copyButton.textContent = '已複製';
+        } catch (e) {
+            console.warn('[LitePlayer] 複製統計信息失敗:', e);
+            this.copyButton.textContent = '複製失敗';
+        }
+        setTimeout(() => { this.copyButton.textContent = '複製為 JSON'; }, 1500);
+    }
+
+    show() {
+        this.visible = true;
+        this.root.classList.add('visible');
+        this.render();
+    }
+
+    hide() {
+        this.visible = false;
+        this.root.classList.remove('visible');
+    }
+
+    toggle() {
+        if (this.visible) this.hide();
+        else this.show();
+        return this.visible;
+    }
+
+    destroy() {
+        this.stats.onSample = null;
+        this.root.remove();
+    }
+}
+
+export { PlaybackStats, StatsOverlay };
@@ -0,0 +1,47 @@
+// storage.js - 設定讀寫，不依賴其他模塊，cdn.js 等底層模塊可直接導入
+
+/**
+ * 讀取一項設定，優先 chrome.storage.local，本地調試時退回 localStorage
+ * @param {string} key - 設定鍵名
+ * @param {*} defaultValue - 未設定時的默認值
+ * @returns {Promise<*>}
+ */
+function getStorageValue(key, defaultValue) {
+    return new Promise((resolve) => {
+        if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+            chrome.storage.local.get([key], (result) => {
+                resolve(result[key] !== undefined ? result[key] : defaultValue);
+            });
+        } else {
+            const raw = localStorage.getItem(key);
+            if (raw === null) {
+                resolve(defaultValue);
+                return;
+            }
+            try {
+                resolve(JSON.parse(raw));
+            } catch (e) {
+                resolve(raw);
+            }
+        }
+    });
+}
+
+/**
+ * 保存一項設定
+ * @param {string} key - 設定鍵名
+ * @param {*} value - 設定值
+ * @returns {Promise<void>}
+ */
+function setStorageValue(key, value) {
+    return new Promise((resolve) => {
+        if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+            chrome.storage.local.set({ [key]: value }, () => resolve());
+        } else {
+            localStorage.setItem(key, JSON.stringify(value));
+            resolve();
+        }
+    });
+}
+
+export { getStorageValue, setStorageValue };
@@ -0,0 +1,145 @@
+// subtitle.js - CC 字幕（UP主字幕與 AI 字幕）的獲取與掛載
+import { fetchPlayerInfo } from './api.js';
+import { getStorageValue, setStorageValue } from './utils.js';
+
+const SUBTITLE_LANG_KEY = 'bilibili-lite-subtitle-lang';
+
+/**
+ * 通過播放器 v2 信息接口取得字幕列表
+ * @param {string} bvid - BV 號
+ * @param {number} cid - cid
+ * @returns {Promise<Array<Object>>} 字幕列表 { id, lan, lan_doc, subtitle_url }
+ */
+async function fetchSubtitleList(bvid, cid) {
+    const info = await fetchPlayerInfo(bvid, cid);
+    return info?.subtitle?.subtitles || [];
+}
+
+/**
+ * 將秒數格式化為 WebVTT 時間戳
+ * @param {number} seconds
+ * @returns {string} 如 00:01:02.345
+ */
+function formatVttTime(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor(ms / 60000) % 60;
+    const s = Math.floor(ms / 1000) % 60;
+    const pad = (n, len = 2) => String(n).padStart(len, '0');
+    return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * 轉義字幕文本，避免空行提前結束 cue、`-->` 被當作時間行、`<`/`&` 被當作標記
+ * @param {string} content
+ * @returns {string}
+ */
+function escapeVttText(content) {
+    return String(content ?? '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\n{2,}/g, '\n')
+        .trim()
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * 將 B 站 JSON 字幕 body 轉為 WebVTT 文本
+ * @param {Array<Object>} body - [{ from, to, content }]
+ * @returns {string}
+ */
+function subtitleBodyToVtt(body) {
+    const cues = body.map((cue, i) =>
+        `${i + 1}\n${formatVttTime(cue.from)} --> ${formatVttTime(cue.to)}\n${escapeVttText(cue.content)}`
+    );
+    return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+/**
+ * 字幕管理器：維護字幕列表，按需下載並以 <track> 掛到視頻上
+ * 切換語言時派發 change 事件，供控制欄和疊加層同步選擇
+ */
+class SubtitleManager extends EventTarget {
+    /**
+     * @param {HTMLVideoElement} video - 視頻元素
+     */
+    constructor(video) {
+        super();
+        this.video = video;
+        this.list = [];
+        this.tracks = new Map(); // lan -> HTMLTrackElement
+        this.objectUrls = [];
+        this.current = '';
+        this.ready = Promise.resolve([]);
+    }
+
+    /**
+     * 加載字幕列表，並自動選擇上次使用的語言
+     * @param {string} bvid
+     * @param {number} cid
+     * @param {string|null} lang - 指定語言（重建播放器時沿用之前的選擇），為空時使用保存的語言
+     * @returns {Promise<Array<Object>>}
+     */
+    load(bvid, cid, lang = null) {
+        this.ready = fetchSubtitleList(bvid, cid)
+            .then(async list => {
+                this.list = list;
+                if (lang === null) lang = await getStorageValue(SUBTITLE_LANG_KEY, '');
+                if (lang && list.some(item => item.lan === lang)) {
+                    await this.select(lang, false);
+                }
+                return list;
+            })
+            .catch(e => {
+                console.warn('[LitePlayer Subtitle] 字幕列表加載失敗:', e);
+                return [];
+            });
+        return this.ready;
+    }
+
+    /**
+     * 切換字幕語言
+     * @param {string} lan - 語言代碼，空字符串表示關閉
+     * @param {boolean} remember - 是否記住選擇供之後的視頻使用
+     */
+    async select(lan, remember = true) {
+        this.current = lan;
+        if (remember) setStorageValue(SUBTITLE_LANG_KEY, lan);
+        this.dispatchEvent(new Event('change'));
+
+        if (lan && !this.tracks.has(lan)) {
+            const item = this.list.find(s => s.lan === lan);
+            if (!item) return;
+            const url = item.subtitle_url.startsWith('//') ? `https:${item.subtitle_url}` : item.subtitle_url;
+            const res = await fetch(url);
+            const json = await res.json();
+            const blobUrl = URL.createObjectURL(new Blob([subtitleBodyToVtt(json.body || [])], { type: 'text/vtt' }));
+            this.objectUrls.push(blobUrl);
+
+            const track = document.createElement('track');
+            track.kind = 'subtitles';
+            track.label = item.lan_doc;
+            track.srclang = item.lan;
+            track.src = blobUrl;
+            this.video.appendChild(track);
+            this.tracks.set(lan, track);
+        }
+        // 語言在下載期間又被切換時以最新選擇為準
+        this.tracks.forEach((track, key) => {
+            track.track.mode = key === this.current ? 'showing' : 'disabled';
+        });
+    }
+
+    /**
+     * 移除字幕軌道並釋放 blob
+     */
+    destroy() {
+        this.tracks.forEach(track => track.remove());
+        this.tracks.clear();
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+    }
+}
+
+export { SubtitleManager, fetchSubtitleList, subtitleBodyToVtt };
@@ -1,20 +1,132 @@
 // utils.js - 工具函數和通用邏輯
-import { getBvId } from './api.js';
+import { getBvId, getPageNumber, getBangumiId } from './api.js';
+import { getStorageValue, setStorageValue } from './storage.js';
+
+// 吞吐量估算參數
+const MIN_THROUGHPUT_SAMPLE = 16 * 1024; // 過小的請求主要反映延遲，不計入
+const THROUGHPUT_FAST_ALPHA = 0.5;
+const THROUGHPUT_SLOW_ALPHA = 0.1;
+const STATS_INTERVAL = 1000;  // 統計間隔（毫秒）
+const HISTORY_LENGTH = 60;    // 保留的歷史秒數
+const AVERAGE_WINDOW = 10;    // 滾動平均的秒數
+
+// 下載量的來源，依可信程度排列
+const STATS_SOURCE = {
+    FETCH: 'fetch',            // 播放器自己發出的分段請求（MSE）
+    RESOURCE: 'resource',      // 媒體元素請求的 PerformanceResourceTiming
+    ESTIMATE: 'estimate'       // 沒有實測數據時，以緩衝增長 × 流的實際碼率估算
+};
+
+function createTrackStats(bitrate) {
+    return {
+        downloaded: 0,  // 累計字節
+        speed: 0,       // 最近一秒的字節/秒
+        average: 0,     // 最近 AVERAGE_WINDOW 秒的平均字節/秒
+        peak: 0,        // 歷史中的最高字節/秒
+        bitrate,        // 流的碼率（bps），來自 playInfo
+        source: STATS_SOURCE.ESTIMATE,
+        history: [],    // [{ time, speed, buffered }]
+        pendingBytes: 0,
+        lastBuffered: 0,
+        lastTime: Date.now()
+    };
+}
+
+/**
+ * 媒體元素已緩衝的總秒數
+ * @param {HTMLMediaElement|Object} element
+ * @returns {number}
+ */
+function getBufferedSeconds(element) {
+    const buffered = element?.buffered;
+    if (!buffered) return 0;
+    let total = 0;
+    for (let i = 0; i < buffered.length; i++) {
+        total += buffered.end(i) - buffered.start(i);
+    }
+    return total;
+}
+
+function getUrlPath(url) {
+    try {
+        return new URL(url, location.href).pathname;
+    } catch (e) {
+        return '';
+    }
+}
 
 // 下載速度監控器
 class StreamMonitor {
-    constructor() {
-        this.videoStats = { downloaded: 0, speed: 0, lastTime: Date.now() };
-        this.audioStats = { downloaded: 0, speed: 0, lastTime: Date.now() };
+    /**
+     * @param {Object} playInfo - 播放信息對象，提供各條流的實際碼率（可省略）
+     */
+    constructor(playInfo = null) {
+        this.playInfo = playInfo;
+        this.videoStats = createTrackStats(playInfo?.videoInfo?.bandwidth || 0);
+        this.audioStats = createTrackStats(playInfo?.audioInfo?.bandwidth || 0);
         this.updateInterval = null;
+        this.observer = null;
+        this.videoElement = null;
+        this.audioElement = null;
+        // 實測吞吐量（bps）：快慢兩條指數平均，取較小者，下降時反應快、上升時較保守
+        this.throughputFast = 0;
+        this.throughputSlow = 0;
     }
 
+    /**
+     * 記錄一次實際下載，用於估算網絡吞吐量
+     * @param {number} bytes - 取回的字節數
+     * @param {number} ms - 耗時（毫秒）
+     */
+    addThroughputSample(bytes, ms) {
+        if (bytes < MIN_THROUGHPUT_SAMPLE || ms <= 0) return;
+        const sample = bytes * 8 / (ms / 1000);
+        const blend = (average, alpha) => average ? average * (1 - alpha) + sample * alpha : sample;
+        this.throughputFast = blend(this.throughputFast, THROUGHPUT_FAST_ALPHA);
+        this.throughputSlow = blend(this.throughputSlow, THROUGHPUT_SLOW_ALPHA);
+    }
+
+    /**
+     * 當前吞吐量估算
+     * @returns {number} bps，尚無樣本時為 0
+     */
+    getThroughputEstimate() {
+        return Math.min(this.throughputFast, this.throughputSlow);
+    }
+
+    /**
+     * 記錄某條流的一次實際下載（MSE 分段請求）
+     * @param {string} type - 'video' 或 'audio'
+     * @param {number} bytes - 取回的字節數
+     * @param {number} ms - 耗時（毫秒）
+     */
+    recordDownload(type, bytes, ms) {
+        this.addBytes(type, bytes, STATS_SOURCE.FETCH);
+        this.addThroughputSample(bytes, ms);
+    }
+
+    addBytes(type, bytes, source) {
+        const stats = type === 'audio' ? this.audioStats : this.videoStats;
+        // 有實測數據後不再混入估算值
+        stats.source = source;
+        stats.pendingBytes += bytes;
+        stats.downloaded += bytes;
+    }
+
+    /**
+     * 開始監控
+     * @param {HTMLVideoElement} videoElement - 視頻元素
+     * @param {HTMLMediaElement|Object} audioElement - 音頻元素，MSE 模式下為引擎提供的音頻軌道視圖
+     */
     startMonitoring(videoElement, audioElement) {
         this.stopMonitoring(); // 停止之前的監控
+        this.videoElement = videoElement;
+        this.audioElement = audioElement;
+        this.observeResourceTiming();
 
         this.updateInterval = setInterval(() => {
             this.updateStats(videoElement, audioElement);
-        }, 1000);
+        }, STATS_INTERVAL);
     }
 
     stopMonitoring() {
@@ -22,40 +134,90 @@ class StreamMonitor {
             clearInterval(this.updateInterval);
             this.updateInterval = null;
         }
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
     }
 
-    updateStats(videoElement, audioElement) {
-        const now = Date.now();
-        const timeDiff = (now - this.videoStats.lastTime) / 1000;
-
-        if (videoElement && videoElement.buffered.length > 0) {
-            const bufferedEnd = videoElement.buffered.end(videoElement.buffered.length - 1);
-            const newDownloaded = bufferedEnd * (this.getEstimatedBitrate(videoElement) / 8); // 估算下載量
-            const downloadDiff = newDownloaded - this.videoStats.downloaded;
-
-            this.videoStats.speed = timeDiff > 0 ? downloadDiff / timeDiff : 0;
-            this.videoStats.downloaded = newDownloaded;
+    /**
+     * 媒體元素自己發出的請求（雙元素同步、durl）沒有字節回調，改讀 PerformanceResourceTiming
+     * fetch 發出的請求由 recordDownload 直接上報，這裡跳過以免重複計算
+     * 跨域資源未帶 Timing-Allow-Origin 時大小為 0，此時退回估算
+     * 耗時取整個請求（含首字節等待），與 recordDownload 的 fetch 計時口徑一致
+     */
+    observeResourceTiming() {
+        if (typeof PerformanceObserver === 'undefined') return;
+        this.observer = new PerformanceObserver(list => {
+            list.getEntries().forEach(entry => {
+                if (entry.initiatorType === 'fetch') return;
+                const bytes = entry.encodedBodySize || entry.transferSize;
+                if (!bytes) return;
+                const type = this.matchResourceType(entry.name);
+                if (!type) return;
+                this.addBytes(type, bytes, STATS_SOURCE.RESOURCE);
+                this.addThroughputSample(bytes, entry.duration);
+            });
+        });
+        try {
+            this.observer.observe({ type: 'resource' });
+        } catch (e) {
+            console.warn('[LitePlayer] 無法監聽資源計時:', e);
+            this.observer = null;
         }
+    }
 
-        if (audioElement && audioElement.buffered.length > 0) {
-            const bufferedEnd = audioElement.buffered.end(audioElement.buffered.length - 1);
-            const newDownloaded = bufferedEnd * (this.getEstimatedBitrate(audioElement) / 8);
-            const downloadDiff = newDownloaded - this.audioStats.downloaded;
+    /**
+     * 按路徑判斷資源屬於哪條流（各 CDN 節點的路徑相同，僅域名和簽名不同）
+     * @param {string} url
+     * @returns {string|null} 'video'、'audio' 或 null
+     */
+    matchResourceType(url) {
+        const path = getUrlPath(url);
+        if (!path) return null;
+        if (this.videoElement && getUrlPath(this.videoElement.src) === path) return 'video';
+        if (this.audioElement && getUrlPath(this.audioElement.src) === path) return 'audio';
+        return null;
+    }
 
-            this.audioStats.speed = timeDiff > 0 ? downloadDiff / timeDiff : 0;
-            this.audioStats.downloaded = newDownloaded;
+    updateStats(videoElement, audioElement) {
+        const now = Date.now();
+        // 自動畫質切換後 playInfo 中的碼率會更新
+        this.videoStats.bitrate = this.playInfo?.videoInfo?.bandwidth || this.videoStats.bitrate;
+        this.audioStats.bitrate = this.playInfo?.audioInfo?.bandwidth || this.audioStats.bitrate;
+        // 僅播放聲音時沒有視頻軌道
+        if (videoElement) {
+            this.updateTrack(this.videoStats, videoElement, now);
+        }
+        if (audioElement) {
+            this.updateTrack(this.audioStats, audioElement, now);
         }
-
-        this.videoStats.lastTime = now;
-        this.audioStats.lastTime = now;
 
         // 觸發更新事件
         this.onStatsUpdate?.(this.videoStats, this.audioStats);
     }
 
-    getEstimatedBitrate(element) {
-        // 簡單的碼率估算，實際應用中可以從流信息獲取
-        return element === element.closest('#bilibili-lite-player')?.querySelector('video') ? 2000000 : 128000;
+    updateTrack(stats, element, now) {
+        const timeDiff = (now - stats.lastTime) / 1000;
+        const buffered = getBufferedSeconds(element);
+        if (stats.source === STATS_SOURCE.ESTIMATE) {
+            // 緩衝被回收或拖動時總量會減少，只計增長部分
+            const grown = Math.max(0, buffered - stats.lastBuffered);
+            const bytes = grown * stats.bitrate / 8;
+            stats.pendingBytes += bytes;
+            stats.downloaded += bytes;
+        }
+        stats.lastBuffered = buffered;
+
+        stats.speed = timeDiff > 0 ? stats.pendingBytes / timeDiff : 0;
+        stats.pendingBytes = 0;
+        stats.lastTime = now;
+
+        stats.history.push({ time: now, speed: stats.speed, buffered });
+        if (stats.history.length > HISTORY_LENGTH) stats.history.shift();
+        const recent = stats.history.slice(-AVERAGE_WINDOW);
+        stats.average = recent.reduce((sum, item) => sum + item.speed, 0) / recent.length;
+        stats.peak = Math.max(...stats.history.map(item => item.speed));
     }
 }
 
@@ -77,17 +239,30 @@ function formatBitrate(bitrate) {
     return parseFloat((bitrate / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
-// 監聽 B 站 SPA 跳轉（如點擊推薦視頻、上下集等）自動刷新播放器
+// 格式化播放時間，如 83 -> 01:23，超過一小時顯示 1:02:03
+function formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor(total / 60) % 60;
+    const s = total % 60;
+    const pad = (n) => String(n).padStart(2, '0');
+    return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+}
+
+// 監聽 B 站 SPA 跳轉（如點擊推薦視頻、上下集、切換分P等）自動刷新播放器
 function observeBVChange(callback) {
-    let lastBv = getBvId();
+    // 普通視頻以 BV 號+分P區分，番劇以 ep/ss 路徑區分
+    const getKey = () => getBvId() ? `${getBvId()}:${getPageNumber()}` : window.location.pathname;
+    let lastKey = getKey();
     let ticking = false;
 
     function checkBV() {
-        const curBv = getBvId();
-        if (curBv && curBv !== lastBv) {
-            lastBv = curBv;
-            // 回調通知 BV 變化
-            callback && callback(curBv);
+        const curBv = getBvId() || getBangumiId();
+        const curKey = getKey();
+        if (curBv && curKey !== lastKey) {
+            lastKey = curKey;
+            // 回調通知 BV、分P或劇集變化
+            callback && callback(getBvId(), getPageNumber());
         }
         ticking = false;
     }
@@ -118,12 +293,38 @@ function hijackBVLinks() {
         if (href && /^\/video\/BV[\w]+/.test(href)) {
             // 攔截並用 pushState 跳轉
             e.preventDefault();
-            history.pushState({}, '', href);
-            // 觸發 url 監聽
-            const event = new Event('popstate');
-            window.dispatchEvent(event);
+            navigateToVideo(href);
         }
     }, true);
 }
 
-export { observeBVChange, hijackBVLinks, StreamMonitor, formatBytes, formatBitrate };
\ No newline at end of file
+/**
+ * 站內跳轉到另一個視頻，不整頁刷新，由 observeBVChange 觸發播放器重新加載
+ * @param {string} path - 視頻路徑，如 /video/BV1xx
+ */
+function navigateToVideo(path) {
+    history.pushState({}, '', path);
+    // 觸發 url 監聽
+    const event = new Event('popstate');
+    window.dispatchEvent(event);
+}
+
+/**
+ * 跳轉到當前視頻的指定分P，沿用 pushState 路徑讓播放器無刷新重載
+ * @param {number} page - 分P序號
+ */
+function navigateToPart(page) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('p', page);
+    history.pushState({}, '', url.pathname + url.search);
+}
+
+/**
+ * 跳轉到番劇的指定劇集
+ * @param {number} epId - 劇集 ep_id
+ */
+function navigateToEpisode(epId) {
+    history.pushState({}, '', `/bangumi/play/ep${epId}`);
+}
+
+export { observeBVChange, hijackBVLinks, navigateToVideo, navigateToPart, navigateToEpisode, getStorageValue, setStorageValue, StreamMonitor, STATS_SOURCE, formatBytes, formatBitrate, formatTime };
\ No newline at end of file
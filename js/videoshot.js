@@ -0,0 +1,124 @@
+// videoshot.js - 進度條縮略圖（B 站 videoshot 雪碧圖與時間索引）
+
+// 本次會話內的緩存：切換畫質重建播放器時不重複請求
+const shotCache = new Map();  // `${bvid}:${cid}` -> Promise<Object|null>
+const imageCache = new Map(); // 雪碧圖地址 -> HTMLImageElement
+
+function normalizeUrl(url) {
+    return url && url.startsWith('//') ? `https:${url}` : url;
+}
+
+/**
+ * 解析 pvdata 二進制索引：大端序 uint16 數組，首項為佔位，其後為每幀的秒數
+ * @param {ArrayBuffer} buffer
+ * @returns {Array<number>}
+ */
+function parseVideoshotIndex(buffer) {
+    const view = new DataView(buffer);
+    const timestamps = [];
+    for (let offset = 2; offset + 2 <= buffer.byteLength; offset += 2) {
+        timestamps.push(view.getUint16(offset));
+    }
+    return timestamps;
+}
+
+/**
+ * 預加載雪碧圖，加載過的圖片在會話內保留
+ * @param {Array<string>} urls
+ */
+function preloadImages(urls) {
+    urls.forEach(url => {
+        if (imageCache.has(url)) return;
+        const image = new Image();
+        image.src = url;
+        imageCache.set(url, image);
+    });
+}
+
+async function requestVideoshot(bvid, cid) {
+    const api = `https://api.bilibili.com/x/player/videoshot?bvid=${bvid}&cid=${cid}&index=1`;
+    console.log('[LitePlayer Videoshot] 請求縮略圖API:', api);
+    const res = await fetch(api, { credentials: 'include' });
+    const json = await res.json();
+    const data = json.data;
+    if (json.code !== 0 || !data || !data.image || data.image.length === 0) {
+        console.log('[LitePlayer Videoshot] 當前視頻沒有縮略圖');
+        return null;
+    }
+
+    let timestamps = [];
+    if (data.pvdata) {
+        try {
+            const indexRes = await fetch(normalizeUrl(data.pvdata));
+            timestamps = parseVideoshotIndex(await indexRes.arrayBuffer());
+        } catch (e) {
+            console.warn('[LitePlayer Videoshot] 索引加載失敗，改用接口返回的索引:', e);
+        }
+    }
+    // pvdata 不可用時退回 JSON 中的索引（同樣首項為佔位）
+    if (timestamps.length === 0 && Array.isArray(data.index)) {
+        timestamps = data.index.slice(1);
+    }
+    if (timestamps.length === 0) return null;
+
+    const images = data.image.map(normalizeUrl);
+    preloadImages(images);
+    return {
+        timestamps,
+        images,
+        cols: data.img_x_len,
+        rows: data.img_y_len,
+        width: data.img_x_size,
+        height: data.img_y_size
+    };
+}
+
+/**
+ * 取得某個分P的縮略圖信息
+ * @param {string} bvid
+ * @param {number} cid
+ * @returns {Promise<Object|null>} { timestamps, images, cols, rows, width, height }
+ */
+function fetchVideoshot(bvid, cid) {
+    const key = `${bvid}:${cid}`;
+    if (!shotCache.has(key)) {
+        const request = requestVideoshot(bvid, cid).catch(e => {
+            console.warn('[LitePlayer Videoshot] 縮略圖加載失敗:', e);
+            shotCache.delete(key);
+            return null;
+        });
+        shotCache.set(key, request);
+    }
+    return shotCache.get(key);
+}
+
+/**
+ * 找到某個時間點對應的縮略圖位置
+ * @param {Object} shot - fetchVideoshot 的結果
+ * @param {number} time - 秒
+ * @returns {Object|null} { image, x, y, width, height }
+ */
+function findThumbnail(shot, time) {
+    const { timestamps, images, cols, rows, width, height } = shot;
+    // 二分查找最後一個時間 <= time 的幀
+    let low = 0;
+    let high = timestamps.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (timestamps[mid] <= time) low = mid;
+        else high = mid - 1;
+    }
+    const perImage = cols * rows;
+    const image = images[Math.floor(low / perImage)];
+    if (!image) return null;
+    const position = low % perImage;
+    return {
+        image,
+        x: (position % cols) * width,
+        y: Math.floor(position / cols) * height,
+        width,
+        height
+    };
+}
+
+export { fetchVideoshot, findThumbnail, parseVideoshotIndex };